@@ -0,0 +1,234 @@
+/**
+ * js/a11y.js
+ * =============================================================
+ * Accessibility — keyboard use of the map, screen-reader route
+ * announcements and optional spoken guidance.
+ *
+ * drawMap() makes every room and exit on the live map focusable
+ * and labels it with mapNodeLabel(): the name, its hazard, and
+ * whether it is your position, on your route or your exit.
+ * Rooms you can stand in are buttons — Enter or Space sets the
+ * position, like a click. Stairwells, lifts and exits are
+ * read-only. Tab walks the map in document order; the arrow keys
+ * jump to the nearest node in that direction.
+ *
+ * After each render, announceRoute() puts a one-line summary in
+ * the #srLive region whenever the route itself changed — a new
+ * exit, path, status or reason — not on every redraw. With
+ * spoken guidance on, the summary and the step list are also
+ * read aloud through the Web Speech API, in the page language,
+ * cutting off any guidance still being read.
+ *
+ * Replayed timeline states are not announced.
+ *
+ * Depends on: routing.js, i18n.js, render.js; timeline.js, editor.js, drill.js at run time
+ * State used: pos (read only); setPos() on Enter / Space
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of the spoken-guidance switch
+const SPEECH_STORE = 'liferoute.speech';
+
+// ── State ─────────────────────────────────────────────────────
+const a11y = {
+  speak: false,  // read route changes aloud
+  said:  null,   // key of the route last announced
+};
+
+/** Does this browser have the Web Speech synthesis API? */
+function speechSupported() {
+  return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+/** Text content of an HTML fragment. */
+function plainText(html) {
+  const el = document.createElement('div');
+  el.innerHTML = html;
+  return el.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// ── Map labels ────────────────────────────────────────────────
+/**
+ * mapNodeLabel(node, state)
+ * Accessible name of a room or exit on the map.
+ * @param {object} node - room or exit definition
+ * @param {{ exit?: boolean, hazard?: string, here?: boolean,
+ *           onRoute?: boolean, target?: boolean, liftOn?: boolean }} state
+ * @returns {string}
+ */
+function mapNodeLabel(node, state) {
+  const parts = [localLabel(node)];
+  if (state.exit) parts.push(t(state.target ? 'a11y.yourExit' : 'a11y.exit'));
+  if (node.isStair) parts.push(t('a11y.stair'));
+  if (node.isElevator) parts.push(t(state.liftOn ? 'a11y.lift' : 'a11y.liftOff'));
+  if (node.isRefuge) parts.push(t('a11y.refuge'));
+  if (state.hazard) parts.push(hazName(state.hazard));
+  if (state.here) parts.push(t('a11y.here'));
+  else if (state.onRoute) parts.push(t('a11y.onRoute'));
+  return parts.join(t('a11y.sep'));
+}
+
+// ── Keyboard ──────────────────────────────────────────────────
+// Unit vector of each arrow key, in map coordinates
+const ARROW_DIRS = {
+  ArrowLeft:  [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp:    [0, -1],
+  ArrowDown:  [0, 1],
+};
+
+/** Centre of a map rect. */
+function rectCentre(el) {
+  const n = (a) => Number(el.getAttribute(a));
+  return { x: n('x') + n('width') / 2, y: n('y') + n('height') / 2 };
+}
+
+/**
+ * nearestInDirection(from, dir)
+ * The focusable map node closest to `from` in direction `dir`.
+ * Distance across the direction counts double, so the next node
+ * in a row wins over a nearer one diagonally off it.
+ * @returns {Element|null}
+ */
+function nearestInDirection(from, [dx, dy]) {
+  const o = rectCentre(from);
+  let best = null;
+  let bestScore = Infinity;
+  from.ownerSVGElement.querySelectorAll('[data-node][tabindex]').forEach((el) => {
+    if (el === from) return;
+    const c = rectCentre(el);
+    const along = (c.x - o.x) * dx + (c.y - o.y) * dy;
+    if (along <= 0) return;
+    const across = Math.abs((c.x - o.x) * dy - (c.y - o.y) * dx);
+    const score = along + 2 * across;
+    if (score < bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * mapKeyDown(ev)
+ * Keyboard handler for the map (delegated on #mapSvg).
+ * Enter / Space selects a room; arrows move between nodes.
+ */
+function mapKeyDown(ev) {
+  const el = ev.target.closest && ev.target.closest('[data-node][tabindex]');
+  if (!el) return;
+
+  if (ARROW_DIRS[ev.key]) {
+    ev.preventDefault();
+    const next = nearestInDirection(el, ARROW_DIRS[ev.key]);
+    if (next) next.focus();
+    return;
+  }
+
+  if (ev.key !== 'Enter' && ev.key !== ' ') return;
+  if (drill.phase === 'run') {
+    ev.preventDefault();
+    drillStep(el.dataset.node);
+    return;
+  }
+  if (el.getAttribute('role') !== 'button' || editor.on || timeline.view !== null || drill.phase) return;
+  ev.preventDefault();
+  setPos(el.dataset.node);
+}
+
+// ── Announcements ─────────────────────────────────────────────
+/**
+ * routeSummary(route, why)
+ * One-line description of the current route for the live region.
+ * @returns {string} '' when no position is selected
+ */
+function routeSummary(route, why) {
+  if (!pos) return '';
+  if (!route) return t('a11y.noRoute', { reason: t(NO_ROUTE_TEXT[why] || 'noRoute.default') });
+  const vars = { exit: nodeLabel(route.exitId), steps: routeSteps(route).length };
+  return t(route.refuge ? 'a11y.routeRefuge'
+    : route.status === 'degraded' ? 'a11y.routeDegraded'
+    : 'a11y.routeSafe', vars);
+}
+
+/**
+ * announceRoute(route, why)
+ * Announce the route if it changed since the last announcement.
+ * Called by render() after the route panel is built.
+ */
+function announceRoute(route, why) {
+  if (timeline.view !== null) return;
+  const key = [i18n.lang, pos, route ? `${route.status}:${route.path.join('>')}` : why].join('|');
+  if (key === a11y.said) return;
+  a11y.said = key;
+
+  const text = routeSummary(route, why);
+  const p = document.createElement('p');
+  p.textContent = text;
+  document.getElementById('srLive').replaceChildren(p);
+
+  if (a11y.speak) speakGuidance(text);
+}
+
+// ── Spoken guidance ───────────────────────────────────────────
+/**
+ * speakGuidance(summary)
+ * Read the summary and then each step of the step list aloud,
+ * cancelling anything still being read. Nothing is read without
+ * a position.
+ */
+function speakGuidance(summary) {
+  if (!speechSupported()) return;
+  speechSynthesis.cancel();
+  if (!summary) return;
+
+  const lang = i18n.lang;
+  const voice = speechSynthesis.getVoices().find((v) => v.lang.toLowerCase().startsWith(lang));
+  const lines = [summary, ...[...document.querySelectorAll('#stepList .st')].map((el) => plainText(el.innerHTML))];
+  lines.filter(Boolean).forEach((line) => {
+    const u = new SpeechSynthesisUtterance(line);
+    u.lang = lang;
+    if (voice) u.voice = voice;
+    speechSynthesis.speak(u);
+  });
+}
+
+/** Refresh the speak button's pressed state and availability. */
+function buildSpeechToggle() {
+  const btn = document.getElementById('speakToggle');
+  const ok = speechSupported();
+  btn.disabled = !ok;
+  btn.classList.toggle('on', a11y.speak);
+  btn.setAttribute('aria-pressed', String(a11y.speak));
+  btn.title = t(ok ? 'a11y.speakTitle' : 'a11y.noSpeech');
+}
+
+/** Turn spoken guidance on or off; turning it on reads the current route. */
+function toggleSpeech() {
+  a11y.speak = !a11y.speak;
+  try {
+    localStorage.setItem(SPEECH_STORE, a11y.speak ? '1' : '');
+  } catch {
+    // Storage may be unavailable (private mode); the switch then
+    // lasts for this page only
+  }
+  buildSpeechToggle();
+  if (a11y.speak) {
+    const { route, reason } = routeResult();
+    speakGuidance(routeSummary(route, reason));
+  } else if (speechSupported()) {
+    speechSynthesis.cancel();
+  }
+}
+
+/** Restore the spoken-guidance switch. Called once at startup. */
+function restoreSpeech() {
+  try {
+    a11y.speak = speechSupported() && localStorage.getItem(SPEECH_STORE) === '1';
+  } catch {
+    a11y.speak = false;
+  }
+  buildSpeechToggle();
+}
@@ -0,0 +1,507 @@
+/**
+ * js/building.js
+ * =============================================================
+ * Building definitions as JSON — validation, loading and
+ * export.
+ *
+ * JSON format (see README → "Building JSON format")
+ * -----------
+ * {
+ *   "name": "LifeRoute Demo Building",
+ *   "floors": {
+ *     "GF": { "label", "level", "note", "rooms", "exits", "edges" },
+ *     (optional "labels" / "notes": { "es": "…" } translations)
+ *     …
+ *   },
+ *   "stairLinks": [["stairGF", "stairF1", 1, { "cap": 40 }], …],
+ *   "elevatorLinks": [["liftGF", "liftF1", 1], …],
+ *   "presets": [{ "name": "Kitchen fire", "hazards": { "kitchen": "fire" } }, …]
+ * }
+ *
+ * Each floor uses exactly the shape of a BLDG entry in data.js.
+ *
+ * Validation
+ * ----------
+ * validateBuilding() never throws. It walks the whole definition
+ * and returns every problem it finds, each with a dotted
+ * location such as `floors.GF.edges[3][1]`:
+ *
+ *   errors   — the building cannot be loaded (unknown edge ids,
+ *              unknown exit sides, duplicate ids, overlaps …)
+ *   warnings — it loads, but something is probably wrong
+ *              (rooms with no path to any exit, unused exits …)
+ *
+ * The app only switches building when there are no errors.
+ *
+ * Depends on: data.js, routing.js, render.js, sim.js
+ * State used: floor, pos, haz  (reset on load)
+ * =============================================================
+ */
+
+'use strict';
+
+// Definition waiting for the user to confirm the switch
+let pendingBuilding = null;
+
+// ── Validation ────────────────────────────────────────────────
+const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isInt = (v) => Number.isInteger(v);
+const isPos = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+
+// Floor keys name tabs, hash entries and markup attributes, so
+// they are kept to plain identifiers
+const FLOOR_KEY = /^[A-Za-z][\w-]*$/;
+
+/** Do two { x, y, w, h } rectangles overlap (touching is fine)? */
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+/** Check an optional { "es": "…", … } translation map. */
+function validateTranslations(map, at, out) {
+  if (map === undefined) return;
+  if (!isObj(map) || Object.values(map).some((v) => typeof v !== 'string')) {
+    out.errors.push({ at, msg: 'translations must be an object of language code → text' });
+  }
+}
+
+/**
+ * validateEdge(edge, at, ids, out)
+ * Check one ['a', 'b', cost, { cap, len }?] entry. `ids` is the set of
+ * node ids the endpoints may refer to.
+ */
+function validateEdge(edge, at, ids, out) {
+  if (!Array.isArray(edge) || edge.length < 3 || edge.length > 4) {
+    out.errors.push({ at, msg: 'edge must be [nodeA, nodeB, cost] or [nodeA, nodeB, cost, { cap, len }]' });
+    return false;
+  }
+  const [a, b, w, attrs] = edge;
+  let ok = true;
+  [a, b].forEach((id, i) => {
+    if (!ids.has(id)) {
+      out.errors.push({ at: `${at}[${i}]`, msg: `unknown node id "${id}"` });
+      ok = false;
+    }
+  });
+  if (a === b) out.errors.push({ at, msg: `edge connects "${a}" to itself` });
+  if (!isPos(w)) out.errors.push({ at: `${at}[2]`, msg: 'cost must be a positive number' });
+  if (attrs !== undefined) {
+    if (!isObj(attrs)) {
+      out.errors.push({ at: `${at}[3]`, msg: 'edge attributes must be an object' });
+    } else {
+      if (attrs.cap !== undefined && !isPos(attrs.cap)) {
+        out.errors.push({ at: `${at}[3].cap`, msg: 'cap must be a positive number' });
+      }
+      if (attrs.len !== undefined && !isPos(attrs.len)) {
+        out.errors.push({ at: `${at}[3].len`, msg: 'len must be a positive number (metres)' });
+      }
+    }
+  }
+  return ok;
+}
+
+/**
+ * validateBuilding(def)
+ * @param {*} def - Parsed JSON
+ * @returns {{ errors: {at, msg}[], warnings: {at, msg}[] }}
+ */
+function validateBuilding(def) {
+  const out = { errors: [], warnings: [] };
+
+  if (!isObj(def)) {
+    out.errors.push({ at: '(root)', msg: 'building must be a JSON object' });
+    return out;
+  }
+  if (typeof def.name !== 'string' || !def.name.trim()) {
+    out.warnings.push({ at: 'name', msg: 'building has no name' });
+  }
+  if (!isObj(def.floors) || !Object.keys(def.floors).length) {
+    out.errors.push({ at: 'floors', msg: 'floors must be an object with at least one floor' });
+    return out;
+  }
+
+  const owner = {};        // node id → floor key, building-wide
+  const exitIds = new Set();
+  const levels = {};
+
+  // ── Per-floor structure ──
+  Object.entries(def.floors).forEach(([f, fd]) => {
+    const at = `floors.${f}`;
+    if (!FLOOR_KEY.test(f)) {
+      out.errors.push({ at, msg: `floor key "${f}" must start with a letter and hold only letters, digits, "_" and "-"` });
+    }
+    if (!isObj(fd)) {
+      out.errors.push({ at, msg: 'floor must be an object' });
+      return;
+    }
+    if (typeof fd.label !== 'string') out.warnings.push({ at: `${at}.label`, msg: 'floor has no label' });
+    validateTranslations(fd.labels, `${at}.labels`, out);
+    validateTranslations(fd.notes, `${at}.notes`, out);
+    if (!isInt(fd.level)) {
+      out.errors.push({ at: `${at}.level`, msg: 'level must be an integer (0 = ground, negative = below)' });
+    } else if (levels[fd.level]) {
+      out.errors.push({ at: `${at}.level`, msg: `level ${fd.level} is also used by floor ${levels[fd.level]}` });
+    } else {
+      levels[fd.level] = f;
+    }
+    if (fd.scale !== undefined && !isPos(fd.scale)) {
+      out.errors.push({ at: `${at}.scale`, msg: 'scale must be a positive number (metres per pixel)' });
+    }
+    ['rooms', 'exits', 'edges'].forEach((k) => {
+      if (!Array.isArray(fd[k])) out.errors.push({ at: `${at}.${k}`, msg: `${k} must be an array` });
+    });
+    if (!Array.isArray(fd.rooms) || !Array.isArray(fd.exits)) return;
+    if (!fd.rooms.length) out.warnings.push({ at: `${at}.rooms`, msg: 'floor has no rooms' });
+
+    const claim = (id, where) => {
+      if (typeof id !== 'string' || !id) {
+        out.errors.push({ at: `${where}.id`, msg: 'id must be a non-empty string' });
+        return false;
+      }
+      // '|' joins corridor keys (kitchen|main_hall), ',' the URL hash list
+      if (/[|,]/.test(id)) {
+        out.errors.push({ at: `${where}.id`, msg: `id "${id}" must not contain "|" or ","` });
+        return false;
+      }
+      if (owner[id]) {
+        out.errors.push({ at: `${where}.id`, msg: `duplicate id "${id}" (already used on ${owner[id]})` });
+        return false;
+      }
+      owner[id] = f;
+      return true;
+    };
+
+    // Grid overrides, then the resolved size rooms / exits use
+    if (fd.grid !== undefined) {
+      if (!isObj(fd.grid)) {
+        out.errors.push({ at: `${at}.grid`, msg: 'grid must be an object' });
+      } else {
+        Object.entries(fd.grid).forEach(([k, v]) => {
+          if (!(k in GRID_DEFAULTS)) {
+            out.warnings.push({ at: `${at}.grid.${k}`, msg: `unknown grid field (expected ${Object.keys(GRID_DEFAULTS).join(', ')})` });
+          } else if (!isPos(v) || ((k === 'cols' || k === 'rows') && !isInt(v))) {
+            out.errors.push({ at: `${at}.grid.${k}`, msg: `${k} must be a positive ${k === 'cols' || k === 'rows' ? 'integer' : 'number'}` });
+          }
+        });
+      }
+    }
+    const g = { ...GRID_DEFAULTS, ...(isObj(fd.grid) ? fd.grid : {}) };
+    const inRange = (v, n) => isInt(v) && v >= 0 && v < n;
+
+    fd.rooms.forEach((r, i) => {
+      const rat = `${at}.rooms[${i}]`;
+      if (!isObj(r)) {
+        out.errors.push({ at: rat, msg: 'room must be an object' });
+        return;
+      }
+      claim(r.id, rat);
+      if (typeof r.label !== 'string') out.warnings.push({ at: `${rat}.label`, msg: 'room has no label' });
+      validateTranslations(r.labels, `${rat}.labels`, out);
+      if (r.w !== undefined || r.h !== undefined || r.x !== undefined || r.y !== undefined) {
+        // Explicit geometry — all four, in floor pixels
+        ['x', 'y'].forEach((k) => {
+          if (typeof r[k] !== 'number' || !isFinite(r[k]) || r[k] < 0) {
+            out.errors.push({ at: `${rat}.${k}`, msg: `${k} must be a non-negative number` });
+          }
+        });
+        ['w', 'h'].forEach((k) => {
+          if (!isPos(r[k])) out.errors.push({ at: `${rat}.${k}`, msg: `${k} must be a positive number` });
+        });
+      } else {
+        if (!inRange(r.col, g.cols)) {
+          out.errors.push({ at: `${rat}.col`, msg: `col must be an integer 0–${g.cols - 1} (or give x, y, w, h)` });
+        }
+        if (!inRange(r.row, g.rows)) {
+          out.errors.push({ at: `${rat}.row`, msg: `row must be an integer 0–${g.rows - 1} (or give x, y, w, h)` });
+        }
+      }
+      if (r.occupants !== undefined && !(isInt(r.occupants) && r.occupants >= 0)) {
+        out.errors.push({ at: `${rat}.occupants`, msg: 'occupants must be a non-negative integer' });
+      }
+      ['isStair', 'isElevator', 'isRefuge'].forEach((k) => {
+        if (r[k] !== undefined && typeof r[k] !== 'boolean') {
+          out.errors.push({ at: `${rat}.${k}`, msg: `${k} must be true or false` });
+        }
+      });
+    });
+
+    fd.exits.forEach((e, i) => {
+      const eat = `${at}.exits[${i}]`;
+      if (!isObj(e)) {
+        out.errors.push({ at: eat, msg: 'exit must be an object' });
+        return;
+      }
+      if (claim(e.id, eat)) exitIds.add(e.id);
+      if (typeof e.label !== 'string') out.warnings.push({ at: `${eat}.label`, msg: 'exit has no label' });
+      validateTranslations(e.labels, `${eat}.labels`, out);
+      if (!Object.prototype.hasOwnProperty.call(EXIT_DEFS, e.side)) {
+        out.errors.push({
+          at: `${eat}.side`,
+          msg: `unknown side "${e.side}" (expected ${Object.keys(EXIT_DEFS).join(' | ')})`,
+        });
+      }
+      if (e.offset !== undefined) {
+        if (typeof e.offset !== 'number' || !(e.offset >= 0 && e.offset <= 1)) {
+          out.errors.push({ at: `${eat}.offset`, msg: 'offset must be a number from 0 to 1 along the wall' });
+        }
+      } else if ((e.side === 'top' || e.side === 'bottom') && e.col !== undefined && !inRange(e.col, g.cols)) {
+        out.errors.push({ at: `${eat}.col`, msg: `col must be an integer 0–${g.cols - 1}` });
+      } else if ((e.side === 'left' || e.side === 'right') && e.row !== undefined && !inRange(e.row, g.rows)) {
+        out.errors.push({ at: `${eat}.row`, msg: `row must be an integer 0–${g.rows - 1}` });
+      }
+      if (e.capacity !== undefined && !isPos(e.capacity)) {
+        out.errors.push({ at: `${eat}.capacity`, msg: 'capacity must be a positive number' });
+      }
+      if (e.accessible !== undefined && typeof e.accessible !== 'boolean') {
+        out.errors.push({ at: `${eat}.accessible`, msg: 'accessible must be true or false' });
+      }
+    });
+  });
+
+  // ── Overlapping rooms / exits ──
+  // Two rooms on top of each other is an error; an exit drawn over
+  // a room or another exit only hides a label, so it is a warning.
+  // Geometry needs sound rooms / exits, so skip it after errors.
+  const sound = !out.errors.length;
+  Object.entries(sound ? def.floors : {}).forEach(([f, fd]) => {
+    const { rooms, exits } = computeCoords(fd);
+    const boxes = [
+      ...rooms.map((n, i) => ({ n, room: true, at: `floors.${f}.rooms[${i}]` })),
+      ...exits.map((n, i) => ({ n, room: false, at: `floors.${f}.exits[${i}]` })),
+    ];
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        if (!rectsOverlap(boxes[i].n, boxes[j].n)) continue;
+        const list = boxes[i].room && boxes[j].room ? out.errors : out.warnings;
+        list.push({ at: boxes[j].at, msg: `"${boxes[j].n.id}" overlaps "${boxes[i].n.id}"` });
+      }
+    }
+  });
+
+  // ── Edges ──
+  const edges = [];
+  const seen = {};
+  Object.entries(def.floors).forEach(([f, fd]) => {
+    if (!isObj(fd) || !Array.isArray(fd.edges)) return;
+    const ids = new Set(Object.keys(owner).filter((id) => owner[id] === f));
+    fd.edges.forEach((edge, i) => {
+      const at = `floors.${f}.edges[${i}]`;
+      if (!validateEdge(edge, at, ids, out)) return;
+      const k = [edge[0], edge[1]].sort().join('|');
+      if (seen[k]) out.warnings.push({ at, msg: `duplicate of ${seen[k]}` });
+      seen[k] = at;
+      edges.push(edge);
+    });
+  });
+
+  // Links between floors, and the room flag each end should carry
+  [['stairLinks', 'isStair'], ['elevatorLinks', 'isElevator']].forEach(([key, flag]) => {
+    if (def[key] !== undefined && !Array.isArray(def[key])) {
+      out.errors.push({ at: key, msg: `${key} must be an array` });
+    }
+    (Array.isArray(def[key]) ? def[key] : []).forEach((link, i) => {
+      const at = `${key}[${i}]`;
+      if (!validateEdge(link, at, new Set(Object.keys(owner)), out)) return;
+      const [a, b] = link;
+      if (owner[a] === owner[b]) {
+        out.errors.push({ at, msg: `"${a}" and "${b}" are on the same floor — use a floor edge` });
+      }
+      [a, b].forEach((id, j) => {
+        const room = def.floors[owner[id]].rooms.find((r) => isObj(r) && r.id === id);
+        if (!room || !room[flag]) {
+          out.warnings.push({ at: `${at}[${j}]`, msg: `"${id}" is not flagged ${flag}` });
+        }
+      });
+      edges.push(link);
+    });
+  });
+
+  // Hazard presets — hazards keyed like the URL hash
+  if (def.presets !== undefined && !Array.isArray(def.presets)) {
+    out.errors.push({ at: 'presets', msg: 'presets must be an array' });
+  }
+  (Array.isArray(def.presets) ? def.presets : []).forEach((p, i) => {
+    const at = `presets[${i}]`;
+    if (!isObj(p) || typeof p.name !== 'string' || !p.name.trim() || !isObj(p.hazards)) {
+      out.errors.push({ at, msg: 'preset must be { "name": "…", "hazards": { id: type } }' });
+      return;
+    }
+    Object.entries(p.hazards).forEach(([id, type]) => {
+      const hat = `${at}.hazards.${id}`;
+      const kinds = seen[id] ? CORRIDOR_HAZARDS
+        : exitIds.has(id) ? ['exit-blocked']
+          : owner[id] ? ROOM_HAZARDS : null;
+      if (!kinds) out.errors.push({ at: hat, msg: `unknown room, exit or corridor "${id}"` });
+      else if (!kinds.includes(type)) out.errors.push({ at: hat, msg: `hazard must be one of ${kinds.join(', ')}` });
+    });
+  });
+
+  // ── Connectivity (ignoring hazards) ──
+  const adj = {};
+  Object.keys(owner).forEach((id) => { adj[id] = []; });
+  edges.forEach(([a, b]) => {
+    if (!adj[a] || !adj[b]) return;
+    adj[a].push(b);
+    adj[b].push(a);
+  });
+
+  exitIds.forEach((id) => {
+    if (!adj[id].length) {
+      out.warnings.push({ at: `floors.${owner[id]}.exits`, msg: `exit "${id}" has no edges — nothing leads to it` });
+    }
+  });
+  if (!exitIds.size) out.errors.push({ at: 'floors', msg: 'building has no exits' });
+
+  // Flood-fill outwards from every exit
+  const reach = new Set(exitIds);
+  const queue = [...exitIds];
+  while (queue.length) {
+    const u = queue.shift();
+    adj[u].forEach((v) => {
+      if (!reach.has(v)) {
+        reach.add(v);
+        queue.push(v);
+      }
+    });
+  }
+  Object.entries(def.floors).forEach(([f, fd]) => {
+    if (!isObj(fd) || !Array.isArray(fd.rooms)) return;
+    fd.rooms.forEach((r, i) => {
+      if (isObj(r) && typeof r.id === 'string' && !reach.has(r.id)) {
+        out.warnings.push({ at: `floors.${f}.rooms[${i}]`, msg: `"${r.id}" has no path to any exit` });
+      }
+    });
+  });
+
+  return out;
+}
+
+// ── Load / export ─────────────────────────────────────────────
+/**
+ * putBuilding(def)
+ * Replace BLDG, STAIR_LINKS, ELEVATOR_LINKS, HAZARD_PRESETS and
+ * the name in place with a definition, and nothing else (undo.js
+ * puts editor snapshots back this way).
+ */
+function putBuilding(def) {
+  Object.keys(BLDG).forEach((f) => { delete BLDG[f]; });
+  Object.assign(BLDG, JSON.parse(JSON.stringify(def.floors)));
+  STAIR_LINKS.length = 0;
+  STAIR_LINKS.push(...JSON.parse(JSON.stringify(def.stairLinks || [])));
+  ELEVATOR_LINKS.length = 0;
+  ELEVATOR_LINKS.push(...JSON.parse(JSON.stringify(def.elevatorLinks || [])));
+  HAZARD_PRESETS.length = 0;
+  HAZARD_PRESETS.push(...JSON.parse(JSON.stringify(def.presets || [])));
+  BLDG_META.name = def.name || 'Untitled building';
+}
+
+/** The ground floor if there is one, else the lowest. */
+function homeFloor() {
+  const keys = Object.keys(BLDG);
+  return keys.find((f) => BLDG[f].level === 0)
+    || keys.sort((a, b) => BLDG[a].level - BLDG[b].level)[0];
+}
+
+/**
+ * applyBuilding(def)
+ * Make a validated definition the live building (putBuilding()),
+ * reset position, hazards, simulation, the incident timeline,
+ * the undo history and what each sensor reported, and rebuild
+ * the floor tabs.
+ */
+function applyBuilding(def) {
+  simReset();
+  putBuilding(def);
+
+  floor = homeFloor();
+  pos = null;
+  haz = {};
+  clearTimeline();
+  clearUndo();
+  clearSensorClaims();
+  recordEvent('start');
+
+  buildFloorTabs();
+  populateSel();
+  render();
+}
+
+/** The current building as a JSON-format definition. */
+function exportBuilding() {
+  return {
+    name: BLDG_META.name,
+    floors: JSON.parse(JSON.stringify(BLDG)),
+    stairLinks: JSON.parse(JSON.stringify(STAIR_LINKS)),
+    elevatorLinks: JSON.parse(JSON.stringify(ELEVATOR_LINKS)),
+    presets: JSON.parse(JSON.stringify(HAZARD_PRESETS)),
+  };
+}
+
+/** Offer the current building as a .json download. */
+function downloadBuilding() {
+  const blob = new Blob([JSON.stringify(exportBuilding(), null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${BLDG_META.name.replace(/[^\w-]+/g, '_') || 'building'}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/**
+ * loadBuildingFile(file)
+ * Read a File (picker or drop), validate it and show the report.
+ * Parse errors are reported like any other error.
+ */
+function loadBuildingFile(file) {
+  return file.text().then((text) => {
+    let def;
+    try {
+      def = JSON.parse(text);
+    } catch (err) {
+      showBuildingReport(file.name, null, {
+        errors: [{ at: '(file)', msg: `not valid JSON — ${err.message}` }],
+        warnings: [],
+      });
+      return;
+    }
+    showBuildingReport(file.name, def, validateBuilding(def));
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// VALIDATION REPORT DIALOG
+// ─────────────────────────────────────────────────────────────
+function showBuildingReport(fileName, def, report) {
+  const ok = !report.errors.length;
+  pendingBuilding = ok ? def : null;
+
+  const rows = (list, cls, ico) => list
+    .map((p) => `<li class="vrow ${cls}"><span>${ico}</span><code>${escHtml(p.at)}</code>${escHtml(p.msg)}</li>`)
+    .join('');
+
+  const floors = ok ? escHtml(Object.keys(def.floors).join(' · ')) : '';
+
+  document.getElementById('bldgReportBody').innerHTML = `
+    <div class="rbtag">// ${escHtml(fileName)}</div>
+    <div class="${ok ? 'rbxit' : 'rbfail'}">
+      ${ok ? `✓ ${escHtml(def.name || 'Untitled building')}` : `⚠ ${report.errors.length} ERROR${report.errors.length > 1 ? 'S' : ''}`}
+    </div>
+    <div class="rbmeta">
+      ${ok ? `<div>FLOORS <span>${floors}</span></div>` : ''}
+      <div>ERRORS <span>${report.errors.length}</span></div>
+      <div>WARNINGS <span>${report.warnings.length}</span></div>
+    </div>
+    <ul class="vlist">
+      ${rows(report.errors, 'verr', '✗')}
+      ${rows(report.warnings, 'vwarn', '⚠')}
+    </ul>
+    ${ok ? '' : '<p class="rbox-hint">Fix the errors above and load the file again.</p>'}`;
+
+  document.getElementById('bldgApply').hidden = !ok;
+  document.getElementById('bldgReport').hidden = false;
+}
+
+function closeBuildingReport() {
+  pendingBuilding = null;
+  document.getElementById('bldgReport').hidden = true;
+}
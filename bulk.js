@@ -0,0 +1,291 @@
+/**
+ * js/bulk.js
+ * =============================================================
+ * Bulk hazard actions and hazard presets.
+ *
+ * Bulk actions
+ * ------------
+ *   CLEAR FLOOR   removes every room, exit and corridor hazard of
+ *                 the floor on screen
+ *   CLEAR ALL     does the same for the whole building
+ *   MARK REGION   drag a box on the map (or Shift-drag at any
+ *                 time) to give every room it touches the hazard
+ *                 chosen next to the button; a plain click marks
+ *                 the room under the pointer
+ *
+ * Each action is a single timeline entry and a single undo step.
+ *
+ * Presets
+ * -------
+ * A preset is a named set of hazards keyed like the URL hash:
+ *
+ *   { name: 'Kitchen fire (GF)', hazards: { kitchen: 'fire', 'kitchen|stairGF': 'smoke' } }
+ *
+ * The building's own presets (HAZARD_PRESETS, from data.js or
+ * the building JSON) are listed first, then the ones saved in
+ * this browser for the same building. Applying a preset adds its
+ * hazards to the current ones — CLEAR ALL first to start from a
+ * clean building. Ids the building does not know, and hazards
+ * that do not fit the node (fire on an exit …), are skipped.
+ *
+ * Depends on: data.js, routing.js, render.js, timeline.js,
+ *             editor.js, overview.js; drill.js at run time
+ * State used: floor, haz
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of the presets saved in this browser
+const PRESET_STORE = 'liferoute.presets';
+
+// ── State ─────────────────────────────────────────────────────
+const bulk = {
+  region: false,  // MARK REGION is on
+  type:   'fire', // hazard the region gets
+  drag:   null,   // { x0, y0, x, y } while a box is being drawn
+};
+
+// ── Applying many hazards at once ─────────────────────────────
+/**
+ * hazardFits(id, type)
+ * Can `type` be set on `id` in the current building? Rooms take
+ * ROOM_HAZARDS, exits 'exit-blocked', floor edges CORRIDOR_HAZARDS.
+ */
+function hazardFits(id, type) {
+  if (!isKnownId(id)) return false;
+  if (edgeEnds(id)) return CORRIDOR_HAZARDS.includes(type);
+  return BLDG[floorOf(id)].exits.some((e) => e.id === id) ? type === 'exit-blocked' : ROOM_HAZARDS.includes(type);
+}
+
+/**
+ * putHazards(map)
+ * Set (or, for '', clear) many hazards without a timeline entry
+ * each; the caller records the action as a whole.
+ * @param {object} map - id → hazard type
+ * @returns {number} How many hazards changed
+ */
+function putHazards(map) {
+  let n = 0;
+  Object.entries(map).forEach(([id, type]) => {
+    const f = floorOf(id);
+    if (!f || (type && !hazardFits(id, type))) return;
+    const cur = (haz[f] || {})[id] || '';
+    if (cur === type) return;
+    if (!haz[f]) haz[f] = {};
+    if (type) haz[f][id] = type;
+    else delete haz[f][id];
+    n++;
+  });
+  return n;
+}
+
+/** Remove every hazard of one floor. */
+function clearFloorHazards(f) {
+  if (!Object.keys(haz[f] || {}).length) return;
+  delete haz[f];
+  recordEvent('clear', f);
+  render();
+}
+
+/** Remove every hazard in the building. */
+function clearAllHazards() {
+  if (!Object.keys(snapshotHazards()).length) return;
+  haz = {};
+  recordEvent('clear');
+  render();
+}
+
+// ── Region selection ──────────────────────────────────────────
+/**
+ * roomsInBox(rooms, box)
+ * Rooms whose rectangle touches box (so a zero-size box — a
+ * click — picks the room under it).
+ * @param {{ id, x, y, w, h }[]} rooms - computeCoords() rooms
+ * @param {{ x, y, w, h }} box
+ * @returns {string[]} Room ids
+ */
+function roomsInBox(rooms, box) {
+  return rooms
+    .filter((r) => r.x <= box.x + box.w && box.x <= r.x + r.w && r.y <= box.y + box.h && box.y <= r.y + r.h)
+    .map((r) => r.id);
+}
+
+/** Give every room of the current floor inside box the region hazard. */
+function markRegion(box) {
+  const ids = roomsInBox(computeCoords(BLDG[floor]).rooms, box);
+  if (putHazards(Object.fromEntries(ids.map((id) => [id, bulk.type])))) {
+    recordEvent('region', floor, bulk.type);
+  }
+  render();
+}
+
+function toggleRegion() {
+  bulk.region = !bulk.region;
+  render();
+}
+
+/** Normalised { x, y, w, h } of the box being drawn. */
+function dragBox(d) {
+  return { x: Math.min(d.x, d.x0), y: Math.min(d.y, d.y0), w: Math.abs(d.x - d.x0), h: Math.abs(d.y - d.y0) };
+}
+
+function regionPointerDown(ev) {
+  if (!(bulk.region || ev.shiftKey) || ev.button !== 0) return;
+  if (editor.on || overview.on || timeline.view !== null || drill.phase) return;
+  const svg = ev.currentTarget;
+  const p = svgPoint(svg, ev);
+  bulk.drag = { x0: p.x, y0: p.y, x: p.x, y: p.y };
+  svg.setPointerCapture(ev.pointerId);
+  ev.preventDefault();
+}
+
+function regionPointerMove(ev) {
+  if (!bulk.drag) return;
+  const p = svgPoint(ev.currentTarget, ev);
+  bulk.drag.x = p.x;
+  bulk.drag.y = p.y;
+  drawRegionBox(ev.currentTarget);
+}
+
+function regionPointerUp() {
+  const d = bulk.drag;
+  if (!d) return;
+  bulk.drag = null;
+  markRegion(dragBox(d));
+}
+
+/** Rubber band of the box being drawn. */
+function drawRegionBox(svg) {
+  const old = svg.querySelector('.region-box');
+  if (old) old.remove();
+  if (!bulk.drag) return;
+  const b = dragBox(bulk.drag);
+  svg.appendChild(svgel('rect', {
+    x: b.x, y: b.y, width: b.w, height: b.h, class: `region-box rb-${bulk.type || 'clear'}`,
+  }));
+}
+
+// ── Presets ───────────────────────────────────────────────────
+/**
+ * listUserPresets()
+ * @returns {{ name: string, building: string, hazards: object }[]}
+ *   every preset saved in this browser, for any building
+ */
+function listUserPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PRESET_STORE) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeUserPresets(list) {
+  try {
+    localStorage.setItem(PRESET_STORE, JSON.stringify(list));
+  } catch {
+    flashPresetNote('STORAGE UNAVAILABLE');
+  }
+  buildPresetPanel();
+}
+
+/** Add a preset's hazards to the current ones. */
+function applyPreset(p) {
+  const n = putHazards(p.hazards);
+  if (!n) {
+    flashPresetNote('ALREADY APPLIED');
+    return;
+  }
+  recordEvent('preset', p.name);
+
+  // Show the incident if none of it is on the floor in view
+  const floors = Object.keys(p.hazards).map(floorOf).filter(Boolean);
+  if (!floors.includes(floor)) setFloor(floors[0]);
+  else render();
+}
+
+/** Save the current hazards as a preset of this building. */
+function savePreset(name) {
+  const hazards = snapshotHazards();
+  if (!Object.keys(hazards).length) {
+    flashPresetNote('NO HAZARDS TO SAVE');
+    return;
+  }
+  const own = listUserPresets().filter((p) => p.building === BLDG_META.name);
+  const label = String(name || '').trim() || `Preset ${HAZARD_PRESETS.length + own.length + 1}`;
+  const list = listUserPresets().filter((p) => !(p.building === BLDG_META.name && p.name === label));
+  list.unshift({ name: label, building: BLDG_META.name, hazards });
+  storeUserPresets(list);
+  flashPresetNote('SAVED');
+}
+
+/** Delete a saved preset, by its index in listUserPresets(). */
+function deletePreset(i) {
+  const list = listUserPresets();
+  list.splice(i, 1);
+  storeUserPresets(list);
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — hazard tools and presets
+// ─────────────────────────────────────────────────────────────
+let presetNoteTimer = null;
+
+/** Show a short confirmation next to the presets title. */
+function flashPresetNote(msg) {
+  const el = document.getElementById('preNote');
+  el.textContent = msg;
+  clearTimeout(presetNoteTimer);
+  presetNoteTimer = setTimeout(() => { el.textContent = ''; }, 2000);
+}
+
+function buildHazardTools() {
+  buildUndoButtons();
+  const frozen = timeline.view !== null || editor.on;
+  document.getElementById('clrFloor').textContent = `CLEAR ${floor}`;
+  document.getElementById('clrFloor').disabled = frozen || !Object.keys(haz[floor] || {}).length;
+  document.getElementById('clrAll').disabled = frozen || !Object.keys(snapshotHazards()).length;
+
+  const reg = document.getElementById('regionBtn');
+  reg.classList.toggle('on', bulk.region);
+  reg.disabled = frozen || overview.on;
+  document.getElementById('mapSvg').classList.toggle('marking', bulk.region && !reg.disabled);
+  document.getElementById('regionHaz').value = bulk.type;
+
+  buildPresetPanel();
+}
+
+/** A preset's hazards as a tooltip: "Kitchen: fire, Main Hall: smoke". */
+function presetSummary(p) {
+  return Object.entries(p.hazards)
+    .filter(([id]) => floorOf(id))
+    .map(([id, type]) => `${nodeLabel(id)}: ${type}`)
+    .join(', ');
+}
+
+function buildPresetPanel() {
+  const el = document.getElementById('preList');
+  const rows = [
+    ...HAZARD_PRESETS.map((p, i) => ({ p, src: 'b', i })),
+    ...listUserPresets()
+      .map((p, i) => ({ p, src: 'u', i }))
+      .filter(({ p }) => p.building === BLDG_META.name),
+  ];
+
+  if (!rows.length) {
+    el.innerHTML = '<span class="none-label">// no presets</span>';
+    return;
+  }
+
+  el.innerHTML = rows
+    .map(({ p, src, i }) => `<div class="scnrow prerow" data-src="${src}" data-i="${i}">
+        <div class="scnname" title="${escHtml(presetSummary(p))}">${escHtml(p.name)}</div>
+        <div class="scnmeta">${Object.keys(p.hazards).length} hazard${Object.keys(p.hazards).length === 1 ? '' : 's'}${src === 'b' ? ' · building' : ''}</div>
+        <div class="scnbtns">
+          <button class="sbtn" data-act="apply">APPLY</button>
+          ${src === 'u' ? '<button class="sbtn" data-act="delete" title="Delete">✗</button>' : ''}
+        </div>
+      </div>`)
+    .join('');
+}
@@ -4,90 +4,250 @@
  * Building data — floor layouts, room definitions, corridor
  * edges, and exit positions.
  *
- * Grid system
- * -----------
- * Every floor uses a 3-column × 3-row pixel grid:
- *   Columns (cx): [110, 360, 610]
- *   Rows    (cy): [130, 260, 390]
- *   Room size:     W=180, H=80
+ * Layout
+ * ------
+ * Each floor is laid out on its own pixel grid. By default it
+ * is 3 columns × 3 rows of 180×80 rooms on a 250×130 pitch; a
+ * floor can override any of that with
+ *   grid: { cols, rows, cellW, cellH, roomW, roomH }
+ *
+ * A room is placed either by grid cell { col, row } or by
+ * explicit geometry { x, y, w, h } in floor pixels, so rooms
+ * of different sizes can share a floor.
+ *
+ * Exits sit in a band just outside the rooms on one wall:
+ *   side: 'top' | 'bottom' — positioned by `col`
+ *   side: 'left' | 'right' — positioned by `row`
+ * or, on any wall, by `offset` (0–1 along that wall). Left and
+ * right exit bands are only reserved when a floor uses them.
+ *
+ * Floor pixels are turned into metres by the floor's `scale`
+ * (metres per pixel, default FLOOR_SCALE) — used for walking
+ * distances in the directions.
  *
- * Each room is placed by { col: 0|1|2, row: 0|1|2 }.
- * computeCoords() converts col/row to pixel coordinates at
- * runtime, so all layout logic stays in one place here.
+ * computeCoords() converts all of this to pixel coordinates at
+ * runtime, and also returns the floor's overall width / height
+ * so the map can size its viewBox, so all layout logic stays
+ * in one place here.
  *
  * Edge format
  * -----------
- * ['nodeA', 'nodeB', cost]
- * All costs are 1 (uniform hop cost) so Dijkstra finds the
- * true minimum-hop path. Every edge is bidirectional.
+ * ['nodeA', 'nodeB', cost, { cap, len }?]
+ * All costs are 1 (uniform hop cost). The page does not route by
+ * them: routing.js weighs every edge by its travel time instead
+ * (see "Distances"). Every edge is bidirectional.
+ * The optional 4th element holds per-edge attributes:
+ *   cap — throughput in persons / minute (default EDGE_CAPACITY)
+ *   len — walking length in metres (default: from the layout)
+ *
+ * Distances
+ * ---------
+ * A corridor is as long as the walk between its two node centres
+ * along the map axes, the way the map draws it, times the floor's
+ * scale — unless its `len` says otherwise. A stair link is one
+ * flight of STAIR_FLIGHT_M metres (or its `len`), walked more
+ * slowly than a corridor; a lift link is LIFT_RIDE_S seconds.
+ *
+ * Occupancy
+ * ---------
+ * Rooms carry `occupants` (people normally present) and exits
+ * carry `capacity` (persons / minute through the door). Both
+ * feed the mass-evacuation planner in planner.js.
+ *
+ * Stairwells
+ * ----------
+ * Floors are joined into one building-wide graph by STAIR_LINKS,
+ * which connect the stair rooms of vertically adjacent floors.
+ * Only GF and the basement have real exits; every other floor
+ * evacuates down through the linked stairwells.
+ *
+ * Step-free evacuation
+ * --------------------
+ * ELEVATOR_LINKS join the lift rooms (`isElevator`) of the floors
+ * a lift serves; only the "no stairs" routing profile uses them.
+ * Exits flagged `accessible: false` have steps, and rooms flagged
+ * `isRefuge` are areas of rescue assistance — here the protected
+ * landings of the upper-floor stairwells.
+ *
+ * Translations
+ * ------------
+ * Rooms, exits and floors may carry `labels` (and floors `notes`)
+ * keyed by language code; i18n.js shows them in place of `label`
+ * / `note` when that language is selected.
  * =============================================================
  */
 
 'use strict';
 
-// ── Grid constants ────────────────────────────────────────────
-const GCOL = [110, 360, 610]; // column centre x-values (px)
-const GROW = [130, 260, 390]; // row centre y-values (px)
-const RW   = 180;             // room width  (px)
-const RH   = 80;              // room height (px)
+// ── Layout constants ──────────────────────────────────────────
+// Default grid for floors without their own `grid` (px)
+const GRID_DEFAULTS = {
+  cols:  3,    // grid columns
+  rows:  3,    // grid rows
+  cellW: 250,  // column pitch (centre to centre)
+  cellH: 130,  // row pitch    (centre to centre)
+  roomW: 180,  // grid room width
+  roomH: 80,   // grid room height
+};
+
+const PAD       = 20;  // outer padding around the floor
+const TOP_BAND  = 70;  // space above the rooms (top exit band)
+const BOT_BAND  = 80;  // space below the rooms (bottom exit band)
+const WALL_BAND = 50;  // left / right exit band, when used
+const EXIT_LONG  = 180; // exit length along its wall
+const EXIT_DEPTH = 28;  // exit depth for top / bottom exits
+
+// Metres per floor pixel, for floors without their own `scale`
+// (a 250 px grid pitch is 12.5 m)
+const FLOOR_SCALE = 0.05;
+
+// ── Travel defaults ───────────────────────────────────────────
+const STAIR_FLIGHT_M = 8;   // walking length of a stair link (m)
+const LIFT_RIDE_S    = 15;  // lift ride per elevator link, doors included (s)
 
-// Exit pixel geometry — keyed by side name
+// ── Throughput defaults (persons / minute) ───────────────────
+const EDGE_CAPACITY = 90;   // corridor without an explicit cap
+const EXIT_CAPACITY = 60;   // exit without an explicit capacity
+
+// Exit pixel geometry — keyed by side name.
+// g is the floor layout from floorLayout(); `offset` (0–1 along
+// the wall) wins over col / row when both are given.
 const EXIT_DEFS = {
-  bottom: (col) => ({ x: GCOL[col] - 90, y: 462, w: 180, h: 28 }),
-  top:    (col) => ({ x: GCOL[col] - 90, y: 20,  w: 180, h: 28 }),
-  left:   (_)   => ({ x: 20,             y: GROW[1] - 22, w: 28, h: 44 }),
-  right:  (_)   => ({ x: 672,            y: GROW[1] - 22, w: 28, h: 44 }),
+  bottom: (e, g) => {
+    const cx = e.offset !== undefined ? e.offset * g.width : g.colX[e.col ?? g.midCol];
+    return { x: cx - EXIT_LONG / 2, y: g.height - PAD - EXIT_DEPTH, w: EXIT_LONG, h: EXIT_DEPTH };
+  },
+  top: (e, g) => {
+    const cx = e.offset !== undefined ? e.offset * g.width : g.colX[e.col ?? g.midCol];
+    return { x: cx - EXIT_LONG / 2, y: PAD, w: EXIT_LONG, h: EXIT_DEPTH };
+  },
+  left: (e, g) => {
+    const cy = e.offset !== undefined ? e.offset * g.height : g.rowY[e.row ?? g.midRow];
+    return { x: PAD, y: cy - 22, w: 28, h: 44 };
+  },
+  right: (e, g) => {
+    const cy = e.offset !== undefined ? e.offset * g.height : g.rowY[e.row ?? g.midRow];
+    return { x: g.width - PAD - 28, y: cy - 22, w: 28, h: 44 };
+  },
 };
 
+/**
+ * floorLayout(fd)
+ * Resolve a floor's grid: column / row centre lines, room size,
+ * and the floor's overall pixel size (covering explicit-geometry
+ * rooms too).
+ * @param {object} fd - Floor definition from BLDG
+ * @returns {object}  - GRID_DEFAULTS fields plus
+ *                      { colX, rowY, midCol, midRow, width, height }
+ */
+function floorLayout(fd) {
+  const g = { ...GRID_DEFAULTS, ...(fd.grid || {}) };
+  const left  = fd.exits.some((e) => e.side === 'left')  ? WALL_BAND : 0;
+  const right = fd.exits.some((e) => e.side === 'right') ? WALL_BAND : 0;
+
+  g.colX = Array.from({ length: g.cols }, (_, c) => PAD + left + g.roomW / 2 + c * g.cellW);
+  g.rowY = Array.from({ length: g.rows }, (_, r) => TOP_BAND + PAD + g.roomH / 2 + r * g.cellH);
+  g.midCol = Math.floor((g.cols - 1) / 2);
+  g.midRow = Math.floor((g.rows - 1) / 2);
+
+  // Rightmost / lowest room edge, grid or explicit
+  let maxX = g.colX[g.cols - 1] + g.roomW / 2;
+  let maxY = g.rowY[g.rows - 1] + g.roomH / 2;
+  fd.rooms.forEach((r) => {
+    if (r.w === undefined) return;
+    maxX = Math.max(maxX, r.x + r.w);
+    maxY = Math.max(maxY, r.y + r.h);
+  });
+
+  g.width  = maxX + PAD + right;
+  g.height = maxY + BOT_BAND;
+  return g;
+}
+
+/** Metres per pixel on a floor. */
+function floorScale(fd) {
+  return fd.scale || FLOOR_SCALE;
+}
+
 /**
  * computeCoords(fd)
- * Convert a floor definition's col/row room specs into full
+ * Convert a floor definition's room and exit specs into full
  * pixel-coordinate objects used by the renderer.
  * @param {object} fd - Floor definition from BLDG
- * @returns {{ rooms: object[], exits: object[] }}
+ * @returns {{ rooms: object[], exits: object[], width: number, height: number }}
  */
 function computeCoords(fd) {
+  const g = floorLayout(fd);
+
   const rooms = fd.rooms.map((r) => {
-    const cx = GCOL[r.col];
-    const cy = GROW[r.row];
-    return { ...r, x: cx - RW / 2, y: cy - RH / 2, w: RW, h: RH, cx, cy };
+    if (r.w !== undefined) {
+      return { ...r, cx: r.x + r.w / 2, cy: r.y + r.h / 2 };
+    }
+    const cx = g.colX[r.col];
+    const cy = g.rowY[r.row];
+    return { ...r, x: cx - g.roomW / 2, y: cy - g.roomH / 2, w: g.roomW, h: g.roomH, cx, cy };
   });
 
   const exits = fd.exits.map((e) => {
-    const d = EXIT_DEFS[e.side](e.col);
+    const d = EXIT_DEFS[e.side](e, g);
     return { ...e, ...d, cx: d.x + d.w / 2, cy: d.y + d.h / 2 };
   });
 
-  return { rooms, exits };
+  return { rooms, exits, width: g.width, height: g.height };
+}
+
+/**
+ * edgeMetres(fd, edge, [coords])
+ * Walking length of a corridor edge of floor fd: its `len`, else
+ * the axis-aligned distance between the node centres times the
+ * floor's scale. Pass computeCoords(fd) when measuring many edges.
+ * @returns {number} metres (0 when an endpoint is missing)
+ */
+function edgeMetres(fd, [a, b, , attrs], coords = computeCoords(fd)) {
+  if (attrs && attrs.len) return attrs.len;
+  const nodes = [...coords.rooms, ...coords.exits];
+  const na = nodes.find((n) => n.id === a);
+  const nb = nodes.find((n) => n.id === b);
+  if (!na || !nb) return 0;
+  return (Math.abs(na.cx - nb.cx) + Math.abs(na.cy - nb.cy)) * floorScale(fd);
 }
 
 // ── Building definition ───────────────────────────────────────
+// BLDG, STAIR_LINKS and ELEVATOR_LINKS are replaced in place when
+// a building is loaded from JSON (building.js), so they stay `const`.
+const BLDG_META = { name: 'LifeRoute Demo Building' };
+
 const BLDG = {
 
   // ─────────────────────────────────────────────────────────
   // GROUND FLOOR
   //
   //   [0,0] Main Entrance   [1,0] Reception    [2,0] Control Room
-  //                         [1,1] Main Hall     [2,1] Kitchen
-  //   [0,2] Washroom                           [2,2] Stairs ↓ Bsmt
+  //   [0,1] Lift            [1,1] Main Hall     [2,1] Kitchen
+  //   [0,2] Washroom                           [2,2] Stairs ↕ B / F1
   //
   //   Exit A — bottom-col0 (Main Door)
   //   Exit B — top-col2   (Side Door)
   // ─────────────────────────────────────────────────────────
   GF: {
+    label: 'Ground Floor',
+    level: 0,
     note: 'Ground Floor — 2 real exits',
+    labels: { es: 'Planta baja', ar: 'الطابق الأرضي' },
+    notes:  { es: 'Planta baja — 2 salidas al exterior', ar: 'الطابق الأرضي — مخرجان إلى الخارج' },
     rooms: [
-      { id: 'entrance',  label: 'Main Entrance', col: 0, row: 0 },
-      { id: 'reception', label: 'Reception',     col: 1, row: 0 },
-      { id: 'control',   label: 'Control Room',  col: 2, row: 0 },
-      { id: 'main_hall', label: 'Main Hall',     col: 1, row: 1 },
-      { id: 'kitchen',   label: 'Kitchen',       col: 2, row: 1 },
-      { id: 'washroom',  label: 'Washroom',      col: 0, row: 2 },
-      { id: 'stairGF',   label: 'Stairs ↓ Bsmt', col: 2, row: 2, isStair: true },
+      { id: 'entrance',  label: 'Main Entrance', col: 0, row: 0, occupants: 10, labels: { es: 'Entrada principal', ar: 'المدخل الرئيسي' } },
+      { id: 'reception', label: 'Reception',     col: 1, row: 0, occupants: 8, labels: { es: 'Recepción', ar: 'الاستقبال' } },
+      { id: 'control',   label: 'Control Room',  col: 2, row: 0, occupants: 4, labels: { es: 'Sala de control', ar: 'غرفة التحكم' } },
+      { id: 'main_hall', label: 'Main Hall',     col: 1, row: 1, occupants: 80, labels: { es: 'Vestíbulo principal', ar: 'القاعة الرئيسية' } },
+      { id: 'kitchen',   label: 'Kitchen',       col: 2, row: 1, occupants: 12, labels: { es: 'Cocina', ar: 'المطبخ' } },
+      { id: 'washroom',  label: 'Washroom',      col: 0, row: 2, occupants: 6, labels: { es: 'Aseos', ar: 'دورة المياه' } },
+      { id: 'stairGF',   label: 'Stairs ↕ B / F1', col: 2, row: 2, isStair: true, labels: { es: 'Escaleras ↕ B / F1', ar: 'الدرج ↕ B / F1' } },
+      { id: 'liftGF',    label: 'Lift',          col: 0, row: 1, isElevator: true, labels: { es: 'Ascensor', ar: 'المصعد' } },
     ],
     exits: [
-      { id: 'exitA', label: 'Exit A — Main Door', side: 'bottom', col: 0 },
-      { id: 'exitB', label: 'Exit B — Side Door',  side: 'top',    col: 2 },
+      { id: 'exitA', label: 'Exit A — Main Door', side: 'bottom', col: 0, capacity: 60, labels: { es: 'Salida A — Puerta principal', ar: 'المخرج A — الباب الرئيسي' } },
+      { id: 'exitB', label: 'Exit B — Side Door',  side: 'top',    col: 2, capacity: 40, labels: { es: 'Salida B — Puerta lateral', ar: 'المخرج B — الباب الجانبي' } },
     ],
     edges: [
       // Row 0 — horizontal
@@ -104,6 +264,10 @@ const BLDG = {
       ['kitchen',   'stairGF',    1],
       // Row 2 — horizontal
       ['washroom',  'stairGF',    1],
+      // Lift lobby
+      ['liftGF',    'entrance',   1],
+      ['liftGF',    'main_hall',  1],
+      ['liftGF',    'washroom',   1],
       // Exit connections (shortest direct links)
       ['entrance',  'exitA',      1],
       ['washroom',  'exitA',      1],
@@ -117,26 +281,29 @@ const BLDG = {
   // ─────────────────────────────────────────────────────────
   // FLOOR 1
   //
-  //   [0,0] Room 101    [1,0] —           [2,0] Office
+  //   [0,0] Room 101    [1,0] Lift        [2,0] Office
   //   [0,1] —           [1,1] Lobby 1     [2,1] Washroom 1
-  //   [0,2] Room 102    [1,2] Stairs→GF   [2,2] Storage
+  //   [0,2] Room 102    [1,2] Stairs↕     [2,2] Storage
   //
-  //   Exit — bottom-col1 (Stairs → GF)
+  //   No exits — stairF1 links down to GF and up to F2
   // ─────────────────────────────────────────────────────────
   F1: {
+    label: 'Floor 1',
+    level: 1,
     note: 'No direct exits — evacuate via Stairs to GF',
+    labels: { es: 'Planta 1', ar: 'الطابق 1' },
+    notes:  { es: 'Sin salidas directas — evacúe por las escaleras hasta la planta baja', ar: 'لا توجد مخارج مباشرة — أخلِ عبر الدرج إلى الطابق الأرضي' },
     rooms: [
-      { id: 'r101',     label: 'Room 101',   col: 0, row: 0 },
-      { id: 'office1',  label: 'Office',     col: 2, row: 0 },
-      { id: 'lobby1',   label: 'Lobby 1',    col: 1, row: 1 },
-      { id: 'wash1',    label: 'Washroom 1', col: 2, row: 1 },
-      { id: 'r102',     label: 'Room 102',   col: 0, row: 2 },
-      { id: 'stairF1',  label: 'Stairs → GF', col: 1, row: 2, isStair: true },
-      { id: 'storage1', label: 'Storage',    col: 2, row: 2 },
-    ],
-    exits: [
-      { id: 'stairF1_exit', label: 'Stairs → GF (Exit A/B)', side: 'bottom', col: 1 },
+      { id: 'r101',     label: 'Room 101',   col: 0, row: 0, occupants: 20, labels: { es: 'Sala 101', ar: 'الغرفة 101' } },
+      { id: 'office1',  label: 'Office',     col: 2, row: 0, occupants: 15, labels: { es: 'Oficina', ar: 'المكتب' } },
+      { id: 'lobby1',   label: 'Lobby 1',    col: 1, row: 1, occupants: 5, labels: { es: 'Vestíbulo 1', ar: 'الردهة 1' } },
+      { id: 'wash1',    label: 'Washroom 1', col: 2, row: 1, occupants: 4, labels: { es: 'Aseos 1', ar: 'دورة المياه 1' } },
+      { id: 'r102',     label: 'Room 102',   col: 0, row: 2, occupants: 20, labels: { es: 'Sala 102', ar: 'الغرفة 102' } },
+      { id: 'stairF1',  label: 'Stairs ↕ GF / F2', col: 1, row: 2, isStair: true, isRefuge: true, labels: { es: 'Escaleras ↕ GF / F2', ar: 'الدرج ↕ GF / F2' } },
+      { id: 'liftF1',   label: 'Lift',       col: 1, row: 0, isElevator: true, labels: { es: 'Ascensor', ar: 'المصعد' } },
+      { id: 'storage1', label: 'Storage',    col: 2, row: 2, occupants: 2, labels: { es: 'Almacén', ar: 'المخزن' } },
     ],
+    exits: [],
     edges: [
       // Row 0→1
       ['r101',    'lobby1',       1],
@@ -151,34 +318,37 @@ const BLDG = {
       // Row 2
       ['r102',    'stairF1',      1],
       ['stairF1', 'storage1',     1],
-      // Exit
-      ['stairF1', 'stairF1_exit', 1],
+      // Lift
+      ['liftF1',  'lobby1',       1],
     ],
   },
 
   // ─────────────────────────────────────────────────────────
   // FLOOR 2
   //
-  //   [0,0] Room 201    [1,0] —           [2,0] Kitchen
+  //   [0,0] Room 201    [1,0] Lift        [2,0] Kitchen
   //   [0,1] —           [1,1] Lobby 2     [2,1] Washroom 2
-  //   [0,2] Room 202    [1,2] Stairs→F1   [2,2] Server Room
+  //   [0,2] Room 202    [1,2] Stairs↕     [2,2] Server Room
   //
-  //   Exit — bottom-col1 (Stairs → F1 → GF)
+  //   No exits — stairF2 links down to F1 and up to F3
   // ─────────────────────────────────────────────────────────
   F2: {
+    label: 'Floor 2',
+    level: 2,
     note: 'No direct exits — evacuate via Stairs to F1 → GF',
+    labels: { es: 'Planta 2', ar: 'الطابق 2' },
+    notes:  { es: 'Sin salidas directas — evacúe por las escaleras: F1 → GF', ar: 'لا توجد مخارج مباشرة — أخلِ عبر الدرج إلى F1 ثم GF' },
     rooms: [
-      { id: 'r201',     label: 'Room 201',   col: 0, row: 0 },
-      { id: 'kitchen2', label: 'Kitchen',    col: 2, row: 0 },
-      { id: 'lobby2',   label: 'Lobby 2',   col: 1, row: 1 },
-      { id: 'wash2',    label: 'Washroom 2', col: 2, row: 1 },
-      { id: 'r202',     label: 'Room 202',   col: 0, row: 2 },
-      { id: 'stairF2',  label: 'Stairs → F1', col: 1, row: 2, isStair: true },
-      { id: 'server',   label: 'Server Room', col: 2, row: 2 },
-    ],
-    exits: [
-      { id: 'stairF2_exit', label: 'Stairs → F1 → GF', side: 'bottom', col: 1 },
+      { id: 'r201',     label: 'Room 201',   col: 0, row: 0, occupants: 24, labels: { es: 'Sala 201', ar: 'الغرفة 201' } },
+      { id: 'kitchen2', label: 'Kitchen',    col: 2, row: 0, occupants: 10, labels: { es: 'Cocina', ar: 'المطبخ' } },
+      { id: 'lobby2',   label: 'Lobby 2',   col: 1, row: 1, occupants: 4, labels: { es: 'Vestíbulo 2', ar: 'الردهة 2' } },
+      { id: 'wash2',    label: 'Washroom 2', col: 2, row: 1, occupants: 4, labels: { es: 'Aseos 2', ar: 'دورة المياه 2' } },
+      { id: 'r202',     label: 'Room 202',   col: 0, row: 2, occupants: 24, labels: { es: 'Sala 202', ar: 'الغرفة 202' } },
+      { id: 'stairF2',  label: 'Stairs ↕ F1 / F3', col: 1, row: 2, isStair: true, isRefuge: true, labels: { es: 'Escaleras ↕ F1 / F3', ar: 'الدرج ↕ F1 / F3' } },
+      { id: 'liftF2',   label: 'Lift',       col: 1, row: 0, isElevator: true, labels: { es: 'Ascensor', ar: 'المصعد' } },
+      { id: 'server',   label: 'Server Room', col: 2, row: 2, occupants: 2, labels: { es: 'Sala de servidores', ar: 'غرفة الخوادم' } },
     ],
+    exits: [],
     edges: [
       // Row 0→1
       ['r201',     'lobby2',       1],
@@ -193,34 +363,37 @@ const BLDG = {
       // Row 2
       ['r202',     'stairF2',      1],
       ['stairF2',  'server',       1],
-      // Exit
-      ['stairF2',  'stairF2_exit', 1],
+      // Lift
+      ['liftF2',   'lobby2',       1],
     ],
   },
 
   // ─────────────────────────────────────────────────────────
   // FLOOR 3
   //
-  //   [0,0] Room 301    [1,0] —           [2,0] Room 303
+  //   [0,0] Room 301    [1,0] Lift        [2,0] Room 303
   //   [0,1] Washroom 3  [1,1] Lobby 3     [2,1] Balcony
   //   [0,2] Room 302    [1,2] Stairs→F2   [2,2] —
   //
-  //   Exit — bottom-col1 (Stairs → F2 → F1 → GF)
+  //   No exits — stairF3 links down to F2
   // ─────────────────────────────────────────────────────────
   F3: {
+    label: 'Floor 3',
+    level: 3,
     note: 'No direct exits — evacuate via Stairs → F2 → F1 → GF',
+    labels: { es: 'Planta 3', ar: 'الطابق 3' },
+    notes:  { es: 'Sin salidas directas — evacúe por las escaleras: F2 → F1 → GF', ar: 'لا توجد مخارج مباشرة — أخلِ عبر الدرج إلى F2 ثم F1 ثم GF' },
     rooms: [
-      { id: 'r301',    label: 'Room 301',   col: 0, row: 0 },
-      { id: 'r303',    label: 'Room 303',   col: 2, row: 0 },
-      { id: 'wash3',   label: 'Washroom 3', col: 0, row: 1 },
-      { id: 'lobby3',  label: 'Lobby 3',    col: 1, row: 1 },
-      { id: 'balcony', label: 'Balcony',    col: 2, row: 1 },
-      { id: 'r302',    label: 'Room 302',   col: 0, row: 2 },
-      { id: 'stairF3', label: 'Stairs → F2', col: 1, row: 2, isStair: true },
-    ],
-    exits: [
-      { id: 'stairF3_exit', label: 'Stairs → F2 → F1 → GF', side: 'bottom', col: 1 },
+      { id: 'r301',    label: 'Room 301',   col: 0, row: 0, occupants: 18, labels: { es: 'Sala 301', ar: 'الغرفة 301' } },
+      { id: 'r303',    label: 'Room 303',   col: 2, row: 0, occupants: 18, labels: { es: 'Sala 303', ar: 'الغرفة 303' } },
+      { id: 'wash3',   label: 'Washroom 3', col: 0, row: 1, occupants: 3, labels: { es: 'Aseos 3', ar: 'دورة المياه 3' } },
+      { id: 'lobby3',  label: 'Lobby 3',    col: 1, row: 1, occupants: 5, labels: { es: 'Vestíbulo 3', ar: 'الردهة 3' } },
+      { id: 'balcony', label: 'Balcony',    col: 2, row: 1, occupants: 6, labels: { es: 'Balcón', ar: 'الشرفة' } },
+      { id: 'r302',    label: 'Room 302',   col: 0, row: 2, occupants: 18, labels: { es: 'Sala 302', ar: 'الغرفة 302' } },
+      { id: 'stairF3', label: 'Stairs → F2', col: 1, row: 2, isStair: true, isRefuge: true, labels: { es: 'Escaleras → F2', ar: 'الدرج → F2' } },
+      { id: 'liftF3',  label: 'Lift',       col: 1, row: 0, isElevator: true, labels: { es: 'Ascensor', ar: 'المصعد' } },
     ],
+    exits: [],
     edges: [
       // Row 0→1
       ['r301',    'wash3',         1],
@@ -236,8 +409,8 @@ const BLDG = {
       ['balcony', 'stairF3',       1],
       // Row 2
       ['r302',    'stairF3',       1],
-      // Exit
-      ['stairF3', 'stairF3_exit',  1],
+      // Lift
+      ['liftF3',  'lobby3',        1],
     ],
   },
 
@@ -248,21 +421,24 @@ const BLDG = {
   //   [0,1] Parking     [1,1] —             [2,1] —
   //   [0,2] —           [1,2] Stairs→GF     [2,2] Generator
   //
-  //   Exit A — left-col0   (Emergency Exit)
-  //   Exit B — bottom-col1 (Stairs → GF)
+  //   Exit — left-row1 (Emergency Exit, steps up to street level)
+  //   stairB links up to GF
   // ─────────────────────────────────────────────────────────
   B: {
+    label: 'Basement',
+    level: -1,
     note: 'Basement — 1 emergency exit + stairs to GF',
+    labels: { es: 'Sótano', ar: 'الطابق السفلي' },
+    notes:  { es: 'Sótano — 1 salida de emergencia + escaleras a la planta baja', ar: 'الطابق السفلي — مخرج طوارئ واحد ودرج إلى الطابق الأرضي' },
     rooms: [
-      { id: 'storage_b',  label: 'Storage B',     col: 1, row: 0 },
-      { id: 'electrical', label: 'Electrical Rm', col: 2, row: 0 },
-      { id: 'parking',    label: 'Parking',       col: 0, row: 1 },
-      { id: 'generator',  label: 'Generator',     col: 2, row: 2 },
-      { id: 'stairB',     label: 'Stairs → GF',   col: 1, row: 2, isStair: true },
+      { id: 'storage_b',  label: 'Storage B',     col: 1, row: 0, occupants: 3, labels: { es: 'Almacén B', ar: 'المخزن B' } },
+      { id: 'electrical', label: 'Electrical Rm', col: 2, row: 0, occupants: 2, labels: { es: 'Sala eléctrica', ar: 'غرفة الكهرباء' } },
+      { id: 'parking',    label: 'Parking',       col: 0, row: 1, occupants: 25, labels: { es: 'Aparcamiento', ar: 'موقف السيارات' } },
+      { id: 'generator',  label: 'Generator',     col: 2, row: 2, occupants: 1, labels: { es: 'Generador', ar: 'المولد' } },
+      { id: 'stairB',     label: 'Stairs → GF',   col: 1, row: 2, isStair: true, labels: { es: 'Escaleras → GF', ar: 'الدرج → GF' } },
     ],
     exits: [
-      { id: 'emExit',      label: 'Emergency Exit',         side: 'left',   col: 0 },
-      { id: 'stairB_exit', label: 'Stairs → GF (Exit A/B)', side: 'bottom', col: 1 },
+      { id: 'emExit', label: 'Emergency Exit', side: 'left', row: 1, capacity: 30, accessible: false, labels: { es: 'Salida de emergencia', ar: 'مخرج الطوارئ' } },
     ],
     edges: [
       // Horizontal
@@ -273,9 +449,56 @@ const BLDG = {
       ['parking',    'stairB',      1],
       ['electrical', 'generator',   1],
       ['storage_b',  'stairB',      1],
-      // Exits
+      // Exit
       ['parking',    'emExit',      1],
-      ['stairB',     'stairB_exit', 1],
     ],
   },
 };
+
+// ── Stairwell links ───────────────────────────────────────────
+// Vertical connections between the stair rooms of adjacent floors.
+// Same format as floor edges; every link is bidirectional.
+// Stair flights are narrower than corridors, hence the lower cap.
+const STAIR_LINKS = [
+  ['stairB',  'stairGF', 1, { cap: 40 }],
+  ['stairGF', 'stairF1', 1, { cap: 40 }],
+  ['stairF1', 'stairF2', 1, { cap: 40 }],
+  ['stairF2', 'stairF3', 1, { cap: 40 }],
+];
+
+// ── Elevator links ────────────────────────────────────────────
+// The lift serves GF–F3; the basement is stairs only. Same format
+// as STAIR_LINKS. Used only by the "no stairs" routing profile,
+// and the whole shaft is recalled while any served floor has a
+// fire.
+const ELEVATOR_LINKS = [
+  ['liftGF', 'liftF1', 1],
+  ['liftF1', 'liftF2', 1],
+  ['liftF2', 'liftF3', 1],
+];
+
+// ── Hazard presets ────────────────────────────────────────────
+// Reusable incidents for drills and planning, applied in one
+// click from the Hazard Presets panel (bulk.js). Hazards are keyed
+// like the URL hash: room and exit ids, or edge keys for corridors.
+// Replaced in place by a building JSON's "presets".
+const HAZARD_PRESETS = [
+  {
+    name: 'Kitchen fire (GF)',
+    hazards: { kitchen: 'fire', control: 'smoke', main_hall: 'smoke', 'kitchen|stairGF': 'smoke' },
+  },
+  {
+    name: 'Server room fire (F2)',
+    hazards: { server: 'fire', wash2: 'smoke', stairF2: 'smoke' },
+  },
+  {
+    name: 'Basement flood',
+    hazards: {
+      parking: 'blocked', storage_b: 'blocked', electrical: 'closed', generator: 'closed', emExit: 'exit-blocked',
+    },
+  },
+  {
+    name: 'Main door blocked',
+    hazards: { exitA: 'exit-blocked', 'entrance|main_hall': 'blocked' },
+  },
+];
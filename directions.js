@@ -0,0 +1,151 @@
+/**
+ * js/directions.js
+ * =============================================================
+ * Turn-by-turn directions — the walking geometry of a route,
+ * split into straight legs with a relative turn and a distance.
+ *
+ * A route's run on one floor is walked along the corridor lines
+ * the map draws: linkPoints() between each pair of consecutive
+ * rooms, from centre to centre. pathLegs() merges that polyline
+ * into legs — one per change of direction — and measures each in
+ * metres with the floor's scale (floorScale(), data.js).
+ *
+ * Bends shorter than DIR_JOG_M are walked straight through, so
+ * the small offsets where corridors step between rooms of
+ * different sizes do not become "left, then right" pairs.
+ *
+ * Turns are relative to the direction of travel: the angle from
+ * the previous leg's heading to the next one's. Map y grows
+ * downwards, so a positive angle is a turn to the right.
+ *
+ * pathLegs() and turnOf() are pure; runLegs() reads the building
+ * layout. The wording is built by routeSteps() in render.js.
+ *
+ * Depends on: data.js, routing.js, render.js
+ * State used: none
+ * =============================================================
+ */
+
+'use strict';
+
+// Bends shorter than this (metres) do not count as a turn
+const DIR_JOG_M = 2;
+
+// Turn classes by the absolute angle between two headings (degrees)
+const DIR_STRAIGHT = 25;   // below: carry straight on
+const DIR_BEAR     = 60;   // below: bear left / right
+const DIR_BACK     = 150;  // above: turn around
+
+/**
+ * turnOf(from, to)
+ * Relative turn between two headings ({ x, y }, any length).
+ * @returns {'straight'|'bearLeft'|'bearRight'|'left'|'right'|'back'}
+ */
+function turnOf(from, to) {
+  const cross = from.x * to.y - from.y * to.x;
+  const dot   = from.x * to.x + from.y * to.y;
+  const deg   = Math.atan2(cross, dot) * 180 / Math.PI;
+  const abs   = Math.abs(deg);
+  if (abs < DIR_STRAIGHT) return 'straight';
+  if (abs > DIR_BACK) return 'back';
+  if (abs < DIR_BEAR) return deg > 0 ? 'bearRight' : 'bearLeft';
+  return deg > 0 ? 'right' : 'left';
+}
+
+/**
+ * pathLegs(points, scale)
+ * Merge a walking polyline into straight legs.
+ *
+ * @param {{ x: number, y: number, node?: string }[]} points
+ *        Map points in walking order; `node` marks a room centre
+ * @param {number} scale - metres per map pixel
+ * @returns {{ turn: string|null, heading: { x: number, y: number },
+ *             metres: number, from: string|null, corner: { x: number, y: number },
+ *             nodes: string[], to: string|null }[]}
+ *   turn   — turnOf() from the previous leg (null for the first)
+ *   from   — node the leg starts at, or null for a corridor corner
+ *   corner — point the leg starts at
+ *   nodes  — room centres reached along the leg, in order
+ *   to     — the last of them when the leg ends there, else null
+ */
+function pathLegs(points, scale) {
+  const legs = [];
+  let leg = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const px = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!px) {
+      if (b.node && leg && !leg.nodes.includes(b.node)) leg.nodes.push(b.node);
+      continue;
+    }
+    const heading = { x: (b.x - a.x) / px, y: (b.y - a.y) / px };
+    const metres = px * scale;
+
+    if (!leg) {
+      leg = { turn: null, heading, metres: 0, from: a.node || null, corner: { x: a.x, y: a.y }, nodes: [] };
+    } else if (turnOf(leg.heading, heading) !== 'straight') {
+      const prev = legs[legs.length - 1];
+      if (leg.metres < DIR_JOG_M) {
+        // Barely started — this is the leg's real direction, and
+        // it may carry straight on from the leg before
+        leg.heading = heading;
+        if (prev) leg.turn = turnOf(prev.heading, heading);
+        if (leg.turn === 'straight') {
+          legs.pop();
+          prev.metres += leg.metres;
+          prev.nodes.push(...leg.nodes);
+          leg = prev;
+        }
+      } else if (metres >= DIR_JOG_M) {
+        legs.push(leg);
+        leg = {
+          turn: turnOf(leg.heading, heading), heading, metres: 0,
+          from: a.node || null, corner: { x: a.x, y: a.y }, nodes: [],
+        };
+      }
+      // else: a short jog, walked straight through
+    }
+
+    leg.metres += metres;
+    if (b.node) leg.nodes.push(b.node);
+    leg.to = b.node || null;
+  }
+
+  if (leg) legs.push(leg);
+  return legs;
+}
+
+/**
+ * runLegs(ids)
+ * Legs of a same-floor run of a route (see routeFloorRuns()).
+ * Legs starting at a corridor corner also get `within`: the
+ * room of the run the corner lies in, if any, as a landmark.
+ * @param {string[]} ids - consecutive node ids on one floor
+ * @returns {object[]} pathLegs() legs
+ */
+function runLegs(ids) {
+  const fd = BLDG[floorOf(ids[0])];
+  const { rooms, exits } = computeCoords(fd);
+  const boxes = ids.map((id) => getNodeBox(id, rooms, exits));
+  if (boxes.some((b) => !b)) return [];
+
+  const points = [{ x: boxes[0].cx, y: boxes[0].cy, node: ids[0] }];
+  for (let i = 1; i < ids.length; i++) {
+    const pts = linkPoints(boxes[i - 1], boxes[i]).slice(1);
+    pts.forEach((p, k) => points.push(k === pts.length - 1 ? { ...p, node: ids[i] } : p));
+  }
+
+  const inside = (b, p) => p.x >= b.x && p.x <= b.x + b.w && p.y >= b.y && p.y <= b.y + b.h;
+  return pathLegs(points, floorScale(fd)).map((leg) => ({
+    ...leg,
+    within: leg.from ? null : (boxes.find((b) => inside(b, leg.corner)) || {}).id || null,
+  }));
+}
+
+/** A distance in metres, rounded to what a person can judge. */
+function approxMetres(m) {
+  return m < 10 ? Math.max(1, Math.round(m)) : Math.round(m / 5) * 5;
+}
+
@@ -0,0 +1,533 @@
+/**
+ * js/drill.js
+ * =============================================================
+ * Training drills — the app hides the route, sets up a random
+ * incident and a start room, and the trainee clicks their own
+ * way out on the map against the clock.
+ *
+ * A drill
+ * -------
+ *   START DRILL  sets the live state aside (like timeline replay)
+ *                and draws a scenario: one or two fires with smoke
+ *                next to them, sometimes a blocked exit or
+ *                corridor. Only scenarios with a safe route of at
+ *                least DRILL_MIN_HOPS steps are used.
+ *   the walk     the trainee clicks rooms one at a time, each one
+ *                connected to the last by a corridor or stairs
+ *                (switching floor with the tabs to follow a
+ *                stairwell); lifts between floors are not allowed.
+ *                The LOAD MAP and resilience overlays and the
+ *                planner and resilience panels are blanked, as
+ *                they would trace the answer.
+ *                Reaching any exit ends the drill, as do running
+ *                out of time and GIVE UP.
+ *   review       the attempt is scored against findRoute()'s
+ *                optimal route, which is now shown on the map next
+ *                to the trainee's path. DONE brings the live state
+ *                back.
+ *
+ * Scoring (scoreDrill)
+ * --------------------
+ * 100 points, less DRILL_SCORING for each hazard violation (a
+ * room, exit or corridor the engine treats as impassable), each
+ * smoke room or corridor beyond those the optimal route has to
+ * cross, each step beyond the optimal route's, and each second
+ * over par. Not reaching an exit scores 0. A drill is passed at
+ * DRILL_PASS points with no violations.
+ *
+ * Attempts are kept in localStorage for the history list and its
+ * CSV export; the session summary covers the ones since the page
+ * was opened. Nothing done during a drill reaches the incident
+ * timeline, the undo history or the URL.
+ *
+ * Depends on: engine.js; data.js, routing.js, render.js, sim.js,
+ *             planner.js, editor.js, timeline.js, sensors.js,
+ *             overview.js at run time
+ * State used: floor, pos, haz, profile  (set aside during a drill)
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of past attempts, and how many are kept
+const DRILL_STORE = 'liferoute.drills';
+const DRILL_HISTORY_MAX = 50;
+
+// Default time limit, seconds
+const DRILL_TIME_S = 120;
+
+// A scenario's safe route must have at least this many steps
+const DRILL_MIN_HOPS = 3;
+
+// Scenarios drawn before giving up on finding a usable one
+const DRILL_TRIES = 50;
+
+// Points taken off per fault
+const DRILL_SCORING = {
+  violation:  25,  // entering an impassable room, exit or corridor
+  smoke:      10,  // each smoke room / corridor beyond the optimal route's
+  extraHop:    5,  // each step beyond the optimal route's
+  lateSecond: 0.5, // each second over par
+};
+
+// Par time: base + per step of the optimal route, seconds
+const DRILL_PAR = { base: 10, perHop: 4 };
+
+// Lowest passing score (with no violations)
+const DRILL_PASS = 70;
+
+// ── Scenario ──────────────────────────────────────────────────
+const pickOne = (list, rng) => list[Math.floor(rng() * list.length)];
+
+/**
+ * drillScenario(bldg, opts, rng)
+ * Draw a random incident and start room that has a safe way out.
+ * @param {object} bldg   - Building definition
+ * @param {object} [opts] - Engine options (stairLinks, weights …); routed ambulatory
+ * @param {Function} [rng] - Returns numbers in [0, 1)
+ * @returns {{ start: string, hazards: object, route: object }|null}
+ *   hazards flat { id: type }; null when no usable scenario was found
+ */
+function drillScenario(bldg, opts = {}, rng = Math.random) {
+  const E = LifeRouteEngine;
+  const o = { ...opts, profile: E.PROFILES.AMBULATORY };
+  const standable = (r) => !r.isStair && !r.isElevator;
+  const floors = Object.keys(bldg).filter((f) => bldg[f].rooms.some(standable));
+  const allRooms = Object.values(bldg).flatMap((fd) => fd.rooms);
+  const exits = Object.values(bldg).flatMap((fd) => fd.exits);
+  if (!floors.length) return null;
+
+  for (let i = 0; i < DRILL_TRIES; i++) {
+    const f = pickOne(floors, rng);
+    const fd = bldg[f];
+    const start = pickOne(fd.rooms.filter(standable), rng).id;
+    const hazards = {};
+
+    // One fire on the start floor, sometimes a second anywhere
+    const near = fd.rooms.filter((r) => r.id !== start);
+    const far = allRooms.filter((r) => r.id !== start);
+    const fires = [near.length ? pickOne(near, rng) : null, rng() < 0.5 ? pickOne(far, rng) : null];
+    fires.filter(Boolean).forEach(({ id }) => { hazards[id] = 'fire'; });
+
+    // Smoke drifts into about half the rooms next to a fire
+    Object.values(bldg).forEach((d) => {
+      const roomIds = new Set(d.rooms.map((r) => r.id));
+      d.edges.forEach(([a, b]) => {
+        [[a, b], [b, a]].forEach(([from, to]) => {
+          if (hazards[from] === 'fire' && roomIds.has(to) && !hazards[to] && to !== start && rng() < 0.5) {
+            hazards[to] = 'smoke';
+          }
+        });
+      });
+    });
+
+    // Sometimes an exit or a corridor on the start floor is out
+    if (exits.length > 1 && rng() < 0.35) hazards[pickOne(exits, rng).id] = E.EXIT_BLOCKED;
+    const corridors = fd.edges.filter(([a, b]) => fd.rooms.some((r) => r.id === a) && fd.rooms.some((r) => r.id === b));
+    if (corridors.length && rng() < 0.35) {
+      const [a, b] = pickOne(corridors, rng);
+      hazards[E.edgeKey(a, b)] = 'blocked';
+    }
+
+    const { route } = E.findRoute(bldg, start, hazards, o);
+    if (route && route.path.length > DRILL_MIN_HOPS) return { start, hazards, route };
+  }
+  return null;
+}
+
+// ── Scoring ───────────────────────────────────────────────────
+/**
+ * drillLinked(bldg, a, b, opts)
+ * Can a trainee step from a to b — a floor edge or a stair link?
+ */
+function drillLinked(bldg, a, b, opts = {}) {
+  return LifeRouteEngine.buildingEdges(bldg, opts.stairLinks || [])
+    .some(([p, q]) => (p === a && q === b) || (p === b && q === a));
+}
+
+/**
+ * drillFaults(path, hazards, opts)
+ * What a walk along path runs into.
+ * @returns {{ violations: { id: string, type: string }[], smoke: number }}
+ *   violations name nodes or edge keys; smoke counts smoke rooms and corridors
+ */
+function drillFaults(path, hazards, opts = {}) {
+  const E = LifeRouteEngine;
+  const impassable = opts.impassable ? new Set(opts.impassable) : E.ROOM_HAZARD_TYPES;
+  const violations = [];
+  let smoke = 0;
+  path.forEach((id, i) => {
+    const h = hazards[id] || '';
+    if (impassable.has(h) || h === E.EXIT_BLOCKED) violations.push({ id, type: h });
+    else if (h === 'smoke') smoke++;
+    if (!i) return;
+    const k = E.edgeKey(path[i - 1], id);
+    const eh = hazards[k] || '';
+    if (E.EDGE_HAZARD_TYPES.has(eh)) violations.push({ id: k, type: eh });
+    else if (eh === 'smoke') smoke++;
+  });
+  return { violations, smoke };
+}
+
+/**
+ * scoreDrill(bldg, attempt, opts)
+ * Score a walk against the optimal route.
+ * @param {object} bldg
+ * @param {{ start: string, hazards: object, path: string[], seconds: number,
+ *           outcome: 'exit'|'timeout'|'abandoned' }} attempt
+ * @param {object} [opts] - Engine options, as for drillScenario()
+ * @returns {object} attempt plus exitId, best (optimal path), violations,
+ *   smoke / extraSmoke, hops / bestHops / extraHops, par, score, passed
+ */
+function scoreDrill(bldg, attempt, opts = {}) {
+  const E = LifeRouteEngine;
+  const { start, hazards, path, seconds, outcome } = attempt;
+  const { route } = E.findRoute(bldg, start, hazards, { ...opts, profile: E.PROFILES.AMBULATORY });
+  const best = route ? route.path : [start];
+
+  const { violations, smoke } = drillFaults(path, hazards, opts);
+  const bestSmoke = drillFaults(best, hazards, opts).smoke;
+  const hops = path.length - 1;
+  const bestHops = best.length - 1;
+  const extraHops = Math.max(0, hops - bestHops);
+  const extraSmoke = Math.max(0, smoke - bestSmoke);
+  const par = DRILL_PAR.base + DRILL_PAR.perHop * bestHops;
+
+  const exited = outcome === 'exit';
+  const lost = violations.length * DRILL_SCORING.violation
+    + extraSmoke * DRILL_SCORING.smoke
+    + extraHops * DRILL_SCORING.extraHop
+    + Math.max(0, seconds - par) * DRILL_SCORING.lateSecond;
+  const score = exited ? Math.max(0, Math.round(100 - lost)) : 0;
+
+  return {
+    ...attempt,
+    exitId: exited ? path[path.length - 1] : null,
+    best,
+    bestExit: route ? route.exitId : null,
+    violations,
+    smoke,
+    extraSmoke,
+    hops,
+    bestHops,
+    extraHops,
+    par,
+    score,
+    passed: exited && !violations.length && score >= DRILL_PASS,
+  };
+}
+
+/**
+ * drillSummary(results)
+ * @returns {{ attempts: number, passed: number, avgScore: number|null,
+ *             bestScore: number|null, avgSeconds: number|null }}
+ */
+function drillSummary(results) {
+  const n = results.length;
+  const avg = (k) => (n ? Math.round(results.reduce((s, r) => s + r[k], 0) / n) : null);
+  return {
+    attempts: n,
+    passed: results.filter((r) => r.passed).length,
+    avgScore: avg('score'),
+    bestScore: n ? Math.max(...results.map((r) => r.score)) : null,
+    avgSeconds: avg('seconds'),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// PAGE — running a drill
+// ─────────────────────────────────────────────────────────────
+const drill = {
+  phase:   null,  // null | 'run' | 'review'
+  limit:   DRILL_TIME_S,
+  start:   null,  // start room of the current drill
+  hazards: null,  // flat hazards of the current drill
+  path:    [],    // nodes walked so far, from start
+  misses:  0,     // clicks on rooms not connected to the current one
+  t0:      0,     // Date.now() at the start
+  timer:   null,  // setInterval handle while running
+  result:  null,  // scored attempt, during review
+  live:    null,  // live { floor, pos, haz, profile } set aside
+  session: [],    // attempts since the page was opened
+};
+
+/** Engine options for drills: the page's links and weights, on foot. */
+function drillOptions() {
+  return { ...engineOptions(), profile: PROFILES.AMBULATORY };
+}
+
+/** Per-floor hazard map from a flat one. */
+function drillHaz(flat) {
+  const out = {};
+  Object.entries(flat).forEach(([id, h]) => {
+    const f = floorOf(id);
+    if (f) (out[f] = out[f] || {})[id] = h;
+  });
+  return out;
+}
+
+function startDrill() {
+  if (drill.phase === 'run' || editor.on) return;
+  const sc = drillScenario(BLDG, drillOptions());
+  if (!sc) {
+    flashDrillNote('NO USABLE SCENARIO IN THIS BUILDING');
+    return;
+  }
+
+  if (!drill.phase) {
+    if (timeline.view !== null) replayTo(null);
+    if (overview.on) toggleOverview();
+    simPause();
+    drill.live = { floor, pos, haz, profile };
+  }
+  Object.assign(drill, {
+    phase: 'run', start: sc.start, hazards: sc.hazards, path: [sc.start], misses: 0, t0: Date.now(), result: null,
+  });
+  haz = drillHaz(sc.hazards);
+  pos = null;
+  profile = PROFILES.AMBULATORY;
+  clearInterval(drill.timer);
+  drill.timer = setInterval(tickDrill, 250);
+  setFloor(floorOf(sc.start));
+}
+
+/** Seconds since the drill started, capped at the limit. */
+const drillElapsed = () => Math.min(drill.limit, (Date.now() - drill.t0) / 1000);
+
+function tickDrill() {
+  if (drillElapsed() >= drill.limit) finishDrill('timeout');
+  else document.getElementById('drillClock').textContent = drillClockText();
+}
+
+function drillClockText() {
+  const s = Math.floor(drill.phase === 'run' ? drillElapsed() : drill.result ? drill.result.seconds : 0);
+  return `${fmtMinSec(s)} / ${fmtMinSec(drill.limit)}`;
+}
+
+/**
+ * drillStep(id)
+ * The trainee clicked a node: walk to it if it is connected to
+ * where they are. An exit ends the drill.
+ */
+function drillStep(id) {
+  if (drill.phase !== 'run') return;
+  const here = drill.path[drill.path.length - 1];
+  if (id === here) return;
+  if (!drillLinked(BLDG, here, id, drillOptions())) {
+    drill.misses++;
+    flashDrillNote(`NO WAY FROM ${nodeLabel(here).toUpperCase()} TO ${nodeLabel(id).toUpperCase()}`);
+    return;
+  }
+  drill.path.push(id);
+  if (BLDG[floorOf(id)].exits.some((e) => e.id === id)) finishDrill('exit');
+  else render();
+}
+
+/** Click on the map while a drill runs (wired in main.js). */
+function drillMapClick(ev) {
+  if (drill.phase !== 'run') return;
+  const id = nodeAt(ev.target);
+  if (id) drillStep(id);
+}
+
+/** Stop the clock, score the attempt and show the optimal route. */
+function finishDrill(outcome) {
+  if (drill.phase !== 'run') return;
+  clearInterval(drill.timer);
+  drill.timer = null;
+
+  const res = scoreDrill(BLDG, {
+    start: drill.start,
+    hazards: drill.hazards,
+    path: drill.path.slice(),
+    seconds: Math.round(drillElapsed() * 10) / 10,
+    outcome,
+  }, drillOptions());
+  drill.result = {
+    ...res, at: new Date().toISOString(), building: BLDG_META.name, misses: drill.misses, limit: drill.limit,
+  };
+  drill.session.push(drill.result);
+  storeDrills([drill.result, ...listDrills()].slice(0, DRILL_HISTORY_MAX));
+
+  drill.phase = 'review';
+  pos = drill.start;
+  setFloor(floorOf(drill.start));
+}
+
+/** Leave drill mode and bring the live state back. */
+function endDrill() {
+  if (!drill.phase) return;
+  clearInterval(drill.timer);
+  drill.timer = null;
+  drill.phase = null;
+  drill.result = null;
+  ({ floor, pos, haz, profile } = drill.live);
+  drill.live = null;
+  document.getElementById('posSelect').value = pos || '';
+  setFloor(floor);
+  // A link opened and sensor events that arrived during the drill apply now
+  flushHeldHash();
+  flushSensorEvents();
+}
+
+// ── History ───────────────────────────────────────────────────
+/** Past attempts, newest first. */
+function listDrills() {
+  try {
+    const list = JSON.parse(localStorage.getItem(DRILL_STORE) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeDrills(list) {
+  try {
+    localStorage.setItem(DRILL_STORE, JSON.stringify(list));
+  } catch {
+    flashDrillNote('STORAGE UNAVAILABLE');
+  }
+}
+
+function clearDrills() {
+  storeDrills([]);
+  render();
+}
+
+/**
+ * drillsCsv()
+ * Past attempts as CSV. Building names and ids come from building
+ * files, so every cell goes through csvCell() (timeline.js), which
+ * keeps a spreadsheet from running them as formulas.
+ */
+function drillsCsv() {
+  const head = ['time', 'building', 'start', 'outcome', 'exit', 'score', 'passed', 'seconds', 'par_s',
+    'steps', 'optimal_steps', 'violations', 'extra_smoke', 'misclicks', 'path', 'optimal_path'];
+  const rows = listDrills().map((r) => [
+    r.at, r.building, r.start, r.outcome, r.exitId || '', r.score, r.passed ? 'yes' : 'no', r.seconds, r.par,
+    r.hops, r.bestHops, r.violations.map((v) => `${v.id}:${v.type}`).join(' '), r.extraSmoke, r.misses,
+    r.path.join('>'), r.best.join('>'),
+  ]);
+  return [head, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+function downloadDrills() {
+  const blob = new Blob([drillsCsv()], { type: 'text/csv' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `drills-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP — the trainee's path
+// ─────────────────────────────────────────────────────────────
+/** Walked path and the trainee's current room, over the floor. */
+function drawDrillOverlay(svg, rooms, exits) {
+  drawRoutePath(svg, { path: drill.path }, 'drill-path', rooms, exits);
+  if (drill.phase !== 'run') return;
+  const here = getNodeBox(drill.path[drill.path.length - 1], rooms, exits);
+  if (!here) return;
+  svg.appendChild(svgel('circle', { cx: here.cx, cy: here.cy, r: 13, class: 'drill-here' }));
+  svg.appendChild(svgel('circle', { cx: here.cx, cy: here.cy, r: 5, class: 'drill-dot' }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// RIGHT PANEL — drill card, session summary, history
+// ─────────────────────────────────────────────────────────────
+let drillNoteTimer = null;
+
+function flashDrillNote(msg) {
+  const el = document.getElementById('drillNote');
+  el.textContent = msg;
+  clearTimeout(drillNoteTimer);
+  drillNoteTimer = setTimeout(() => { el.textContent = ''; }, 2500);
+}
+
+const drillLevel = (score) => (score >= DRILL_PASS ? 'ok' : score >= 40 ? 'warn' : 'crit');
+
+const DRILL_OUTCOMES = { exit: 'REACHED AN EXIT', timeout: 'OUT OF TIME', abandoned: 'GAVE UP' };
+
+function drillResultHtml(r) {
+  const faults = r.violations
+    .map((v) => `<div class="plrow"><span>✗ ${escHtml(nodeLabel(v.id))}</span><span>${v.type.toUpperCase()}</span><span class="plbad">−${DRILL_SCORING.violation}</span></div>`)
+    .join('');
+  return `
+    <div class="drscore rsc-${drillLevel(r.score)}">${r.score}<span>/100 · ${r.passed ? 'PASSED' : 'FAILED'}</span></div>
+    <div class="plsum">
+      <div>OUTCOME <span>${DRILL_OUTCOMES[r.outcome]}</span></div>
+      ${r.exitId ? `<div>EXIT <span>${escHtml(nodeLabel(r.exitId))}</span></div>` : ''}
+      <div>TIME <span>${fmtMinSec(r.seconds)}</span> (PAR ${fmtMinSec(r.par)})</div>
+      <div>STEPS <span>${r.hops}</span> (BEST ${r.bestHops})</div>
+      ${r.extraSmoke ? `<div>EXTRA SMOKE <span class="plbad">${r.extraSmoke}</span></div>` : ''}
+      ${r.misses ? `<div>MISCLICKS <span>${r.misses}</span></div>` : ''}
+    </div>
+    ${faults ? `<div class="plhead">HAZARD VIOLATIONS</div>${faults}` : ''}
+    <div class="drhint">Best route to ${r.bestExit ? escHtml(nodeLabel(r.bestExit)) : '—'} is shown on the map; your path is dotted blue.</div>`;
+}
+
+function drillSessionHtml() {
+  const s = drillSummary(drill.session);
+  if (!s.attempts) return '';
+  return `<div class="plhead">THIS SESSION</div>
+    <div class="plsum">
+      <div>ATTEMPTS <span>${s.attempts}</span></div>
+      <div>PASSED <span>${s.passed}</span></div>
+      <div>AVERAGE <span>${s.avgScore}</span></div>
+      <div>BEST <span>${s.bestScore}</span></div>
+      <div>AVG TIME <span>${fmtMinSec(s.avgSeconds)}</span></div>
+    </div>`;
+}
+
+function drillHistoryHtml() {
+  const list = listDrills();
+  if (!list.length) return '<span class="none-label">// no past attempts</span>';
+  return list
+    .map((r) => `<div class="plrow" title="${escHtml(`${r.building} · ${r.path.map(nodeLabel).join(' → ')}`)}">
+        <span>${new Date(r.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · ${escHtml(nodeLabel(r.start))}</span>
+        <span>${fmtMinSec(r.seconds)}</span>
+        <span class="rsc-${drillLevel(r.score)}">${r.passed ? '✓' : '✗'} ${r.score}</span>
+      </div>`)
+    .join('');
+}
+
+function buildDrillPanel() {
+  const running = drill.phase === 'run';
+  document.body.classList.toggle('drill', !!drill.phase);
+  document.body.classList.toggle('drill-run', running);
+
+  const startBtn = document.getElementById('drillStart');
+  startBtn.textContent = drill.phase ? '↻ NEW DRILL' : '▶ START DRILL';
+  startBtn.disabled = running || editor.on;
+  document.getElementById('drillStop').textContent = running ? 'GIVE UP' : 'DONE';
+  document.getElementById('drillStop').hidden = !drill.phase;
+  document.getElementById('drillLimit').value = drill.limit;
+  document.getElementById('drillLimit').disabled = running;
+  document.getElementById('drillClock').textContent = drill.phase ? drillClockText() : '';
+  document.getElementById('drillCsv').disabled = !listDrills().length;
+  document.getElementById('drillClear').disabled = running || !listDrills().length;
+
+  if (drill.phase) {
+    document.getElementById('mapHint').textContent = running
+      ? 'DRILL: CLICK THE NEXT ROOM ON YOUR WAY OUT'
+      : 'DRILL REVIEW: BEST ROUTE GREEN, YOURS DOTTED BLUE';
+  }
+
+  const el = document.getElementById('drillBox');
+  if (running) {
+    const here = drill.path[drill.path.length - 1];
+    el.innerHTML = `<div class="drtask">Get out of <b>${escHtml(nodeLabel(drill.start))}</b> by the safest route.</div>
+      <div class="plsum">
+        <div>NOW AT <span>${escHtml(nodeLabel(here))}</span> (${escHtml(floorOf(here))})</div>
+        <div>STEPS <span>${drill.path.length - 1}</span></div>
+      </div>
+      <div class="drhint">Click rooms one at a time, each next to the last. Follow a stairwell with the floor tabs. Lifts are out of use.</div>`;
+    return;
+  }
+
+  el.innerHTML = `${drill.result ? drillResultHtml(drill.result) : ''}
+    ${drillSessionHtml()}
+    <div class="plhead">PAST ATTEMPTS</div>
+    ${drillHistoryHtml()}`;
+}
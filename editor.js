@@ -0,0 +1,415 @@
+/**
+ * js/editor.js
+ * =============================================================
+ * Visual floor-plan editor — edits the live building (BLDG,
+ * STAIR_LINKS, ELEVATOR_LINKS) directly on #mapSvg.
+ *
+ * Tools
+ * -----
+ *   ROOM   drag on empty floor to draw a room; drag a room to
+ *          move it (grid rooms become explicit x / y / w / h)
+ *   LINK   click two nodes to add a corridor edge with the
+ *          current cost, or remove it if it already exists
+ *   EXIT   click near a wall to place an exit at that point
+ *   STAIR  click a room to flag / unflag it as stairs; flagged
+ *          stairs are linked to the stairs on adjacent floors
+ *   LIFT   the same for elevators and ELEVATOR_LINKS
+ *   ACCESS click a room to flag / unflag it as a refuge area, or
+ *          an exit to mark it as having steps / step-free
+ *   DELETE click a room or exit to remove it and its edges
+ *
+ * While editing, every render re-runs validateBuilding() so
+ * problems show up live in the issues list, and nodes named in
+ * an issue are outlined on the map. EXPORT downloads the building as JSON.
+ *
+ * Depends on: data.js, routing.js, render.js, building.js
+ * State used: floor, pos, haz
+ * =============================================================
+ */
+
+'use strict';
+
+// Snap grid for drawn / moved rooms (px)
+const ED_SNAP = 10;
+
+// Smallest room the ROOM tool will create (px)
+const ED_MIN_ROOM = 40;
+
+const ED_HINTS = {
+  room:   'DRAG EMPTY FLOOR = NEW ROOM · DRAG ROOM = MOVE',
+  link:   'CLICK TWO NODES = ADD / REMOVE EDGE',
+  exit:   'CLICK NEAR A WALL = PLACE EXIT',
+  stair:  'CLICK ROOM = TOGGLE STAIRS',
+  lift:   'CLICK ROOM = TOGGLE LIFT',
+  access: 'CLICK ROOM = TOGGLE REFUGE · CLICK EXIT = TOGGLE STEPS',
+  delete: 'CLICK ROOM / EXIT = DELETE',
+};
+
+// ── Editor state ──────────────────────────────────────────────
+const editor = {
+  on:     false,
+  tool:   'room',
+  sel:    null,   // first node picked by the LINK tool
+  cost:   1,      // cost for new edges
+  drag:   null,   // { mode: 'new' | 'move', x0, y0, x, y, id? }
+};
+
+// ── Helpers ───────────────────────────────────────────────────
+const snap = (v) => Math.round(v / ED_SNAP) * ED_SNAP;
+
+/** Pointer event position in SVG (floor pixel) coordinates. */
+function svgPoint(svg, ev) {
+  const pt = svg.createSVGPoint();
+  pt.x = ev.clientX;
+  pt.y = ev.clientY;
+  const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+  return { x: p.x, y: p.y };
+}
+
+/** First unused building-wide id of the form prefix1, prefix2 … */
+function nextId(prefix) {
+  const used = new Set(buildingNodeIds(BLDG));
+  let n = 1;
+  while (used.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
+
+/** Node id (room or exit) under an event target, if any. */
+function nodeAt(target) {
+  const el = target.closest('[data-node]');
+  return el ? el.dataset.node : null;
+}
+
+/** Validation problems of the live building. */
+function editorIssues() {
+  return validateBuilding(exportBuilding());
+}
+
+/**
+ * issueNodeIds(issues)
+ * Node ids named by validation issues — from the location path
+ * (floors.F1.rooms[2]) or, failing that, a quoted id in the text.
+ */
+function issueNodeIds({ errors, warnings }) {
+  const known = new Set(buildingNodeIds(BLDG));
+  const ids = new Set();
+  [...errors, ...warnings].forEach(({ at, msg }) => {
+    const m = /^floors\.([^.]+)\.(rooms|exits)\[(\d+)\]/.exec(at);
+    const n = m && BLDG[m[1]] && BLDG[m[1]][m[2]][+m[3]];
+    const q = /"([^"]+)"/.exec(msg);
+    if (n) ids.add(n.id);
+    else if (q && known.has(q[1])) ids.add(q[1]);
+  });
+  return ids;
+}
+
+/** Refresh everything that depends on the building. */
+function edited() {
+  populateSel();
+  render();
+}
+
+// ── Mode / tool ───────────────────────────────────────────────
+function toggleEditor() {
+  editor.on = !editor.on;
+  editor.sel = null;
+  editor.drag = null;
+  document.body.classList.toggle('editing', editor.on);
+  edited();
+}
+
+function setEditorTool(tool) {
+  editor.tool = tool;
+  editor.sel = null;
+  render();
+}
+
+// ── Building edits ────────────────────────────────────────────
+function editorAddRoom(x, y, w, h) {
+  const label = window.prompt('Room name', 'New Room');
+  if (label === null) return;
+  BLDG[floor].rooms.push({ id: nextId(`${floor.toLowerCase()}_room`), label: label || 'Room', x, y, w, h });
+  edited();
+}
+
+/** Move a room by (dx, dy), converting grid rooms to explicit geometry. */
+function editorMoveRoom(id, dx, dy) {
+  const r = BLDG[floor].rooms.find((n) => n.id === id);
+  const laid = computeCoords(BLDG[floor]).rooms.find((n) => n.id === id);
+  if (!r || !laid) return;
+  delete r.col;
+  delete r.row;
+  Object.assign(r, { x: Math.max(0, snap(laid.x + dx)), y: Math.max(0, snap(laid.y + dy)), w: laid.w, h: laid.h });
+  edited();
+}
+
+/** Add an edge between a and b, or remove it if one exists. */
+function editorToggleEdge(a, b) {
+  const fd = BLDG[floor];
+  const i = fd.edges.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+  if (i >= 0) {
+    fd.edges.splice(i, 1);
+    if (haz[floor]) delete haz[floor][edgeKey(a, b)];
+    dropPresetHazards(edgeKey(a, b));
+  } else {
+    fd.edges.push([a, b, editor.cost]);
+  }
+  edited();
+}
+
+/** Place an exit on the wall nearest to (x, y). */
+function editorAddExit(x, y) {
+  const { width: W, height: H } = computeCoords(BLDG[floor]);
+  const d = { top: y, bottom: H - y, left: x, right: W - x };
+  const side = Object.keys(d).reduce((a, b) => (d[b] < d[a] ? b : a));
+  const along = side === 'top' || side === 'bottom' ? x / W : y / H;
+
+  const label = window.prompt('Exit name', 'New Exit');
+  if (label === null) return;
+  BLDG[floor].exits.push({
+    id: nextId(`${floor.toLowerCase()}_exit`),
+    label: label || 'Exit',
+    side,
+    offset: Math.round(Math.min(Math.max(along, 0.05), 0.95) * 100) / 100,
+  });
+  edited();
+}
+
+// Vertical circulation the STAIR / LIFT tools manage
+const ED_SHAFTS = {
+  stair: { flag: 'isStair',    links: STAIR_LINKS },
+  lift:  { flag: 'isElevator', links: ELEVATOR_LINKS },
+};
+
+/** Remove every link in `links` that touches id. */
+function dropLinks(links, id) {
+  for (let i = links.length - 1; i >= 0; i--) {
+    if (links[i][0] === id || links[i][1] === id) links.splice(i, 1);
+  }
+}
+
+/** Remove preset hazards on id (a node or edge key) and on corridors touching it. */
+function dropPresetHazards(id) {
+  HAZARD_PRESETS.forEach((p) => {
+    Object.keys(p.hazards).forEach((k) => {
+      if (k === id || (edgeEnds(k) || []).includes(id)) delete p.hazards[k];
+    });
+  });
+}
+
+/**
+ * editorToggleShaft(id, kind)
+ * Flag / unflag a room as stairs or a lift (a key of ED_SHAFTS).
+ * Flagging links it to the matching room on the nearest floor
+ * below and above; unflagging removes those links.
+ */
+function editorToggleShaft(id, kind) {
+  const { flag, links } = ED_SHAFTS[kind];
+  const r = BLDG[floor].rooms.find((n) => n.id === id);
+  if (!r) return;
+
+  dropLinks(links, id);
+
+  if (r[flag]) {
+    delete r[flag];
+  } else {
+    r[flag] = true;
+    const lvl = BLDG[floor].level;
+    const others = Object.keys(BLDG).filter((f) => f !== floor);
+    const below = others.filter((f) => BLDG[f].level < lvl).sort((a, b) => BLDG[b].level - BLDG[a].level)[0];
+    const above = others.filter((f) => BLDG[f].level > lvl).sort((a, b) => BLDG[a].level - BLDG[b].level)[0];
+    [below, above].forEach((f) => {
+      const st = f && BLDG[f].rooms.find((n) => n[flag]);
+      if (st) links.push([st.id, id, 1]);
+    });
+  }
+  edited();
+}
+
+/**
+ * editorToggleAccess(id)
+ * Rooms: flag / unflag as a refuge area. Exits: mark as having
+ * steps (`accessible: false`) or step-free again.
+ */
+function editorToggleAccess(id) {
+  const fd = BLDG[floor];
+  const n = fd.rooms.find((r) => r.id === id) || fd.exits.find((e) => e.id === id);
+  if (!n) return;
+  const key = isExitId(id) ? 'accessible' : 'isRefuge';
+  if (key in n) delete n[key];
+  else n[key] = key === 'isRefuge';
+  edited();
+}
+
+/** Remove a room or exit together with its edges, links and hazards. */
+function editorDeleteNode(id) {
+  const fd = BLDG[floor];
+  fd.rooms = fd.rooms.filter((n) => n.id !== id);
+  fd.exits = fd.exits.filter((n) => n.id !== id);
+  fd.edges = fd.edges.filter(([a, b]) => a !== id && b !== id);
+  dropLinks(STAIR_LINKS, id);
+  dropLinks(ELEVATOR_LINKS, id);
+  dropPresetHazards(id);
+  if (haz[floor]) {
+    Object.keys(haz[floor]).forEach((k) => {
+      if (k === id || (edgeEnds(k) || []).includes(id)) delete haz[floor][k];
+    });
+  }
+  if (pos === id) pos = null;
+  if (corridor && edgeEnds(corridor).includes(id)) corridor = null;
+  edited();
+}
+
+/**
+ * Add an empty floor one level above the current top floor. The
+ * id follows the rule validateBuilding() applies (FLOOR_KEY); an
+ * id that breaks it or is taken is asked for again.
+ */
+function editorAddFloor() {
+  const top = Math.max(...Object.values(BLDG).map((fd) => fd.level));
+  let key = window.prompt('New floor id (e.g. F4)', `F${top + 1}`);
+  while (key && (!FLOOR_KEY.test(key) || BLDG[key])) {
+    key = window.prompt(BLDG[key]
+      ? `Floor "${key}" already exists — new floor id`
+      : 'Floor id must start with a letter and hold only letters, digits, "_" and "-"', `F${top + 1}`);
+  }
+  if (!key) return;
+  BLDG[key] = {
+    label: `Floor ${top + 1}`, level: top + 1, note: '', rooms: [], exits: [], edges: [],
+  };
+  buildFloorTabs();
+  setFloor(key);
+  edited();
+}
+
+// ── Pointer handling (wired in main.js) ───────────────────────
+function editorPointerDown(ev) {
+  if (!editor.on) return;
+  const svg = ev.currentTarget;
+  const p = svgPoint(svg, ev);
+  const id = nodeAt(ev.target);
+
+  switch (editor.tool) {
+    case 'room':
+      if (id && !isExitId(id)) {
+        editor.drag = { mode: 'move', id, x0: p.x, y0: p.y, x: p.x, y: p.y };
+      } else if (!id) {
+        editor.drag = { mode: 'new', x0: snap(p.x), y0: snap(p.y), x: snap(p.x), y: snap(p.y) };
+      }
+      if (editor.drag) svg.setPointerCapture(ev.pointerId);
+      break;
+    case 'link':
+      if (!id) {
+        editor.sel = null;
+      } else if (!editor.sel) {
+        editor.sel = id;
+      } else if (editor.sel !== id) {
+        const a = editor.sel;
+        editor.sel = null;
+        editorToggleEdge(a, id);
+        return;
+      }
+      render();
+      break;
+    case 'exit':
+      if (!id) editorAddExit(p.x, p.y);
+      break;
+    case 'stair':
+    case 'lift':
+      if (id && !isExitId(id)) editorToggleShaft(id, editor.tool);
+      break;
+    case 'access':
+      if (id) editorToggleAccess(id);
+      break;
+    case 'delete':
+      if (id) editorDeleteNode(id);
+      break;
+  }
+}
+
+function editorPointerMove(ev) {
+  if (!editor.drag) return;
+  const p = svgPoint(ev.currentTarget, ev);
+  editor.drag.x = editor.drag.mode === 'new' ? snap(p.x) : p.x;
+  editor.drag.y = editor.drag.mode === 'new' ? snap(p.y) : p.y;
+  drawEditorGhost(ev.currentTarget);
+}
+
+function editorPointerUp() {
+  const d = editor.drag;
+  if (!d) return;
+  editor.drag = null;
+
+  if (d.mode === 'move') {
+    if (Math.abs(d.x - d.x0) > 3 || Math.abs(d.y - d.y0) > 3) editorMoveRoom(d.id, d.x - d.x0, d.y - d.y0);
+    else render();
+    return;
+  }
+
+  const w = Math.abs(d.x - d.x0);
+  const h = Math.abs(d.y - d.y0);
+  if (w >= ED_MIN_ROOM && h >= ED_MIN_ROOM) {
+    editorAddRoom(Math.min(d.x, d.x0), Math.min(d.y, d.y0), w, h);
+  } else {
+    render();
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP — editor overlay
+// ─────────────────────────────────────────────────────────────
+/** Drag preview: outline of the room being drawn or moved. */
+function drawEditorGhost(svg) {
+  const old = svg.querySelector('.ed-ghost');
+  if (old) old.remove();
+  const d = editor.drag;
+  if (!d) return;
+
+  let box;
+  if (d.mode === 'new') {
+    box = { x: Math.min(d.x, d.x0), y: Math.min(d.y, d.y0), w: Math.abs(d.x - d.x0), h: Math.abs(d.y - d.y0) };
+  } else {
+    const r = computeCoords(BLDG[floor]).rooms.find((n) => n.id === d.id);
+    box = { x: snap(r.x + d.x - d.x0), y: snap(r.y + d.y - d.y0), w: r.w, h: r.h };
+  }
+  svg.appendChild(svgel('rect', {
+    x: box.x, y: box.y, width: box.w, height: box.h, rx: 4, class: 'ed-ghost',
+  }));
+}
+
+/** Outline problem nodes and the LINK tool's pending selection. */
+function drawEditorOverlay(svg, rooms, exits) {
+  const bad = issueNodeIds(editorIssues());
+  [...rooms, ...exits].forEach((n) => {
+    const cls = n.id === editor.sel ? 'ed-sel' : bad.has(n.id) ? 'ed-bad' : '';
+    if (!cls) return;
+    svg.appendChild(svgel('rect', {
+      x: n.x - 4, y: n.y - 4, width: n.w + 8, height: n.h + 8, rx: 6, class: cls,
+    }));
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP AREA — toolbar + live issues
+// ─────────────────────────────────────────────────────────────
+function buildEditorPanel() {
+  document.getElementById('edToggle').classList.toggle('on', editor.on);
+  document.getElementById('edBar').hidden = !editor.on;
+  document.getElementById('edIssues').hidden = !editor.on;
+  document.getElementById('mapHint').textContent = editor.on ? ED_HINTS[editor.tool] : t('legend.hint');
+  if (!editor.on) return;
+
+  document.querySelectorAll('[data-tool]').forEach((b) => {
+    b.classList.toggle('on', b.dataset.tool === editor.tool);
+  });
+
+  const { errors, warnings } = editorIssues();
+  const rows = (list, cls, ico) => list
+    .map((p) => `<li class="vrow ${cls}"><span>${ico}</span><code>${escHtml(p.at)}</code>${escHtml(p.msg)}</li>`)
+    .join('');
+
+  document.getElementById('edIssues').innerHTML = errors.length || warnings.length
+    ? `<div class="rbtag">// ${errors.length} ERRORS · ${warnings.length} WARNINGS</div>
+       <ul class="vlist">${rows(errors, 'verr', '✗')}${rows(warnings, 'vwarn', '⚠')}</ul>`
+    : '<div class="sfc-ok">✓ BUILDING VALID</div>';
+}
@@ -0,0 +1,777 @@
+/**
+ * js/engine.js
+ * =============================================================
+ * Routing engine — a stateless API over an explicit building,
+ * start node and hazard map. Nothing here reads page state, so
+ * the same code runs in the browser (as a classic script that
+ * defines `LifeRouteEngine`), in Node (`require('./engine.js')`)
+ * and as an ES module through engine.mjs.
+ *
+ * Hazard contract (iron-clad, three layers)
+ * ------------------------------------------
+ * 1. GRAPH BUILD  — impassable nodes are never added to the
+ *    adjacency list. No edge can lead into or out of them.
+ * 2. RELAXATION   — an explicit guard blocks relaxation into
+ *    any hazardous node, even if somehow reached.
+ * 3. PATH VERIFY  — after reconstruction, every intermediate
+ *    node is checked. A contaminated path is discarded → null.
+ *
+ * A null route is never "try anyway": a path through fire, a
+ * blockage or a closed room is NEVER returned.
+ *
+ * Traversable hazards
+ * -------------------
+ * Types listed in TRAVERSABLE_HAZARDS (smoke) stay in the graph:
+ * entering such a node adds its penalty to the edge weight and
+ * its exposure to the route's running total. The search tracks
+ * exposure per state and never exceeds the exposure budget, so
+ * a route may cross a little light smoke but never a corridor
+ * of it. Routes with zero exposure are "clear", others
+ * "degraded".
+ *
+ * Corridor hazards
+ * ----------------
+ * A hazard can also sit on a single edge, keyed by edgeKey(a, b)
+ * in the same hazard map. EDGE_HAZARD_TYPES (blocked, locked)
+ * remove the edge from the graph — both rooms stay usable — and
+ * traversable types cost the same as entering a smoky room. The
+ * three layers check edges as well as nodes.
+ *
+ * Exits are terminal: a route may end at an exit but never pass
+ * through one, so a blocked door cannot be used as a corridor.
+ *
+ * Safety margin
+ * -------------
+ * A route that can keep its distance from a hazard should. Each
+ * type in `margin` (HAZARD_MARGIN: fire and smoke) adds its cost
+ * to every edge entering a node next to a room of that type —
+ * one corridor, stair link or lift link away — taking the
+ * largest when several are beside it. A margin costs no
+ * exposure, so it only decides between routes; it never stops
+ * one. Routes list the hazards they still pass next to in
+ * `near`.
+ *
+ * Profiles
+ * --------
+ * An "ambulatory" route changes floor by the stair links only. A
+ * "no-stairs" route changes floor by elevator links instead,
+ * ends at an exit not flagged `accessible: false`, and — when no
+ * such exit can be reached — at the nearest refuge area (a room
+ * flagged `isRefuge`), where the person waits for assistance.
+ * An elevator shaft is out of service while any floor it serves
+ * has a fire.
+ *
+ * Inputs
+ * ------
+ *   bldg     { [floorKey]: { rooms, exits, edges, … } }
+ *   hazards  { [nodeId | edgeKey]: hazardType } — flat, ids are
+ *            unique building-wide (see flattenHazards for
+ *            per-floor maps)
+ *   options  { stairLinks, elevatorLinks, profile, impassable,
+ *              traversable, maxExposure, margin, avoid,
+ *              nodePenalty, weights, k }
+ *            every field optional, defaults below
+ *
+ * Edge weights
+ * ------------
+ * An edge costs its own weight (the third element) unless
+ * `weights` has an entry for its edgeKey(a, b), which replaces
+ * it — the page passes travel times this way. Hazard penalties
+ * and OVERLAP_PENALTY are added to the same scale, so weights
+ * should keep a typical room-to-room hop near 1.
+ *
+ * `avoid` lists nodes to route around as if impassable (without
+ * reporting them as hazards); `nodePenalty` adds extra cost for
+ * entering given nodes. findRoutes() uses both to find backup
+ * routes that share as little as possible with the primary, and
+ * resilience() uses `avoid` to fail one room at a time.
+ * =============================================================
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.LifeRouteEngine = api;
+}(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  'use strict';
+
+  // Hazard types that make a node completely impassable
+  const ROOM_HAZARD_TYPES = new Set(['fire', 'blocked', 'closed']);
+
+  // Hazard types that make a single corridor / door impassable
+  const EDGE_HAZARD_TYPES = new Set(['blocked', 'locked']);
+
+  // Hazard types a route may pass through, at a cost:
+  //   penalty  — added to the weight of every edge entering the node
+  //   exposure — counted against the exposure budget for the route
+  const TRAVERSABLE_HAZARDS = {
+    smoke: { penalty: 4, exposure: 1 },
+  };
+
+  // Maximum total exposure a single route may accumulate
+  const MAX_EXPOSURE = 2;
+
+  // Extra cost for entering a node next to a room with a hazard
+  // of this type (see "Safety margin" above)
+  const HAZARD_MARGIN = {
+    fire:  3,
+    smoke: 1,
+  };
+
+  // Hazard value that takes an exit out of the candidate set
+  const EXIT_BLOCKED = 'exit-blocked';
+
+  // Who a route is for (see "Profiles" above)
+  const PROFILES = {
+    AMBULATORY: 'ambulatory',
+    NO_STAIRS:  'no-stairs',
+  };
+
+  // Hazard types that take an elevator out of service when present
+  // on any floor it serves (fire-service recall)
+  const ELEVATOR_RECALL = new Set(['fire']);
+
+  // Routes findRoutes() returns by default (primary + alternates)
+  const DEFAULT_ROUTES = 3;
+
+  // Extra cost per earlier route that already uses a node, when no
+  // fully node-disjoint alternate exists
+  const OVERLAP_PENALTY = 10;
+
+  // Why findRoute() returned no route
+  const REASONS = {
+    NO_START:         'no-start',          // start id missing or unknown
+    START_IMPASSABLE: 'start-impassable',  // the start node itself is impassable
+    START_EXPOSURE:   'start-exposure',    // the start alone exceeds the budget
+    NO_OPEN_EXITS:    'no-open-exits',     // every exit is blocked (or none exist)
+    NO_STEP_FREE:     'no-step-free',      // no-stairs: no open accessible exit or refuge area
+    EXPOSURE_LIMIT:   'exposure-limit',    // exits reachable only through too much smoke
+    NO_SAFE_PATH:     'no-safe-path',      // impassable hazards cut off every exit
+    UNSAFE_PATH:      'unsafe-path',       // layer 3 rejected the reconstructed path
+  };
+
+  /** Fill in defaults for an options object (resolved ones pass through). */
+  function resolveOptions(opts = {}) {
+    if (opts.resolved) return opts;
+    return {
+      resolved:    true,
+      stairLinks:  opts.stairLinks || [],
+      elevatorLinks: opts.elevatorLinks || [],
+      profile:     opts.profile || PROFILES.AMBULATORY,
+      impassable:  opts.impassable ? new Set(opts.impassable) : ROOM_HAZARD_TYPES,
+      traversable: opts.traversable || TRAVERSABLE_HAZARDS,
+      maxExposure: opts.maxExposure ?? MAX_EXPOSURE,
+      margin:      opts.margin || HAZARD_MARGIN,
+      avoid:       new Set(opts.avoid || []),
+      nodePenalty: opts.nodePenalty || {},
+      weights:     opts.weights || {},
+    };
+  }
+
+  // ── Hazard checks ──────────────────────────────────────────
+  /**
+   * flattenHazards(perFloor)
+   * Merge a per-floor hazard map ({ GF: { kitchen: 'fire' }, … })
+   * into the flat form the engine takes.
+   */
+  function flattenHazards(perFloor) {
+    return Object.assign({}, ...Object.values(perFloor || {}));
+  }
+
+  /** Is a node impassable given an explicit hazard map? */
+  function nodeIsHazardous(id, hazSnap, opts) {
+    return resolveOptions(opts).impassable.has(hazSnap[id] || '');
+  }
+
+  /** Impassable, or to be routed around for this search? */
+  function nodeIsOffLimits(id, hazSnap, o) {
+    return o.avoid.has(id) || nodeIsHazardous(id, hazSnap, o);
+  }
+
+  /** Traversal cost of a node: { penalty, exposure }, zero when clear. */
+  function nodeHazardCost(id, hazSnap, opts) {
+    return resolveOptions(opts).traversable[hazSnap[id] || ''] || { penalty: 0, exposure: 0 };
+  }
+
+  /** Hazard-map key of the edge between a and b (either order). */
+  function edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /** The two node ids of an edge key, or null for a node id. */
+  function edgeEnds(key) {
+    const i = key.indexOf('|');
+    return i < 0 ? null : [key.slice(0, i), key.slice(i + 1)];
+  }
+
+  /** Is the edge a–b impassable? */
+  function edgeIsHazardous(a, b, hazSnap) {
+    return EDGE_HAZARD_TYPES.has(hazSnap[edgeKey(a, b)] || '');
+  }
+
+  // ── Graph construction ─────────────────────────────────────
+  /** Every room and exit id in the building. */
+  function buildingNodeIds(bldg) {
+    return Object.values(bldg).flatMap((fd) => [...fd.rooms, ...fd.exits].map((n) => n.id));
+  }
+
+  /** Every exit id in the building. */
+  function buildingExitIds(bldg) {
+    return Object.values(bldg).flatMap((fd) => fd.exits.map((e) => e.id));
+  }
+
+  /** Exits a no-stairs route may end at. */
+  function accessibleExitIds(bldg) {
+    return Object.values(bldg).flatMap((fd) => fd.exits.filter((e) => e.accessible !== false).map((e) => e.id));
+  }
+
+  /** Every room flagged as a refuge area. */
+  function refugeIds(bldg) {
+    return Object.values(bldg).flatMap((fd) => fd.rooms.filter((r) => r.isRefuge).map((r) => r.id));
+  }
+
+  /** Every corridor edge on every floor, plus the stairwell links. */
+  function buildingEdges(bldg, links = []) {
+    return [...Object.values(bldg).flatMap((fd) => fd.edges), ...links];
+  }
+
+  /**
+   * elevatorsInService(bldg, hazSnap, opts)
+   * The elevator links that can be used. Links that share a car
+   * form one shaft, and the whole shaft is recalled when any floor
+   * it stops at has an ELEVATOR_RECALL hazard anywhere on it.
+   * @returns {Array[]} - Subset of `opts.elevatorLinks`
+   */
+  function elevatorsInService(bldg, hazSnap, opts) {
+    const o = resolveOptions(opts);
+    const floorOf = {};
+    Object.entries(bldg).forEach(([f, fd]) => {
+      [...fd.rooms, ...fd.exits].forEach((n) => { floorOf[n.id] = f; });
+    });
+    const burning = new Set(Object.keys(hazSnap)
+      .filter((id) => ELEVATOR_RECALL.has(hazSnap[id]))
+      .map((id) => floorOf[id]));
+
+    // Union the cars of every link into shafts
+    const parent = {};
+    const shaft = (id) => {
+      while (parent[id] !== undefined) id = parent[id];
+      return id;
+    };
+    o.elevatorLinks.forEach(([a, b]) => {
+      const sa = shaft(a);
+      const sb = shaft(b);
+      if (sa !== sb) parent[sa] = sb;
+    });
+
+    const recalled = new Set(o.elevatorLinks
+      .filter(([a, b]) => burning.has(floorOf[a]) || burning.has(floorOf[b]))
+      .map(([a]) => shaft(a)));
+    return o.elevatorLinks.filter(([a]) => !recalled.has(shaft(a)));
+  }
+
+  /**
+   * hazardNeighbours(bldg, hazSnap, opts)
+   * Nodes next to a room whose hazard type is in `opts.margin`,
+   * with the hazardous rooms beside each. Corridors, stair links
+   * and elevator links all count, whatever the profile and
+   * whether or not they can be used right now.
+   * @returns {object} - { nodeId: [hazardousNodeId, …], … }
+   */
+  function hazardNeighbours(bldg, hazSnap, opts) {
+    const o = resolveOptions(opts);
+    const near = {};
+    const add = (id, src) => {
+      if (o.margin[hazSnap[src]] === undefined) return;
+      if (!near[id]) near[id] = [];
+      if (!near[id].includes(src)) near[id].push(src);
+    };
+    buildingEdges(bldg, [...o.stairLinks, ...o.elevatorLinks]).forEach(([a, b]) => {
+      add(a, b);
+      add(b, a);
+    });
+    return near;
+  }
+
+  /** Margin cost of entering a node: the largest of the hazards beside it. */
+  function marginCost(id, near, hazSnap, o) {
+    return Math.max(0, ...(near[id] || []).map((h) => o.margin[hazSnap[h]]));
+  }
+
+  /** Links between floors this profile may use. */
+  function floorLinks(bldg, hazSnap, o) {
+    return o.profile === PROFILES.NO_STAIRS ? elevatorsInService(bldg, hazSnap, o) : o.stairLinks;
+  }
+
+  /**
+   * buildAdjacency(bldg, hazSnap, opts)
+   * Build the traversable adjacency list for the whole building.
+   * Any node that appears in hazSnap as a blocking hazard (or in
+   * `opts.avoid`) is silently dropped — no edge to or from it is
+   * ever added, and neither is an edge with an EDGE_HAZARD_TYPES
+   * hazard. Floors are joined by the stair or elevator links of
+   * `opts.profile`. Edges into a traversable hazard carry its
+   * penalty in `w` and its exposure in `x`, so the two directions
+   * can differ; a traversable hazard on the edge itself counts in
+   * both directions, and `opts.nodePenalty` and the safety margin
+   * of the node entered are added to `w` like a node hazard.
+   * `opts.weights` replaces an edge's own weight.
+   *
+   * @param {object} bldg     - Building definition
+   * @param {object} hazSnap  - Flat hazard map for this run
+   * @param {object} [opts]   - Engine options
+   * @returns {object}        - { nodeId: [{ to, w, x }, …], … }
+   */
+  function buildAdjacency(bldg, hazSnap, opts) {
+    const o = resolveOptions(opts);
+    const adj = {};
+    const near = hazardNeighbours(bldg, hazSnap, o);
+
+    buildingNodeIds(bldg).forEach((id) => {
+      adj[id] = [];
+    });
+
+    buildingEdges(bldg, floorLinks(bldg, hazSnap, o)).forEach(([a, b, cost]) => {
+      // Drop the edge if either endpoint, or the edge itself, is hazardous
+      if (nodeIsOffLimits(a, hazSnap, o) || nodeIsOffLimits(b, hazSnap, o)) return;
+      if (edgeIsHazardous(a, b, hazSnap)) return;
+      const ca = nodeHazardCost(a, hazSnap, o);
+      const cb = nodeHazardCost(b, hazSnap, o);
+      const ce = nodeHazardCost(edgeKey(a, b), hazSnap, o);
+      const pa = (o.nodePenalty[a] || 0) + marginCost(a, near, hazSnap, o);
+      const pb = (o.nodePenalty[b] || 0) + marginCost(b, near, hazSnap, o);
+      const w  = o.weights[edgeKey(a, b)] ?? cost;
+      adj[a].push({ to: b, w: w + cb.penalty + ce.penalty + pb, x: cb.exposure + ce.exposure });
+      adj[b].push({ to: a, w: w + ca.penalty + ce.penalty + pa, x: ca.exposure + ce.exposure });
+    });
+
+    return adj;
+  }
+
+  // ── Dijkstra ───────────────────────────────────────────────
+  // Search states are (node, exposure so far), keyed "id#exposure".
+  function stateKey(id, x) {
+    return `${id}#${x}`;
+  }
+
+  /**
+   * dijkstra(bldg, startId, hazSnap, opts)
+   * Single-source shortest-path over (node, exposure) states using
+   * a linear-scan priority queue (adequate for the small graphs
+   * used here). A state is only expanded while its accumulated
+   * exposure stays within the budget, and exits are never
+   * expanded (they end a route).
+   *
+   * `opts.adj` may pass an adjacency list already built with
+   * buildAdjacency() for the same hazards, to share it between
+   * searches.
+   *
+   * @returns {{ dist: object, via: object, prev: object }}
+   *   dist[id] — cheapest cost to reach id at any exposure
+   *   via[id]  — state key that achieved it
+   *   prev[k]  — predecessor state key of state k
+   */
+  function dijkstra(bldg, startId, hazSnap, opts = {}) {
+    const o = resolveOptions(opts);
+    const dist = {};
+    const via  = {};
+    const prev = {};
+    buildingNodeIds(bldg).forEach((id) => {
+      dist[id] = Infinity;
+      via[id]  = null;
+    });
+
+    // If the start is impassable, no traversal is possible
+    if (nodeIsHazardous(startId, hazSnap, o)) {
+      return { dist, via, prev };
+    }
+
+    // Starting inside a traversable hazard counts towards exposure
+    const x0 = nodeHazardCost(startId, hazSnap, o).exposure;
+    if (x0 > o.maxExposure) {
+      return { dist, via, prev };
+    }
+
+    const adj = opts.adj || buildAdjacency(bldg, hazSnap, o);
+    const exits = new Set(buildingExitIds(bldg));
+    const stDist = { [stateKey(startId, x0)]: 0 };
+    prev[stateKey(startId, x0)] = null;
+
+    const pq = [{ id: startId, x: x0, d: 0 }];
+
+    while (pq.length) {
+      // Linear-scan extract-min (fine for a few dozen nodes)
+      let minIdx = 0;
+      for (let i = 1; i < pq.length; i++) {
+        if (pq[i].d < pq[minIdx].d) minIdx = i;
+      }
+      const { id: u, x: xu, d: du } = pq.splice(minIdx, 1)[0];
+      const ku = stateKey(u, xu);
+
+      if (du > stDist[ku]) continue;                   // stale entry
+      if (nodeIsOffLimits(u, hazSnap, o)) continue;    // safety guard
+
+      if (du < dist[u]) {
+        dist[u] = du;
+        via[u]  = ku;
+      }
+
+      if (exits.has(u) && u !== startId) continue;     // exits are terminal
+
+      for (const { to, w, x } of (adj[u] || [])) {
+        if (nodeIsOffLimits(to, hazSnap, o)) continue; // never relax into hazard
+        if (edgeIsHazardous(u, to, hazSnap)) continue;  // … or along a blocked edge
+        const nx = xu + x;
+        if (nx > o.maxExposure) continue;              // exposure budget spent
+        const kt = stateKey(to, nx);
+        const nd = du + w;
+        if (nd < (stDist[kt] ?? Infinity)) {
+          stDist[kt] = nd;
+          prev[kt] = ku;
+          pq.push({ id: to, x: nx, d: nd });
+        }
+      }
+    }
+
+    return { dist, via, prev };
+  }
+
+  // ── Path reconstruction ────────────────────────────────────
+  function mkPath(prev, endKey) {
+    const path = [];
+    let cur = endKey;
+    while (cur !== null) {
+      path.unshift(cur.slice(0, cur.lastIndexOf('#')));
+      cur = prev[cur];
+    }
+    return path;
+  }
+
+  /**
+   * verifyPath(bldg, path, hazSnap, opts)
+   * Layer 3 — check a reconstructed path independently of the
+   * search: no intermediate node may be impassable or an exit,
+   * every step must follow an unblocked edge open to the profile
+   * (so a no-stairs route never takes a stair link), and the
+   * exposure budget — nodes and edges — must hold.
+   * @returns {string|null} - Offending node id, or null if the path is safe
+   */
+  function verifyPath(bldg, path, hazSnap, opts) {
+    const o = resolveOptions(opts);
+    const exits = new Set(buildingExitIds(bldg));
+    for (let i = 1; i < path.length - 1; i++) {
+      if (nodeIsHazardous(path[i], hazSnap, o) || exits.has(path[i])) return path[i];
+    }
+    const steps = new Set(buildingEdges(bldg, floorLinks(bldg, hazSnap, o))
+      .flatMap(([a, b]) => [`${a}>${b}`, `${b}>${a}`]));
+    for (let i = 1; i < path.length; i++) {
+      if (!steps.has(`${path[i - 1]}>${path[i]}`)) return path[i];
+      if (edgeIsHazardous(path[i - 1], path[i], hazSnap)) return path[i];
+    }
+    let exposure = 0;
+    for (let i = 0; i < path.length; i++) {
+      exposure += nodeHazardCost(path[i], hazSnap, o).exposure;
+      if (i > 0) exposure += nodeHazardCost(edgeKey(path[i - 1], path[i]), hazSnap, o).exposure;
+      if (exposure > o.maxExposure) return path[i];
+    }
+    return null;
+  }
+
+  /**
+   * pathCost(bldg, path, hazSnap, opts)
+   * Cost of walking a given path: edge weights plus the hazard
+   * penalties of the nodes entered (no avoid / nodePenalty).
+   */
+  function pathCost(bldg, path, hazSnap, opts) {
+    const o = { ...resolveOptions(opts), avoid: new Set(), nodePenalty: {} };
+    const adj = buildAdjacency(bldg, hazSnap, o);
+    let d = 0;
+    for (let i = 1; i < path.length; i++) {
+      const ws = (adj[path[i - 1]] || []).filter((e) => e.to === path[i]).map((e) => e.w);
+      d += ws.length ? Math.min(...ws) : Infinity;
+    }
+    return d;
+  }
+
+  // ── Public API ─────────────────────────────────────────────
+  /**
+   * findRoute(bldg, startId, hazards, opts)
+   * Safest, shortest evacuation route from startId to the
+   * nearest open exit anywhere in the building. Inputs are
+   * never modified.
+   *
+   * For the no-stairs profile the nearest open accessible exit
+   * wins; only when none can be reached does the route end at
+   * the nearest hazard-free refuge area instead. `exitId` is then
+   * the refuge room and `refuge` is true.
+   *
+   * The route lists the traversable-hazard nodes and edge keys
+   * it crosses in `crossed`; status is 'clear' when there are
+   * none, otherwise 'degraded'. `near` lists the rooms with a
+   * `margin` hazard it passes next to, as { id, at }: `at` is the
+   * first node of the path (after the start) beside room `id`.
+   *
+   * @param {object} bldg      - Building definition
+   * @param {string} startId   - Room the person is in
+   * @param {object} [hazards] - Flat hazard map { nodeId: type }
+   * @param {object} [opts]    - Engine options
+   * @returns {{
+   *   route:    { exitId, d, path, exposure, crossed, near, status, refuge }|null,
+   *   reason:   string|null,   // one of REASONS when route is null
+   *   excluded: string[],      // nodes removed from the graph
+   *   blockedEdges: string[],  // edge keys removed from the graph
+   *   blockedExits: string[],  // exits not considered
+   * }}
+   */
+  function findRoute(bldg, startId, hazards = {}, opts = {}) {
+    const o = resolveOptions(opts);
+    const hazSnap = { ...hazards };
+    const ids = buildingNodeIds(bldg);
+    const exitIds = buildingExitIds(bldg);
+
+    const result = {
+      route: null,
+      reason: null,
+      excluded: ids.filter((id) => nodeIsHazardous(id, hazSnap, o)),
+      blockedEdges: Object.keys(hazSnap).filter((k) => edgeEnds(k) && EDGE_HAZARD_TYPES.has(hazSnap[k])),
+      blockedExits: exitIds.filter((id) => hazSnap[id] === EXIT_BLOCKED),
+    };
+    const fail = (reason) => Object.assign(result, { reason });
+
+    if (!startId || !ids.includes(startId)) return fail(REASONS.NO_START);
+    if (nodeIsHazardous(startId, hazSnap, o)) return fail(REASONS.START_IMPASSABLE);
+    if (nodeHazardCost(startId, hazSnap, o).exposure > o.maxExposure) return fail(REASONS.START_EXPOSURE);
+
+    const noStairs = o.profile === PROFILES.NO_STAIRS;
+    const usable = noStairs ? new Set(accessibleExitIds(bldg)) : null;
+    const open = exitIds.filter((id) => hazSnap[id] !== EXIT_BLOCKED && (!usable || usable.has(id)));
+    const refuges = noStairs ? refugeIds(bldg).filter((id) => !hazSnap[id]) : [];
+    if (!open.length && !refuges.length) {
+      return fail(noStairs && exitIds.some((id) => hazSnap[id] !== EXIT_BLOCKED)
+        ? REASONS.NO_STEP_FREE
+        : REASONS.NO_OPEN_EXITS);
+    }
+
+    const { dist, via, prev } = dijkstra(bldg, startId, hazSnap, o);
+
+    // Nearest reachable target of a list
+    const nearest = (ids) => {
+      let b = null;
+      ids.forEach((id) => {
+        const d = dist[id];
+        if (isFinite(d) && (b === null || d < b.d)) b = { exitId: id, d, path: mkPath(prev, via[id]) };
+      });
+      return b;
+    };
+
+    // Find nearest open exit, else (no-stairs) the nearest refuge
+    let best = nearest(open);
+    if (!best) {
+      best = nearest(refuges);
+      if (best) best.refuge = true;
+    }
+
+    if (!best) {
+      // Would an exit be reachable if traversable hazards cost no
+      // exposure? (An infinite budget would let smoke cycles grow
+      // the state space without end.)
+      const free = {};
+      Object.entries(o.traversable).forEach(([k, v]) => { free[k] = { ...v, exposure: 0 }; });
+      const loose = dijkstra(bldg, startId, hazSnap, { ...o, traversable: free });
+      return fail([...open, ...refuges].some((id) => isFinite(loose.dist[id]))
+        ? REASONS.EXPOSURE_LIMIT
+        : REASONS.NO_SAFE_PATH);
+    }
+
+    // Layer 3 — verify every intermediate node is passable and the
+    // exposure budget holds (belt-and-suspenders; should never
+    // trigger with correct graph build)
+    if (verifyPath(bldg, best.path, hazSnap, o) !== null) return fail(REASONS.UNSAFE_PATH);
+
+    // Every node and edge walked, in order
+    const walked = best.path.flatMap((id, i) => (i ? [edgeKey(best.path[i - 1], id), id] : [id]));
+    best.crossed  = walked.filter((id) => nodeHazardCost(id, hazSnap, o).exposure > 0);
+    best.exposure = walked.reduce((sum, id) => sum + nodeHazardCost(id, hazSnap, o).exposure, 0);
+    best.status   = best.crossed.length ? 'degraded' : 'clear';
+    best.refuge   = !!best.refuge;
+
+    // Hazards passed next to, each at the first node beside it
+    const near = hazardNeighbours(bldg, hazSnap, o);
+    best.near = [];
+    best.path.slice(1).forEach((at) => (near[at] || []).forEach((id) => {
+      if (!best.path.includes(id) && !best.near.some((n) => n.id === id)) best.near.push({ id, at });
+    }));
+
+    result.route = best;
+    return result;
+  }
+
+  /**
+   * findRoutes(bldg, startId, hazards, opts)
+   * The primary route plus up to `opts.k - 1` backup routes, for
+   * when the person finds part of the primary impassable.
+   *
+   * Each alternate is first searched node-disjoint from every
+   * route so far (only the start may be shared); if there is
+   * none, nodes (and exits) already used cost OVERLAP_PENALTY
+   * extra per use, giving the route with the least overlap.
+   * Alternates that repeat an earlier path end the search.
+   *
+   * @returns {object} - findRoute()'s result plus
+   *   routes: [primary, alternate 1, …] — each alternate also has
+   *   `shared`, the intermediate nodes it has in common with the
+   *   primary; [] when there is no primary
+   */
+  function findRoutes(bldg, startId, hazards = {}, opts = {}) {
+    const k = opts.k ?? DEFAULT_ROUTES;
+    const o = resolveOptions(opts);
+    const result = findRoute(bldg, startId, hazards, o);
+    result.routes = [];
+    if (!result.route) return result;
+
+    const routes = [result.route];
+    const seen = new Set([result.route.path.join('>')]);
+    const primary = new Set(result.route.path.slice(1, -1));
+
+    while (routes.length < k) {
+      const inner = routes.flatMap((r) => r.path.slice(1, -1));
+
+      // Fully node-disjoint first …
+      let alt = findRoute(bldg, startId, hazards, { ...o, avoid: new Set([...o.avoid, ...inner]) }).route;
+
+      // … else the least overlap (exits count too, so a different
+      // door wins a tie)
+      if (!alt || seen.has(alt.path.join('>'))) {
+        const pen = { ...o.nodePenalty };
+        routes.flatMap((r) => r.path.slice(1)).forEach((id) => { pen[id] = (pen[id] || 0) + OVERLAP_PENALTY; });
+        alt = findRoute(bldg, startId, hazards, { ...o, nodePenalty: pen }).route;
+      }
+
+      if (!alt || seen.has(alt.path.join('>'))) break;
+      seen.add(alt.path.join('>'));
+      alt.d = pathCost(bldg, alt.path, hazards, o);
+      alt.shared = alt.path.slice(1, -1).filter((id) => primary.has(id));
+      routes.push(alt);
+    }
+
+    result.routes = routes;
+    return result;
+  }
+
+  // ── Resilience ─────────────────────────────────────────────
+  /**
+   * resilience(bldg, hazards, opts)
+   * Single-point-of-failure analysis: for every room (stairs and
+   * lifts included), exit and corridor that is usable now, which
+   * rooms would lose every route if only it became impassable?
+   *
+   * Rooms are failed through `avoid`, exits as EXIT_BLOCKED and
+   * corridors as 'blocked', on top of the given hazards. Only the
+   * rooms whose current route walks the failed element can lose
+   * their route, so only those are searched again.
+   *
+   * A floor's score is the share of its routable rooms that keep
+   * a route whichever single element fails (100 = no single
+   * point of failure, null = no routable rooms).
+   *
+   * @returns {{
+   *   elements:   { id, kind, floor, stranded: string[] }[],
+   *                 // kind 'room' | 'exit' | 'edge'; only elements
+   *                 // that strand a room, most rooms first
+   *   floors:     { [floorKey]: { rooms, resilient, score, critical } },
+   *                 // critical: ids of elements stranding a room here
+   *   unroutable: string[],   // rooms with no route already
+   * }}
+   */
+  function resilience(bldg, hazards = {}, opts = {}) {
+    const o = resolveOptions(opts);
+    const home = {};
+    const candidates = [];
+    Object.entries(bldg).forEach(([f, fd]) => {
+      fd.rooms.forEach((r) => {
+        home[r.id] = f;
+        if (!nodeIsOffLimits(r.id, hazards, o)) candidates.push({ id: r.id, kind: 'room', floor: f });
+      });
+      fd.exits.forEach((e) => {
+        home[e.id] = f;
+        if (hazards[e.id] !== EXIT_BLOCKED) candidates.push({ id: e.id, kind: 'exit', floor: f });
+      });
+      fd.edges.forEach(([a, b]) => {
+        if (!edgeIsHazardous(a, b, hazards)) candidates.push({ id: edgeKey(a, b), kind: 'edge', floor: f });
+      });
+    });
+
+    // Current routes, as the set of nodes and edge keys each walks
+    const walks = {};
+    const unroutable = [];
+    Object.values(bldg).flatMap((fd) => fd.rooms.filter((r) => !r.isStair && !r.isElevator)).forEach((r) => {
+      const { route } = findRoute(bldg, r.id, hazards, o);
+      if (!route) {
+        unroutable.push(r.id);
+        return;
+      }
+      walks[r.id] = new Set(route.path.flatMap((id, i) => (i ? [edgeKey(route.path[i - 1], id), id] : [id])));
+    });
+
+    const elements = [];
+    candidates.forEach((c) => {
+      const failed = c.kind === 'room'
+        ? [hazards, { ...o, avoid: new Set([...o.avoid, c.id]) }]
+        : [{ ...hazards, [c.id]: c.kind === 'exit' ? EXIT_BLOCKED : 'blocked' }, o];
+      const stranded = Object.keys(walks)
+        .filter((id) => id !== c.id && walks[id].has(c.id))
+        .filter((id) => !findRoute(bldg, id, ...failed).route);
+      if (stranded.length) elements.push({ ...c, stranded });
+    });
+    elements.sort((a, b) => b.stranded.length - a.stranded.length);
+
+    const lost = new Set(elements.flatMap((e) => e.stranded));
+    const floors = {};
+    Object.keys(bldg).forEach((f) => {
+      const rooms = Object.keys(walks).filter((id) => home[id] === f);
+      const critical = elements.filter((e) => e.stranded.some((id) => home[id] === f)).map((e) => e.id);
+      const resilient = rooms.filter((id) => !lost.has(id)).length;
+      floors[f] = {
+        rooms: rooms.length,
+        resilient,
+        score: rooms.length ? Math.round((100 * resilient) / rooms.length) : null,
+        critical,
+      };
+    });
+
+    return { elements, floors, unroutable };
+  }
+
+  return {
+    ROOM_HAZARD_TYPES,
+    EDGE_HAZARD_TYPES,
+    TRAVERSABLE_HAZARDS,
+    MAX_EXPOSURE,
+    HAZARD_MARGIN,
+    EXIT_BLOCKED,
+    PROFILES,
+    ELEVATOR_RECALL,
+    REASONS,
+    flattenHazards,
+    nodeIsHazardous,
+    nodeHazardCost,
+    edgeKey,
+    edgeEnds,
+    edgeIsHazardous,
+    buildingNodeIds,
+    buildingExitIds,
+    accessibleExitIds,
+    refugeIds,
+    buildingEdges,
+    hazardNeighbours,
+    elevatorsInService,
+    buildAdjacency,
+    dijkstra,
+    mkPath,
+    verifyPath,
+    pathCost,
+    findRoute,
+    findRoutes,
+    resilience,
+  };
+}));
@@ -0,0 +1,51 @@
+/**
+ * js/engine.mjs
+ * =============================================================
+ * ES module entry for the routing engine (engine.js).
+ *
+ *   import { findRoute } from './engine.mjs';
+ *
+ * Node loads engine.js as CommonJS and hands back its exports;
+ * a browser runs it as a plain script that sets the global
+ * LifeRouteEngine. Either way the same API is re-exported.
+ * =============================================================
+ */
+
+import * as umd from './engine.js';
+
+const engine = umd.default || globalThis.LifeRouteEngine;
+
+export const {
+  ROOM_HAZARD_TYPES,
+  EDGE_HAZARD_TYPES,
+  TRAVERSABLE_HAZARDS,
+  MAX_EXPOSURE,
+  HAZARD_MARGIN,
+  EXIT_BLOCKED,
+  PROFILES,
+  ELEVATOR_RECALL,
+  REASONS,
+  flattenHazards,
+  nodeIsHazardous,
+  nodeHazardCost,
+  edgeKey,
+  edgeEnds,
+  edgeIsHazardous,
+  buildingNodeIds,
+  buildingExitIds,
+  accessibleExitIds,
+  refugeIds,
+  buildingEdges,
+  hazardNeighbours,
+  elevatorsInService,
+  buildAdjacency,
+  dijkstra,
+  mkPath,
+  verifyPath,
+  pathCost,
+  findRoute,
+  findRoutes,
+  resilience,
+} = engine;
+
+export default engine;
@@ -0,0 +1,653 @@
+/**
+ * js/i18n.js
+ * =============================================================
+ * Translation layer — locale bundles, t() lookups, building
+ * label translations and right-to-left layout.
+ *
+ * Each locale bundle maps a dotted key to its text. Text may
+ * hold {name} placeholders, filled from t()'s second argument,
+ * and simple HTML (<strong>) where the panel markup expects it.
+ * A key missing from a bundle falls back to English, then to the
+ * key itself, so a partial bundle still works.
+ *
+ * Covered: everything an occupant reads — the header status, the
+ * position panel, the hazard legend and the room, corridor and
+ * exit lists, the route panel, the steps, the map labels and
+ * legend, and the printed placards. Warden and set-up tools
+ * (hazard tools and presets, editor, planner, sensors, timeline,
+ * resilience …) stay in English.
+ *
+ * Static text in index.html carries data-i18n="key" (textContent)
+ * or data-i18n-html="key" (markup); translatePage() refills it.
+ * Rooms, exits and floors may carry their own translations in
+ * the building definition:
+ *
+ *   { "id": "kitchen", "label": "Kitchen", "labels": { "es": "Cocina" } }
+ *   { "label": "Ground Floor", "note": "…", "labels": { … }, "notes": { … } }
+ *
+ * The choice is kept in localStorage; the first visit follows
+ * the browser's language when a bundle exists for it.
+ *
+ * Depends on: nothing at load; setLang() re-renders the page
+ * State used: none (owns `i18n`)
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of the chosen language
+const I18N_STORE = 'liferoute.lang';
+
+const I18N_DEFAULT = 'en';
+
+// ── Locale bundles ────────────────────────────────────────────
+const LOCALES = {
+  en: {
+    name: 'English',
+    dir: 'ltr',
+    strings: {
+      // Header
+      'status.normal':    'NORMAL',
+      'status.caution':   'CAUTION',
+      'status.emergency': 'EMERGENCY',
+      'status.strip':     '⚠ EMERGENCY',
+      'status.exits':     'EXITS',
+      'status.open':      '{open}/{total} OPEN',
+      'lang.label':       'Language',
+
+      // Static panels
+      'panel.position':      'Your Position',
+      'panel.selectRoom':    '— Select your room —',
+      'panel.ambulatory':    '🚶 Ambulatory — stairs OK',
+      'panel.noStairs':      '♿ No stairs — lifts & refuge areas',
+      'panel.marginOff':     '↔ No safety margin',
+      'panel.marginNormal':  '↔ Safety margin — normal',
+      'panel.marginWide':    '↔ Safety margin — wide',
+      'panel.hazardTypes':   'Hazard Types',
+      'panel.hazardNote':    'Fire / Closed → node disabled<br>Blocked → path through node invalid<br>Smoke → passable at a cost, max 2 per route<br>Exit Blocked → exit point disabled<br>Corridor Blocked / Locked → that link disabled',
+      'panel.activeHazards': 'Active Hazards',
+      'panel.noneActive':    '// none active',
+      'panel.rooms':         'Room Hazards',
+      'panel.corridors':     'Corridor Hazards',
+      'panel.exits':         'Exit Status',
+      'panel.people':        '{n} PPL',
+      'panel.noCorridor':    '// click a corridor on the map to set a hazard',
+      'panel.noExits':       '// no exits on this floor — routes continue via stairs',
+      'exit.open':           'OPEN',
+      'exit.blocked':        'BLOCKED',
+      'exit.target':         'TARGET',
+      'exit.block':          '🚫 Block',
+      'panel.route':         'Route Result',
+      'panel.steps':         'Step-by-Step Directions',
+
+      // Hazards
+      'haz.clear':        'Clear',
+      'haz.fire':         'Fire',
+      'haz.smoke':        'Smoke',
+      'haz.blocked':      'Blocked',
+      'haz.closed':       'Closed',
+      'haz.exit-blocked': 'Exit blocked',
+      'haz.locked':       'Locked door',
+
+      // Map
+      'legend.you':    'YOU',
+      'legend.path':   'SAFE / PATH',
+      'legend.alt':    'ALTERNATE',
+      'legend.hint':   'CLICK ROOM = SET POSITION',
+      'map.from':      'FROM {floor}',
+      'map.lift':      '⇕ LIFT',
+      'map.liftOff':   '✗ LIFT RECALLED',
+      'map.refuge':    '♿ REFUGE',
+      'arrow':         '→',
+
+      // Route card
+      'route.awaiting':   '// AWAITING POSITION INPUT',
+      'route.hint':       'Select your room to compute safest evacuation route.',
+      'route.failed':     '// EVACUATION FAILED',
+      'route.noSafe':     '⚠ NO SAFE ROUTE',
+      'route.impossible': 'Hazard-free evacuation is not possible from this position.',
+      'route.tagRefuge':   '♿ ROUTE TO REFUGE AREA',
+      'route.tagDegraded': '⚠ DEGRADED EVACUATION ROUTE',
+      'route.tagStepFree': '✓ STEP-FREE EVACUATION ROUTE FOUND',
+      'route.tagSafe':     '✓ SAFE EVACUATION ROUTE FOUND',
+      'route.waitRefuge': 'No step-free exit can be reached. Wait here for assisted evacuation.',
+      'route.distance':   'DISTANCE',
+      'route.eta':        'ETA',
+      'route.etaTitle':   'Walking time at {speed} m/s, stairs at half speed',
+      'speed.brisk':      'BRISK',
+      'speed.normal':     'NORMAL',
+      'speed.slow':       'SLOW',
+      'speed.assisted':   'ASSISTED',
+      'route.floors':     'FLOORS',
+      'route.status':     'STATUS',
+      'route.degraded':   'DEGRADED',
+      'route.clear':      'CLEAR',
+      'route.crosses':    '⚠ CROSSES {list} — no hazard-free route exists. Stay low and move quickly.',
+      'route.passesNear': '⚠ PASSES NEXT TO {list} — keep doors shut behind you and do not stop.',
+      'route.primary':    'Primary',
+      'route.alternate':  'Alternate {n}',
+      'route.refuge':     '(REFUGE)',
+      'route.shares':     'SHARES {list}',
+      'route.independent': 'INDEPENDENT OF PRIMARY',
+      'route.noBackup':   '// no backup route avoids the primary',
+
+      // Why there is no route
+      'noRoute.startImpassable': 'Your current room is a hazard zone. No safe direction to move.',
+      'noRoute.startExposure':   'Your current room is too smoke-logged to set out from.',
+      'noRoute.noOpenExits':     'Every exit in the building is blocked.',
+      'noRoute.noStepFree':      'Every step-free exit is blocked and there is no refuge area to wait in.',
+      'noRoute.exposureLimit':   'Every way out crosses more smoke than the exposure limit allows.',
+      'noRoute.noSafePath':      'Fire, blockages or closed rooms cut off every exit.',
+      'noRoute.unsafePath':      'The only path found failed the safety check.',
+      'noRoute.default':         'No exit can be reached from this position.',
+
+      // Shelter in place
+      'shelter.title':      'Evacuation not possible.',
+      'shelter.dontTravel': 'Do <strong>NOT</strong> attempt to travel through fire, smoke, or blocked zones.',
+      'shelter.seal':       'Seal gaps under doors to slow smoke. Move to a window if possible.',
+      'shelter.call':       'Call <strong>emergency services</strong> immediately and report your floor and room.',
+
+      // Steps
+      'step.start':       'Start at {room} ({floor})',
+      'step.exitHere':    'EXIT HERE',
+      'step.refugeArea':  'REFUGE AREA',
+      'step.stairsDown':  'Take the stairs <strong>down</strong> to {floor}',
+      'step.stairsUp':    'Take the stairs <strong>up</strong> to {floor}',
+      'step.liftDown':    'Take the lift <strong>down</strong> to {floor}',
+      'step.liftUp':      'Take the lift <strong>up</strong> to {floor}',
+      'step.warnFire':    '⚠ FIRE NEARBY: {rooms} — MOVE FAST',
+      'step.warnSmokeNear': '⚠ SMOKE NEARBY: {rooms} — KEEP DOORS SHUT',
+      'step.warnSmoke':   '⚠ SMOKE — STAY LOW',
+      'step.warnCorridor': '⚠ SMOKE IN CORRIDOR — STAY LOW',
+      'step.inRefuge':    'You are in a {refuge} — stay here.',
+      'step.intercom':    'Use the refuge intercom or call <strong>emergency services</strong>: say you cannot use stairs and are waiting at {where}.',
+      'step.doors':       'Keep the refuge doors <strong>closed</strong> to hold back smoke.',
+      'step.wait':        'Wait for wardens or firefighters to help you out. Do <strong>NOT</strong> use the lift unless they tell you to.',
+
+      // Turn-by-turn legs — {turn} is one of the dir.<turn> phrases
+      'dir.leave':     'leave {room}',
+      'dir.at':        'in {room}, {turn}',
+      'dir.straight':  'carry straight on',
+      'dir.bearLeft':  'bear left',
+      'dir.bearRight': 'bear right',
+      'dir.left':      'turn left',
+      'dir.right':     'turn right',
+      'dir.back':      'turn around',
+      'dir.metres':    '{n} m',
+      'dir.sep':       ', ',
+      'dir.go':        '{turn} and go {dist} to {room}',
+      'dir.goVia':     '{turn} and go {dist} through {via} to {room}',
+      'dir.goOn':      '{turn} and go {dist}',
+      'dir.goOnVia':   '{turn} and go {dist} through {via}',
+
+      // Placards
+      'placard.title':     'FIRE EVACUATION PLAN',
+      'placard.here':      '● YOU ARE HERE — {room}',
+      'placard.primary':   'PRIMARY — {exit}',
+      'placard.alternate': 'ALTERNATE {n} — {exit}',
+      'placard.noRoute':   'NO ROUTE',
+      'placard.whatToDo':  'WHAT TO DO',
+      'placard.unreachable': 'NO EXIT CAN BE REACHED FROM THIS ROOM.',
+      'placard.report':    'Report this plan to the building manager. In a fire, call emergency services.',
+      'placard.live':      'LIVE ROUTE',
+      'placard.scan':      'Scan for the route with current hazards',
+      'placard.footer':    'In a fire: raise the alarm, do not use lifts unless told to, close doors behind you, do not go back inside.',
+
+      // Screen readers and spoken guidance
+      'a11y.map':        'Floor plan — {floor}',
+      'a11y.sep':        ', ',
+      'a11y.exit':       'exit',
+      'a11y.yourExit':   'your exit',
+      'a11y.stair':      'stairwell',
+      'a11y.lift':       'lift',
+      'a11y.liftOff':    'lift recalled',
+      'a11y.refuge':     'refuge area',
+      'a11y.here':       'your position',
+      'a11y.onRoute':    'on your route',
+      'a11y.routeSafe':     'Safe route to {exit}, {steps} steps.',
+      'a11y.routeDegraded': 'Degraded route through smoke to {exit}, {steps} steps.',
+      'a11y.routeRefuge':   'No step-free exit. Route to the refuge area at {exit}, {steps} steps.',
+      'a11y.noRoute':    'No safe route. {reason}',
+      'a11y.speak':      '🔊 SPEAK',
+      'a11y.speakTitle': 'Read the route aloud, and again whenever it changes',
+      'a11y.noSpeech':   'Spoken guidance is not supported in this browser',
+      'net.offline':      'OFFLINE',
+      'net.offlineTitle': 'No network — running from the copy saved on this device. Routes still work; the sensor feed needs a connection.',
+      'net.update':       '↻ UPDATE',
+      'net.updateTitle':  'A new version is ready — reload to use it. Your scenario is kept.',
+    },
+  },
+
+  es: {
+    name: 'Español',
+    dir: 'ltr',
+    strings: {
+      'status.normal':    'NORMAL',
+      'status.caution':   'PRECAUCIÓN',
+      'status.emergency': 'EMERGENCIA',
+      'status.strip':     '⚠ EMERGENCIA',
+      'status.exits':     'SALIDAS',
+      'status.open':      '{open}/{total} ABIERTAS',
+      'lang.label':       'Idioma',
+
+      'panel.position':      'Su ubicación',
+      'panel.selectRoom':    '— Seleccione su sala —',
+      'panel.ambulatory':    '🚶 A pie — puede usar escaleras',
+      'panel.noStairs':      '♿ Sin escaleras — ascensores y zonas de refugio',
+      'panel.marginOff':     '↔ Sin margen de seguridad',
+      'panel.marginNormal':  '↔ Margen de seguridad — normal',
+      'panel.marginWide':    '↔ Margen de seguridad — amplio',
+      'panel.hazardTypes':   'Tipos de peligro',
+      'panel.hazardNote':    'Fuego / Cerrada → nodo desactivado<br>Bloqueada → no se puede atravesar<br>Humo → transitable con coste, máx. 2 por ruta<br>Salida bloqueada → salida desactivada<br>Pasillo bloqueado / cerrado con llave → enlace desactivado',
+      'panel.activeHazards': 'Peligros activos',
+      'panel.noneActive':    '// ninguno',
+      'panel.rooms':         'Peligros en salas',
+      'panel.corridors':     'Peligros en pasillos',
+      'panel.exits':         'Estado de las salidas',
+      'panel.people':        '{n} PERS.',
+      'panel.noCorridor':    '// haga clic en un pasillo del mapa para marcar un peligro',
+      'panel.noExits':       '// no hay salidas en esta planta — las rutas siguen por las escaleras',
+      'exit.open':           'ABIERTA',
+      'exit.blocked':        'BLOQUEADA',
+      'exit.target':         'DESTINO',
+      'exit.block':          '🚫 Bloquear',
+      'panel.route':         'Resultado de la ruta',
+      'panel.steps':         'Instrucciones paso a paso',
+
+      'haz.clear':        'Despejada',
+      'haz.fire':         'Fuego',
+      'haz.smoke':        'Humo',
+      'haz.blocked':      'Bloqueada',
+      'haz.closed':       'Cerrada',
+      'haz.exit-blocked': 'Salida bloqueada',
+      'haz.locked':       'Puerta cerrada con llave',
+
+      'legend.you':    'USTED',
+      'legend.path':   'SEGURO / RUTA',
+      'legend.alt':    'ALTERNATIVA',
+      'legend.hint':   'CLIC EN UNA SALA = FIJAR UBICACIÓN',
+      'map.from':      'DESDE {floor}',
+      'map.lift':      '⇕ ASCENSOR',
+      'map.liftOff':   '✗ ASCENSOR FUERA DE SERVICIO',
+      'map.refuge':    '♿ REFUGIO',
+      'arrow':         '→',
+
+      'route.awaiting':   '// ESPERANDO SU UBICACIÓN',
+      'route.hint':       'Seleccione su sala para calcular la ruta de evacuación más segura.',
+      'route.failed':     '// EVACUACIÓN IMPOSIBLE',
+      'route.noSafe':     '⚠ NO HAY RUTA SEGURA',
+      'route.impossible': 'No es posible evacuar sin atravesar peligros desde esta ubicación.',
+      'route.tagRefuge':   '♿ RUTA A UNA ZONA DE REFUGIO',
+      'route.tagDegraded': '⚠ RUTA DE EVACUACIÓN CON PELIGRO',
+      'route.tagStepFree': '✓ RUTA SIN ESCALERAS ENCONTRADA',
+      'route.tagSafe':     '✓ RUTA DE EVACUACIÓN SEGURA ENCONTRADA',
+      'route.waitRefuge': 'No se puede llegar a ninguna salida sin escaleras. Espere aquí la evacuación asistida.',
+      'route.distance':   'DISTANCIA',
+      'route.eta':        'TIEMPO',
+      'route.etaTitle':   'Tiempo a pie a {speed} m/s, escaleras a mitad de velocidad',
+      'speed.brisk':      'RÁPIDO',
+      'speed.normal':     'NORMAL',
+      'speed.slow':       'LENTO',
+      'speed.assisted':   'ASISTIDO',
+      'route.floors':     'PLANTAS',
+      'route.status':     'ESTADO',
+      'route.degraded':   'CON PELIGRO',
+      'route.clear':      'DESPEJADA',
+      'route.crosses':    '⚠ ATRAVIESA {list} — no existe una ruta sin peligros. Agáchese y avance rápido.',
+      'route.passesNear': '⚠ PASA JUNTO A {list} — cierre las puertas al pasar y no se detenga.',
+      'route.primary':    'Principal',
+      'route.alternate':  'Alternativa {n}',
+      'route.refuge':     '(REFUGIO)',
+      'route.shares':     'COMPARTE {list}',
+      'route.independent': 'INDEPENDIENTE DE LA PRINCIPAL',
+      'route.noBackup':   '// ninguna ruta de reserva evita la principal',
+
+      'noRoute.startImpassable': 'Su sala actual es una zona de peligro. No hay una dirección segura.',
+      'noRoute.startExposure':   'Hay demasiado humo en su sala para salir de ella.',
+      'noRoute.noOpenExits':     'Todas las salidas del edificio están bloqueadas.',
+      'noRoute.noStepFree':      'Todas las salidas sin escaleras están bloqueadas y no hay zona de refugio donde esperar.',
+      'noRoute.exposureLimit':   'Todas las salidas atraviesan más humo del permitido.',
+      'noRoute.noSafePath':      'El fuego, los bloqueos o las salas cerradas cortan todas las salidas.',
+      'noRoute.unsafePath':      'La única ruta encontrada no superó la comprobación de seguridad.',
+      'noRoute.default':         'No se puede llegar a ninguna salida desde esta ubicación.',
+
+      'shelter.title':      'No es posible evacuar.',
+      'shelter.dontTravel': '<strong>NO</strong> intente atravesar fuego, humo ni zonas bloqueadas.',
+      'shelter.seal':       'Tape las rendijas bajo las puertas para frenar el humo. Acérquese a una ventana si puede.',
+      'shelter.call':       'Llame de inmediato a los <strong>servicios de emergencia</strong> e indique su planta y sala.',
+
+      'step.start':       'Empiece en {room} ({floor})',
+      'step.exitHere':    'SALGA AQUÍ',
+      'step.refugeArea':  'ZONA DE REFUGIO',
+      'step.stairsDown':  '<strong>Baje</strong> por las escaleras hasta {floor}',
+      'step.stairsUp':    '<strong>Suba</strong> por las escaleras hasta {floor}',
+      'step.liftDown':    '<strong>Baje</strong> en ascensor hasta {floor}',
+      'step.liftUp':      '<strong>Suba</strong> en ascensor hasta {floor}',
+      'step.warnFire':    '⚠ FUEGO CERCA: {rooms} — AVANCE RÁPIDO',
+      'step.warnSmokeNear': '⚠ HUMO CERCA: {rooms} — MANTENGA LAS PUERTAS CERRADAS',
+      'step.warnSmoke':   '⚠ HUMO — AGÁCHESE',
+      'step.warnCorridor': '⚠ HUMO EN EL PASILLO — AGÁCHESE',
+      'step.inRefuge':    'Está en una {refuge}: quédese aquí.',
+      'step.intercom':    'Use el interfono del refugio o llame a los <strong>servicios de emergencia</strong>: diga que no puede usar escaleras y que espera en {where}.',
+      'step.doors':       'Mantenga <strong>cerradas</strong> las puertas del refugio para contener el humo.',
+      'step.wait':        'Espere a que los responsables de evacuación o los bomberos le ayuden a salir. <strong>NO</strong> use el ascensor salvo que se lo indiquen.',
+
+      // Turn-by-turn legs — {turn} is one of the dir.<turn> phrases
+      'dir.leave':     'salga de {room}',
+      'dir.at':        'en {room}, {turn}',
+      'dir.straight':  'siga recto',
+      'dir.bearLeft':  'desvíese a la izquierda',
+      'dir.bearRight': 'desvíese a la derecha',
+      'dir.left':      'gire a la izquierda',
+      'dir.right':     'gire a la derecha',
+      'dir.back':      'dé la vuelta',
+      'dir.metres':    '{n} m',
+      'dir.sep':       ', ',
+      'dir.go':        '{turn} y avance {dist} hasta {room}',
+      'dir.goVia':     '{turn} y avance {dist} por {via} hasta {room}',
+      'dir.goOn':      '{turn} y avance {dist}',
+      'dir.goOnVia':   '{turn} y avance {dist} por {via}',
+
+      'placard.title':     'PLAN DE EVACUACIÓN EN CASO DE INCENDIO',
+      'placard.here':      '● USTED ESTÁ AQUÍ — {room}',
+      'placard.primary':   'PRINCIPAL — {exit}',
+      'placard.alternate': 'ALTERNATIVA {n} — {exit}',
+      'placard.noRoute':   'SIN RUTA',
+      'placard.whatToDo':  'QUÉ HACER',
+      'placard.unreachable': 'DESDE ESTA SALA NO SE PUEDE LLEGAR A NINGUNA SALIDA.',
+      'placard.report':    'Informe de este plano al responsable del edificio. En caso de incendio, llame a emergencias.',
+      'placard.live':      'RUTA EN DIRECTO',
+      'placard.scan':      'Escanee para ver la ruta con los peligros actuales',
+      'placard.footer':    'En caso de incendio: dé la alarma, no use ascensores salvo indicación, cierre las puertas al salir y no vuelva a entrar.',
+
+      // Screen readers and spoken guidance
+      'a11y.map':        'Plano — {floor}',
+      'a11y.sep':        ', ',
+      'a11y.exit':       'salida',
+      'a11y.yourExit':   'su salida',
+      'a11y.stair':      'escalera',
+      'a11y.lift':       'ascensor',
+      'a11y.liftOff':    'ascensor fuera de servicio',
+      'a11y.refuge':     'zona de refugio',
+      'a11y.here':       'su ubicación',
+      'a11y.onRoute':    'en su ruta',
+      'a11y.routeSafe':     'Ruta segura a {exit}, {steps} pasos.',
+      'a11y.routeDegraded': 'Ruta degradada por el humo hasta {exit}, {steps} pasos.',
+      'a11y.routeRefuge':   'No hay salida sin escaleras. Ruta a la zona de refugio en {exit}, {steps} pasos.',
+      'a11y.noRoute':    'No hay ruta segura. {reason}',
+      'a11y.speak':      '🔊 LEER',
+      'a11y.speakTitle': 'Leer la ruta en voz alta, y de nuevo cada vez que cambie',
+      'a11y.noSpeech':   'Este navegador no admite la guía por voz',
+      'net.offline':      'SIN CONEXIÓN',
+      'net.offlineTitle': 'Sin red — usando la copia guardada en este dispositivo. Las rutas siguen funcionando; los sensores necesitan conexión.',
+      'net.update':       '↻ ACTUALIZAR',
+      'net.updateTitle':  'Hay una nueva versión lista — recargue para usarla. Se conserva su escenario.',
+    },
+  },
+
+  ar: {
+    name: 'العربية',
+    dir: 'rtl',
+    strings: {
+      'status.normal':    'طبيعي',
+      'status.caution':   'تنبيه',
+      'status.emergency': 'طوارئ',
+      'status.strip':     '⚠ حالة طوارئ',
+      'status.exits':     'المخارج',
+      'status.open':      '{open}/{total} مفتوحة',
+      'lang.label':       'اللغة',
+
+      'panel.position':      'موقعك',
+      'panel.selectRoom':    '— اختر غرفتك —',
+      'panel.ambulatory':    '🚶 سير على الأقدام — يمكن استخدام الدرج',
+      'panel.noStairs':      '♿ بدون درج — مصاعد ومناطق لجوء',
+      'panel.marginOff':     '↔ بدون هامش أمان',
+      'panel.marginNormal':  '↔ هامش أمان — عادي',
+      'panel.marginWide':    '↔ هامش أمان — واسع',
+      'panel.hazardTypes':   'أنواع المخاطر',
+      'panel.hazardNote':    'حريق / مغلقة ← العقدة معطلة<br>مسدودة ← لا يمكن المرور عبرها<br>دخان ← يمكن المرور بكلفة، مرتان كحد أقصى في المسار<br>مخرج مسدود ← المخرج معطل<br>ممر مسدود / مقفل ← الوصلة معطلة',
+      'panel.activeHazards': 'المخاطر الحالية',
+      'panel.noneActive':    '// لا توجد',
+      'panel.rooms':         'مخاطر الغرف',
+      'panel.corridors':     'مخاطر الممرات',
+      'panel.exits':         'حالة المخارج',
+      'panel.people':        '{n} شخص',
+      'panel.noCorridor':    '// انقر على ممر في الخريطة لتحديد خطر',
+      'panel.noExits':       '// لا توجد مخارج في هذا الطابق — تستمر المسارات عبر الدرج',
+      'exit.open':           'مفتوح',
+      'exit.blocked':        'مسدود',
+      'exit.target':         'الهدف',
+      'exit.block':          '🚫 إغلاق',
+      'panel.route':         'نتيجة المسار',
+      'panel.steps':         'التعليمات خطوة بخطوة',
+
+      'haz.clear':        'آمنة',
+      'haz.fire':         'حريق',
+      'haz.smoke':        'دخان',
+      'haz.blocked':      'مسدودة',
+      'haz.closed':       'مغلقة',
+      'haz.exit-blocked': 'مخرج مسدود',
+      'haz.locked':       'باب مقفل',
+
+      'legend.you':    'أنت',
+      'legend.path':   'آمن / المسار',
+      'legend.alt':    'بديل',
+      'legend.hint':   'انقر على غرفة لتحديد موقعك',
+      'map.from':      'من {floor}',
+      'map.lift':      '⇕ مصعد',
+      'map.liftOff':   '✗ المصعد متوقف',
+      'map.refuge':    '♿ منطقة لجوء',
+      'arrow':         '←',
+
+      'route.awaiting':   '// بانتظار تحديد الموقع',
+      'route.hint':       'اختر غرفتك لحساب أكثر مسارات الإخلاء أمانًا.',
+      'route.failed':     '// تعذّر الإخلاء',
+      'route.noSafe':     '⚠ لا يوجد مسار آمن',
+      'route.impossible': 'لا يمكن الإخلاء من هذا الموقع دون المرور بمخاطر.',
+      'route.tagRefuge':   '♿ مسار إلى منطقة لجوء',
+      'route.tagDegraded': '⚠ مسار إخلاء يمر بمخاطر',
+      'route.tagStepFree': '✓ تم العثور على مسار إخلاء بدون درج',
+      'route.tagSafe':     '✓ تم العثور على مسار إخلاء آمن',
+      'route.waitRefuge': 'لا يمكن الوصول إلى أي مخرج بدون درج. انتظر هنا للإخلاء بالمساعدة.',
+      'route.distance':   'المسافة',
+      'route.eta':        'الوقت المتوقع',
+      'route.etaTitle':   'زمن المشي بسرعة {speed} م/ث، والدرج بنصف السرعة',
+      'speed.brisk':      'سريع',
+      'speed.normal':     'عادي',
+      'speed.slow':       'بطيء',
+      'speed.assisted':   'بمساعدة',
+      'route.floors':     'الطوابق',
+      'route.status':     'الحالة',
+      'route.degraded':   'يمر بمخاطر',
+      'route.clear':      'آمن',
+      'route.crosses':    '⚠ يمر عبر {list} — لا يوجد مسار خالٍ من المخاطر. ابقَ منخفضًا وتحرك بسرعة.',
+      'route.passesNear': '⚠ يمر بجوار {list} — أغلق الأبواب خلفك ولا تتوقف.',
+      'route.primary':    'الرئيسي',
+      'route.alternate':  'البديل {n}',
+      'route.refuge':     '(لجوء)',
+      'route.shares':     'يشترك في {list}',
+      'route.independent': 'مستقل عن المسار الرئيسي',
+      'route.noBackup':   '// لا يوجد مسار احتياطي يتجنب المسار الرئيسي',
+
+      'noRoute.startImpassable': 'غرفتك الحالية منطقة خطر. لا يوجد اتجاه آمن للتحرك.',
+      'noRoute.startExposure':   'الدخان في غرفتك الحالية كثيف جدًا للخروج منها.',
+      'noRoute.noOpenExits':     'جميع مخارج المبنى مسدودة.',
+      'noRoute.noStepFree':      'جميع المخارج بدون درج مسدودة ولا توجد منطقة لجوء للانتظار فيها.',
+      'noRoute.exposureLimit':   'كل طرق الخروج تمر بدخان يتجاوز الحد المسموح.',
+      'noRoute.noSafePath':      'الحريق أو العوائق أو الغرف المغلقة تقطع الطريق إلى كل المخارج.',
+      'noRoute.unsafePath':      'المسار الوحيد الذي وُجد لم يجتز فحص السلامة.',
+      'noRoute.default':         'لا يمكن الوصول إلى أي مخرج من هذا الموقع.',
+
+      'shelter.title':      'الإخلاء غير ممكن.',
+      'shelter.dontTravel': '<strong>لا</strong> تحاول المرور عبر الحريق أو الدخان أو المناطق المسدودة.',
+      'shelter.seal':       'سُدّ الفتحات أسفل الأبواب لإبطاء الدخان. اقترب من نافذة إن أمكن.',
+      'shelter.call':       'اتصل <strong>بخدمات الطوارئ</strong> فورًا وأبلغهم بطابقك وغرفتك.',
+
+      'step.start':       'ابدأ من {room} ({floor})',
+      'step.exitHere':    'اخرج من هنا',
+      'step.refugeArea':  'منطقة لجوء',
+      'step.stairsDown':  '<strong>انزل</strong> بالدرج إلى {floor}',
+      'step.stairsUp':    '<strong>اصعد</strong> بالدرج إلى {floor}',
+      'step.liftDown':    '<strong>انزل</strong> بالمصعد إلى {floor}',
+      'step.liftUp':      '<strong>اصعد</strong> بالمصعد إلى {floor}',
+      'step.warnFire':    '⚠ حريق قريب: {rooms} — تحرك بسرعة',
+      'step.warnSmokeNear': '⚠ دخان قريب: {rooms} — أبقِ الأبواب مغلقة',
+      'step.warnSmoke':   '⚠ دخان — ابقَ منخفضًا',
+      'step.warnCorridor': '⚠ دخان في الممر — ابقَ منخفضًا',
+      'step.inRefuge':    'أنت في {refuge} — ابقَ هنا.',
+      'step.intercom':    'استخدم جهاز الاتصال في منطقة اللجوء أو اتصل <strong>بخدمات الطوارئ</strong>: قل إنك لا تستطيع استخدام الدرج وإنك تنتظر في {where}.',
+      'step.doors':       'أبقِ أبواب منطقة اللجوء <strong>مغلقة</strong> لصد الدخان.',
+      'step.wait':        'انتظر مسؤولي الإخلاء أو رجال الإطفاء لمساعدتك على الخروج. <strong>لا</strong> تستخدم المصعد إلا إذا طلبوا منك ذلك.',
+
+      // Turn-by-turn legs — {turn} is one of the dir.<turn> phrases
+      'dir.leave':     'اخرج من {room}',
+      'dir.at':        'في {room}، {turn}',
+      'dir.straight':  'تابع مباشرةً',
+      'dir.bearLeft':  'مِل إلى اليسار',
+      'dir.bearRight': 'مِل إلى اليمين',
+      'dir.left':      'انعطف يسارًا',
+      'dir.right':     'انعطف يمينًا',
+      'dir.back':      'استدر للخلف',
+      'dir.metres':    '{n} م',
+      'dir.sep':       '، ',
+      'dir.go':        '{turn} وتقدّم {dist} إلى {room}',
+      'dir.goVia':     '{turn} وتقدّم {dist} عبر {via} إلى {room}',
+      'dir.goOn':      '{turn} وتقدّم {dist}',
+      'dir.goOnVia':   '{turn} وتقدّم {dist} عبر {via}',
+
+      'placard.title':     'خطة الإخلاء عند الحريق',
+      'placard.here':      '● أنت هنا — {room}',
+      'placard.primary':   'الرئيسي — {exit}',
+      'placard.alternate': 'البديل {n} — {exit}',
+      'placard.noRoute':   'لا يوجد مسار',
+      'placard.whatToDo':  'ماذا تفعل',
+      'placard.unreachable': 'لا يمكن الوصول إلى أي مخرج من هذه الغرفة.',
+      'placard.report':    'أبلغ مدير المبنى عن هذه الخطة. عند الحريق، اتصل بخدمات الطوارئ.',
+      'placard.live':      'المسار المباشر',
+      'placard.scan':      'امسح الرمز لرؤية المسار مع المخاطر الحالية',
+      'placard.footer':    'عند الحريق: أطلق الإنذار، لا تستخدم المصاعد إلا بتوجيه، أغلق الأبواب خلفك، لا تعد إلى الداخل.',
+
+      // Screen readers and spoken guidance
+      'a11y.map':        'مخطط الطابق — {floor}',
+      'a11y.sep':        '، ',
+      'a11y.exit':       'مخرج',
+      'a11y.yourExit':   'مخرجك',
+      'a11y.stair':      'درج',
+      'a11y.lift':       'مصعد',
+      'a11y.liftOff':    'المصعد متوقف',
+      'a11y.refuge':     'منطقة لجوء',
+      'a11y.here':       'موقعك',
+      'a11y.onRoute':    'على مسارك',
+      'a11y.routeSafe':     'مسار آمن إلى {exit}، {steps} خطوات.',
+      'a11y.routeDegraded': 'مسار متدهور عبر الدخان إلى {exit}، {steps} خطوات.',
+      'a11y.routeRefuge':   'لا يوجد مخرج بدون درج. مسار إلى منطقة اللجوء عند {exit}، {steps} خطوات.',
+      'a11y.noRoute':    'لا يوجد مسار آمن. {reason}',
+      'a11y.speak':      '🔊 قراءة',
+      'a11y.speakTitle': 'اقرأ المسار بصوت عالٍ، ومرة أخرى كلما تغيّر',
+      'a11y.noSpeech':   'هذا المتصفح لا يدعم الإرشاد الصوتي',
+      'net.offline':      'غير متصل',
+      'net.offlineTitle': 'لا توجد شبكة — يعمل التطبيق من النسخة المحفوظة على هذا الجهاز. المسارات تعمل؛ وتحتاج المستشعرات إلى اتصال.',
+      'net.update':       '↻ تحديث',
+      'net.updateTitle':  'إصدار جديد جاهز — أعد التحميل لاستخدامه. سيُحفظ السيناريو الخاص بك.',
+    },
+  },
+};
+
+// ── State ─────────────────────────────────────────────────────
+const i18n = {
+  lang: I18N_DEFAULT,
+};
+
+/**
+ * t(key, [vars])
+ * Text for a key in the current language, with {name}
+ * placeholders filled from vars.
+ */
+function t(key, vars = {}) {
+  const bundle = (LOCALES[i18n.lang] || LOCALES[I18N_DEFAULT]).strings;
+  const str = bundle[key] ?? LOCALES[I18N_DEFAULT].strings[key] ?? key;
+  return str.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+}
+
+/** Is the current language written right to left? */
+function isRtl() {
+  return LOCALES[i18n.lang].dir === 'rtl';
+}
+
+/** Display name of a hazard type ('' = clear). */
+function hazName(h) {
+  return t(`haz.${h || 'clear'}`);
+}
+
+// ── Building translations ─────────────────────────────────────
+/** A room, exit or floor label in the current language. */
+function localLabel(def) {
+  return (def.labels && def.labels[i18n.lang]) || def.label;
+}
+
+/** A floor's note in the current language. */
+function localNote(fd) {
+  return (fd.notes && fd.notes[i18n.lang]) || fd.note || '';
+}
+
+// ── Language choice ───────────────────────────────────────────
+/** Refill the static text in index.html and set the direction. */
+function translatePage() {
+  const root = document.documentElement;
+  root.lang = i18n.lang;
+  root.dir = isRtl() ? 'rtl' : 'ltr';
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-html]').forEach((el) => {
+    el.innerHTML = t(el.dataset.i18nHtml);
+  });
+  const sel = document.getElementById('langSel');
+  sel.title = t('lang.label');
+  sel.value = i18n.lang;
+}
+
+/** Fill the language switcher from LOCALES. */
+function buildLangSelect() {
+  document.getElementById('langSel').innerHTML = Object.entries(LOCALES)
+    .map(([code, l]) => `<option value="${code}" lang="${code}">${l.name}</option>`)
+    .join('');
+}
+
+/** Switch language, remember it, and redraw everything. */
+function setLang(code) {
+  if (!LOCALES[code]) return;
+  i18n.lang = code;
+  try {
+    localStorage.setItem(I18N_STORE, code);
+  } catch {
+    // Storage may be unavailable (private mode); the choice then
+    // lasts for this page only
+  }
+  translatePage();
+  buildFloorTabs();
+  populateSel();
+  render();
+}
+
+/**
+ * restoreLang()
+ * Pick the stored language, else the browser's, else English.
+ * Called once at startup, before the first render.
+ */
+function restoreLang() {
+  let code = null;
+  try {
+    code = localStorage.getItem(I18N_STORE);
+  } catch {
+    // fall through to the browser language
+  }
+  if (!LOCALES[code]) {
+    code = (navigator.languages || [navigator.language || ''])
+      .map((l) => String(l).slice(0, 2).toLowerCase())
+      .find((l) => LOCALES[l]) || I18N_DEFAULT;
+  }
+  i18n.lang = code;
+  buildLangSelect();
+  translatePage();
+}
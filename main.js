@@ -6,14 +6,20 @@
  *
  * Global state
  * ------------
- * These three variables are the single source of truth and are
+ * These variables are the single source of truth and are
  * read by routing.js and render.js via closure:
  *
- *   floor  {string}  Active floor key ('GF' | 'F1' | 'F2' | 'F3' | 'B')
- *   pos    {string|null}  Currently selected room id, or null
- *   haz    {object}  Per-floor hazard map: haz[floor][roomId] = hazardType
+ *   floor   {string}  Active floor key ('GF' | 'F1' | 'F2' | 'F3' | 'B')
+ *   pos     {string|null}  Currently selected room id (any floor), or null
+ *   haz     {object}  Per-floor hazard map: haz[floor][roomId] = hazardType
+ *   profile {string}  Routing profile of the person at `pos` (PROFILES)
+ *   margin  {string}  Safety-margin setting (MARGIN_SCALES key)
+ *   corridor {string|null}  Edge key of the corridor selected on the map
  *
- * Depends on: data.js, routing.js, render.js
+ * Depends on: data.js, routing.js, i18n.js, render.js, sim.js, planner.js,
+ *             building.js, editor.js, scenario.js, timeline.js,
+ *             sensors.js, overview.js, resilience.js, placard.js, a11y.js,
+ *             offline.js, undo.js, bulk.js, drill.js
  * =============================================================
  */
 
@@ -23,28 +29,29 @@
 let floor = 'GF';   // active floor
 let pos   = null;   // selected room id (null = none)
 let haz   = {};     // haz[floorKey][nodeId] = hazard string
+let profile = PROFILES.AMBULATORY;  // who the route is for
+let margin  = 'normal';             // how far routes keep from hazards
+let corridor = null;                // selected corridor (edgeKey)
 
 // ── Floor switching ───────────────────────────────────────────
 /**
  * setFloor(f)
- * Switch to a different floor. Clears pos if the current room
- * does not exist on the new floor.
+ * Switch to a different floor. The position is kept, since the
+ * route is building-wide: viewing another floor shows the part
+ * of the route that passes through it.
  * @param {string} f - Floor key
  */
 function setFloor(f) {
-  floor = f;
+  if (f !== floor) {
+    floor = f;
+    recordEvent('floor', f);
+  }
 
   // Highlight the active tab
   document.querySelectorAll('.ftab').forEach((t) => {
     t.classList.toggle('active', t.dataset.floor === f);
   });
 
-  // Drop position if that room doesn't exist on this floor
-  const { rooms } = computeCoords(BLDG[f]);
-  if (pos && !rooms.find((r) => r.id === pos)) {
-    pos = null;
-  }
-
   populateSel();
   render();
 }
@@ -58,22 +65,323 @@ function setFloor(f) {
  */
 function setPos(id) {
   pos = (pos === id) ? null : (id || null);
+  recordEvent('position', id || '', pos || '');
   document.getElementById('posSelect').value = pos || '';
   render();
 }
 
+// ── Corridor selection ────────────────────────────────────────
+/**
+ * selectCorridor(key)
+ * Select a corridor on the map so its hazard can be set in the
+ * Corridor Hazards panel. Selecting it again deselects it.
+ * @param {string} key - edgeKey(a, b)
+ */
+function selectCorridor(key) {
+  corridor = corridor === key ? null : key;
+  render();
+}
+
+// ── Routing profile ───────────────────────────────────────────
+/**
+ * setProfile(p)
+ * Route for an ambulatory person or for someone who cannot use
+ * stairs (elevators, accessible exits and refuge areas).
+ * @param {string} p - One of PROFILES
+ */
+function setProfile(p) {
+  if (p === profile || !Object.values(PROFILES).includes(p)) return;
+  profile = p;
+  recordEvent('profile', '', p);
+  render();
+}
+
+// ── Safety margin ─────────────────────────────────────────────
+/**
+ * setMargin(m)
+ * How far routes keep from fire and smoke they do not enter.
+ * Kept in localStorage: it is a setting of this device, not part
+ * of a scenario.
+ * @param {string} m - One of MARGIN_SCALES
+ */
+function setMargin(m) {
+  if (m === margin || !(m in MARGIN_SCALES)) return;
+  margin = m;
+  try {
+    localStorage.setItem(MARGIN_STORE, m);
+  } catch {
+    // Storage may be unavailable (private mode); the setting then
+    // lasts for this page only
+  }
+  render();
+}
+
+/** Restore the safety-margin setting. Called once at startup. */
+function restoreMargin() {
+  try {
+    const m = localStorage.getItem(MARGIN_STORE);
+    if (m in MARGIN_SCALES) margin = m;
+  } catch {
+    // Keep the default
+  }
+}
+
 // ── Event wiring ──────────────────────────────────────────────
-// Floor tab buttons
-document.querySelectorAll('.ftab').forEach((btn) => {
-  btn.addEventListener('click', () => setFloor(btn.dataset.floor));
+// Floor tab buttons (delegated — tabs are rebuilt per building)
+document.getElementById('ftabs').addEventListener('click', (ev) => {
+  const btn = ev.target.closest('.ftab');
+  if (btn) (overview.on ? openOverviewFloor : setFloor)(btn.dataset.floor);
 });
 
 // Position dropdown
 document.getElementById('posSelect').addEventListener('change', function () {
-  pos = this.value || null;
+  setPos(this.value);
+});
+
+// Routing profile dropdown
+document.getElementById('profSelect').addEventListener('change', function () {
+  setProfile(this.value);
+});
+
+// Safety margin dropdown
+document.getElementById('marginSelect').addEventListener('change', function () {
+  setMargin(this.value);
+});
+
+// Spread simulation controls
+document.getElementById('simPlay').addEventListener('click', () => {
+  if (sim.timer) simPause();
+  else simPlay();
+});
+document.getElementById('simStep').addEventListener('click', simStep);
+document.getElementById('simReset').addEventListener('click', simReset);
+
+document.querySelectorAll('[data-sim]').forEach((inp) => {
+  inp.value = sim.cfg[inp.dataset.sim];
+  inp.addEventListener('change', () => {
+    const v = Number(inp.value);
+    if (v > 0) sim.cfg[inp.dataset.sim] = v;
+    inp.value = sim.cfg[inp.dataset.sim];
+    render();
+  });
+});
+
+// Mass-evacuation load overlay
+document.getElementById('planOverlay').addEventListener('change', function () {
+  plan.overlay = this.checked;
   render();
 });
 
+// Building JSON — file picker, drag-and-drop, export
+const bldgFile = document.getElementById('bldgFile');
+document.getElementById('bldgLoad').addEventListener('click', () => bldgFile.click());
+document.getElementById('bldgExport').addEventListener('click', downloadBuilding);
+bldgFile.addEventListener('change', () => {
+  if (bldgFile.files[0]) loadBuildingFile(bldgFile.files[0]);
+  bldgFile.value = '';
+});
+
+document.addEventListener('dragover', (ev) => {
+  if (!ev.dataTransfer.types.includes('Files')) return;
+  ev.preventDefault();
+  document.body.classList.add('dropping');
+});
+document.addEventListener('dragleave', (ev) => {
+  if (!ev.relatedTarget) document.body.classList.remove('dropping');
+});
+document.addEventListener('drop', (ev) => {
+  document.body.classList.remove('dropping');
+  const file = ev.dataTransfer.files[0];
+  if (!file) return;
+  ev.preventDefault();
+  loadBuildingFile(file);
+});
+
+document.getElementById('bldgCancel').addEventListener('click', closeBuildingReport);
+document.getElementById('bldgApply').addEventListener('click', () => {
+  const def = pendingBuilding;
+  closeBuildingReport();
+  if (def) applyBuilding(def);
+});
+
+// Floor-plan editor
+const mapSvg = document.getElementById('mapSvg');
+mapSvg.addEventListener('pointerdown', editorPointerDown);
+mapSvg.addEventListener('pointermove', editorPointerMove);
+mapSvg.addEventListener('pointerup', editorPointerUp);
+
+// Walking out during a training drill
+mapSvg.addEventListener('click', drillMapClick);
+
+// Marking a region of rooms
+mapSvg.addEventListener('pointerdown', regionPointerDown);
+mapSvg.addEventListener('pointermove', regionPointerMove);
+mapSvg.addEventListener('pointerup', regionPointerUp);
+
+// Keyboard use of the map
+mapSvg.addEventListener('keydown', mapKeyDown);
+
+document.getElementById('edToggle').addEventListener('click', () => {
+  if (overview.on) openOverviewFloor(floor);
+  toggleEditor();
+});
+document.getElementById('edBar').addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-tool]');
+  if (btn) setEditorTool(btn.dataset.tool);
+});
+document.getElementById('edCost').addEventListener('change', function () {
+  const v = Number(this.value);
+  if (v > 0) editor.cost = v;
+  this.value = editor.cost;
+});
+document.getElementById('edFloor').addEventListener('click', editorAddFloor);
+document.getElementById('edExport').addEventListener('click', downloadBuilding);
+
+// Scenarios — URL hash and saved library
+window.addEventListener('hashchange', readHash);
+
+const scnName = document.getElementById('scnName');
+document.getElementById('scnSave').addEventListener('click', () => {
+  saveScenario(scnName.value);
+  scnName.value = '';
+  flashScenarioNote('SAVED');
+});
+scnName.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter') document.getElementById('scnSave').click();
+});
+document.getElementById('scnLink').addEventListener('click', copyScenarioLink);
+
+document.getElementById('scnList').addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-act]');
+  if (!btn) return;
+  const i = Number(btn.closest('.scnrow').dataset.i);
+  if (btn.dataset.act === 'load') {
+    loadScenario(i);
+  } else if (btn.dataset.act === 'rename') {
+    const name = window.prompt('Rename scenario', listScenarios()[i].name);
+    if (name !== null) renameScenario(i, name);
+  } else if (window.confirm(`Delete scenario "${listScenarios()[i].name}"?`)) {
+    deleteScenario(i);
+  }
+});
+
+// Undo / redo and bulk hazard actions
+document.addEventListener('keydown', undoKeyDown);
+document.getElementById('undoBtn').addEventListener('click', undoStep);
+document.getElementById('redoBtn').addEventListener('click', redoStep);
+document.getElementById('clrFloor').addEventListener('click', () => clearFloorHazards(floor));
+document.getElementById('clrAll').addEventListener('click', clearAllHazards);
+document.getElementById('regionBtn').addEventListener('click', toggleRegion);
+document.getElementById('regionHaz').addEventListener('change', function () {
+  bulk.type = this.value;
+});
+
+// Hazard presets
+const preName = document.getElementById('preName');
+document.getElementById('preSave').addEventListener('click', () => {
+  savePreset(preName.value);
+  preName.value = '';
+});
+preName.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter') document.getElementById('preSave').click();
+});
+
+document.getElementById('preList').addEventListener('click', (ev) => {
+  const btn = ev.target.closest('[data-act]');
+  if (!btn) return;
+  const row = btn.closest('.prerow');
+  const i = Number(row.dataset.i);
+  const p = row.dataset.src === 'b' ? HAZARD_PRESETS[i] : listUserPresets()[i];
+  if (btn.dataset.act === 'apply') {
+    applyPreset(p);
+  } else if (window.confirm(`Delete preset "${p.name}"?`)) {
+    deletePreset(i);
+  }
+});
+
+// Training drill
+document.getElementById('drillStart').addEventListener('click', startDrill);
+document.getElementById('drillStop').addEventListener('click', () => {
+  if (drill.phase === 'run') finishDrill('abandoned');
+  else endDrill();
+});
+document.getElementById('drillLimit').addEventListener('change', function () {
+  const v = Number(this.value);
+  if (v >= 10) drill.limit = v;
+  this.value = drill.limit;
+});
+document.getElementById('drillCsv').addEventListener('click', downloadDrills);
+document.getElementById('drillClear').addEventListener('click', () => {
+  if (window.confirm('Forget every past drill attempt?')) clearDrills();
+});
+
+// Incident timeline — scrubber, live, export
+document.getElementById('tlScrub').addEventListener('input', function () {
+  replayTo(Number(this.value));
+});
+document.getElementById('tlLive').addEventListener('click', () => replayTo(null));
+document.getElementById('tlCsv').addEventListener('click', () => downloadTimeline('csv'));
+document.getElementById('tlJson').addEventListener('click', () => downloadTimeline('json'));
+
+// Resilience report
+document.getElementById('resilRun').addEventListener('click', runResilience);
+document.getElementById('resilOverlay').addEventListener('change', function () {
+  resil.overlay = this.checked;
+  render();
+});
+document.getElementById('resilCsv').addEventListener('click', () => downloadResilience('csv'));
+document.getElementById('resilJson').addEventListener('click', () => downloadResilience('json'));
+
+// Placards
+document.getElementById('plcBase').addEventListener('input', function () {
+  placards.base = this.value;
+});
+document.getElementById('plcFloor').addEventListener('click', () => printPlacardSet(floor));
+document.getElementById('plcAll').addEventListener('click', () => printPlacardSet(null));
+document.getElementById('plcRoom').addEventListener('click', () => { if (pos) downloadPlacard(pos); });
+
+// Warden overview
+document.getElementById('ovToggle').addEventListener('click', toggleOverview);
+
+// Live sensor feed
+const snsUrl = document.getElementById('snsUrl');
+document.getElementById('snsConnect').addEventListener('click', () => {
+  if (sensors.status === 'off') connectSensors(snsUrl.value);
+  else disconnectSensors();
+});
+snsUrl.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter') connectSensors(snsUrl.value);
+});
+const snsFile = document.getElementById('snsFile');
+document.getElementById('snsMap').addEventListener('click', () => snsFile.click());
+snsFile.addEventListener('change', () => {
+  if (snsFile.files[0]) loadSensorMapFile(snsFile.files[0]);
+  snsFile.value = '';
+});
+
+// Language
+document.getElementById('langSel').addEventListener('change', function () {
+  setLang(this.value);
+});
+
+// Spoken guidance
+document.getElementById('speakToggle').addEventListener('click', toggleSpeech);
+
+// Offline copy — network status and updates
+window.addEventListener('online', () => {
+  buildNetStatus();
+  checkForUpdate();
+});
+window.addEventListener('offline', buildNetStatus);
+document.getElementById('updateBtn').addEventListener('click', applyUpdate);
+
 // ── Bootstrap ─────────────────────────────────────────────────
+restoreLang();
+restoreSpeech();
+restoreMargin();
+buildFloorTabs();
 populateSel();
-render();
+recordEvent('start');
+if (!readHash()) render();
+restoreSensorConfig();
+registerServiceWorker();
@@ -0,0 +1,93 @@
+/**
+ * js/offline.js
+ * =============================================================
+ * Offline use — service worker registration, the offline
+ * indicator and the update prompt in the header.
+ *
+ * sw.js keeps a copy of every file the page loads, so after one
+ * visit online the app starts and routes with no network. The
+ * page never depends on the worker: opened from file://, in a
+ * browser without service workers, or when registration fails,
+ * it runs exactly as before.
+ *
+ * Updates never replace the page on their own. When a new sw.js
+ * has installed, ↻ UPDATE appears in the header; clicking it
+ * lets the new worker take over and reloads once it has. The
+ * scenario lives in the URL hash (scenario.js), so the reload
+ * returns to the same floor, position and hazards.
+ *
+ * Depends on: i18n.js
+ * State used: none
+ * =============================================================
+ */
+
+'use strict';
+
+// ── State ─────────────────────────────────────────────────────
+const offline = {
+  reg:      null,   // ServiceWorkerRegistration, once registered
+  waiting:  null,   // installed worker of a newer version, if any
+  updating: false,  // the user chose to switch to it
+};
+
+/**
+ * registerServiceWorker()
+ * Register sw.js and watch for new versions. Called once at
+ * startup, after the first render.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // The first install also takes control; only reload on request
+    if (offline.updating) location.reload();
+  });
+
+  navigator.serviceWorker.register('sw.js').then((reg) => {
+    offline.reg = reg;
+    if (reg.waiting && navigator.serviceWorker.controller) updateReady(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const sw = reg.installing;
+      sw.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (sw.state === 'installed' && navigator.serviceWorker.controller) updateReady(sw);
+      });
+    });
+  }).catch(() => {
+    // Storage blocked, private mode … the page keeps working online
+  });
+}
+
+/** A newer version has installed and is waiting. */
+function updateReady(sw) {
+  offline.waiting = sw;
+  buildNetStatus();
+}
+
+/** Switch to the waiting version; the page reloads once it is active. */
+function applyUpdate() {
+  if (!offline.waiting) return;
+  offline.updating = true;
+  offline.waiting.postMessage('skip-waiting');
+}
+
+/**
+ * checkForUpdate()
+ * Ask the browser to look for a new sw.js — on reconnecting, as
+ * a warden's tab may stay open for days.
+ */
+function checkForUpdate() {
+  if (offline.reg) offline.reg.update().catch(() => {});
+}
+
+// ── Header ────────────────────────────────────────────────────
+/** Show or hide the offline indicator and the update button. */
+function buildNetStatus() {
+  const net = document.getElementById('netStat');
+  net.hidden = navigator.onLine;
+  net.title = t('net.offlineTitle');
+
+  const btn = document.getElementById('updateBtn');
+  btn.hidden = !offline.waiting;
+  btn.title = t('net.updateTitle');
+}
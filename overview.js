@@ -0,0 +1,169 @@
+/**
+ * js/overview.js
+ * =============================================================
+ * Warden overview — every floor at once as a small map, top
+ * floor first, with its hazard count, open exits and stranded
+ * rooms.
+ *
+ * Each room is coloured by whether a safe route exists from it
+ * right now (roomReach() in routing.js, for the selected
+ * profile):
+ *
+ *   safe      clear route to an exit
+ *   degraded  route only through smoke
+ *   refuge    no-stairs profile: only a refuge area is reachable
+ *   hazard    the room itself is impassable or too smoky
+ *   stranded  no route at all — the rooms a warden must act on
+ *
+ * Clicking a floor leaves the overview on that floor.
+ *
+ * Depends on: data.js, routing.js, render.js
+ * State used: floor, pos, haz (read only)
+ * =============================================================
+ */
+
+'use strict';
+
+// ── Overview state ────────────────────────────────────────────
+const overview = {
+  on: false,
+};
+
+// Legend text for each roomReach() class
+const REACH_TEXT = {
+  safe:     'SAFE ROUTE',
+  degraded: 'VIA SMOKE',
+  refuge:   'REFUGE ONLY',
+  hazard:   'IN HAZARD',
+  stranded: 'STRANDED',
+};
+
+function toggleOverview() {
+  overview.on = !overview.on;
+  if (overview.on && editor.on) toggleEditor();
+  document.body.classList.toggle('overview', overview.on);
+  render();
+}
+
+/** Leave the overview and show floor f. */
+function openOverviewFloor(f) {
+  overview.on = false;
+  document.body.classList.remove('overview');
+  setFloor(f);
+}
+
+// ── Per-floor summary ─────────────────────────────────────────
+/**
+ * floorSummary(f, reach)
+ * Hazard count, open / total exits and stranded rooms of a floor.
+ * @returns {{ hazards: number, open: number, exits: number, stranded: string[] }}
+ */
+function floorSummary(f, reach) {
+  const fd = BLDG[f];
+  const open = fd.exits.filter((e) => getHaz(e.id) !== 'exit-blocked').length;
+  return {
+    hazards:  Object.values(haz[f] || {}).filter(Boolean).length,
+    open,
+    exits:    fd.exits.length,
+    stranded: fd.rooms.filter((r) => reach[r.id] === 'stranded').map((r) => r.id),
+  };
+}
+
+// ── Drawing ───────────────────────────────────────────────────
+/** Small map of one floor, rooms coloured by reach. */
+function drawOverviewMap(f, reach) {
+  const fd = BLDG[f];
+  const { rooms, exits, width: W, height: H } = computeCoords(fd);
+  const svg = svgel('svg', { viewBox: `0 0 ${W} ${H}`, class: 'ovmap' });
+
+  fd.edges.forEach(([a, b]) => {
+    const na = getNodeBox(a, rooms, exits);
+    const nb = getNodeBox(b, rooms, exits);
+    if (!na || !nb) return;
+    const h = getHaz(edgeKey(a, b));
+    svg.appendChild(svgel('polyline', {
+      points: linkPoints(na, nb).map((p) => `${p.x},${p.y}`).join(' '),
+      class: `ovc${h ? ` c-${h}` : ''}`,
+    }));
+  });
+
+  rooms.forEach((room) => {
+    const cls = room.isStair || room.isElevator ? 'ov-shaft' : `ov-${reach[room.id]}`;
+    const rect = svgel('rect', {
+      x: room.x, y: room.y, width: room.w, height: room.h, rx: 4,
+      class: `ovroom ${cls}`, 'data-node': room.id,
+    });
+    const title = svgel('title', {});
+    title.textContent = `${localLabel(room)}${reach[room.id] ? ` — ${REACH_TEXT[reach[room.id]]}` : ''}`;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+
+    const lbl = svgel('text', { x: room.cx, y: room.cy, class: 'rlbl ovlbl' });
+    lbl.textContent = localLabel(room);
+    svg.appendChild(lbl);
+
+    const h = getHaz(room.id);
+    if (h && HAZ_ICONS[h]) {
+      const it = svgel('text', { x: room.cx, y: room.cy + 22, class: 'ovico' });
+      it.textContent = HAZ_ICONS[h];
+      svg.appendChild(it);
+    }
+    if (room.id === pos) {
+      svg.appendChild(svgel('circle', { cx: room.cx, cy: room.cy - 20, r: 9, class: 'ovpos' }));
+    }
+  });
+
+  exits.forEach((exit) => {
+    svg.appendChild(svgel('rect', {
+      x: exit.x, y: exit.y, width: exit.w, height: exit.h, rx: 2,
+      class: getHaz(exit.id) === 'exit-blocked' ? 'ovexit ov-eblk' : 'ovexit',
+    }));
+  });
+
+  return svg;
+}
+
+/**
+ * drawOverview()
+ * Rebuild the all-floors view. Called from render() while the
+ * overview is on.
+ */
+function drawOverview() {
+  const el = document.getElementById('ovGrid');
+  const reach = roomReach();
+  const floors = Object.keys(BLDG).sort((a, b) => BLDG[b].level - BLDG[a].level);
+  const sums = Object.fromEntries(floors.map((f) => [f, floorSummary(f, reach)]));
+
+  const total = (k) => floors.reduce((n, f) => n + sums[f][k], 0);
+  const stranded = floors.reduce((n, f) => n + sums[f].stranded.length, 0);
+  const counts = Object.values(reach).reduce((c, r) => ({ ...c, [r]: (c[r] || 0) + 1 }), {});
+
+  el.innerHTML = `
+    <div class="ovsum">
+      <span>BUILDING</span>
+      <span>HAZARDS <b>${total('hazards')}</b></span>
+      <span>EXITS <b>${total('open')}/${total('exits')} OPEN</b></span>
+      <span class="${stranded ? 'ov-alert' : ''}">STRANDED <b>${stranded}</b></span>
+      <span class="ovkey">${Object.keys(REACH_TEXT)
+        .map((r) => `<i class="ovk ov-${r}"></i>${REACH_TEXT[r]} ${counts[r] || 0}`).join(' ')}</span>
+    </div>`;
+
+  floors.forEach((f) => {
+    const s = sums[f];
+    const card = document.createElement('div');
+    card.className = `ovcard${f === floor ? ' active' : ''}${s.stranded.length ? ' alert' : ''}`;
+    card.dataset.floor = f;
+    card.innerHTML = `
+      <div class="ovhead">
+        <span class="ovname">${escHtml(floorLabel(f))}</span>
+        <span class="ovstats">
+          ${s.hazards ? `<b class="ov-haz">⚠ ${s.hazards}</b>` : '<b>✓ CLEAR</b>'}
+          · ${s.exits ? `EXITS ${s.open}/${s.exits}` : 'VIA STAIRS'}
+          ${s.stranded.length ? `· <b class="ov-alert">✗ ${s.stranded.length} STRANDED</b>` : ''}
+        </span>
+      </div>`;
+    card.appendChild(drawOverviewMap(f, reach));
+    card.addEventListener('click', () => openOverviewFloor(f));
+    el.appendChild(card);
+  });
+}
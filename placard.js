@@ -0,0 +1,293 @@
+/**
+ * js/placard.js
+ * =============================================================
+ * "You are here" placards — one printable evacuation diagram per
+ * room, for posting by the door.
+ *
+ * A placard shows the room's floor as drawMap() draws it, with
+ * the primary and alternate routes under normal conditions (no
+ * hazards, ambulatory profile), the step list from routeSteps(),
+ * the floor note, and a QR code linking back to the app with the
+ * room preselected (#f=<floor>&p=<room>, read by scenario.js).
+ *
+ * Each placard is a standalone A4 SVG with its own light, print
+ * palette. PRINT opens them one per page in a new window; SVG
+ * downloads the current room's placard as a file. Placards are
+ * printed in the current language, mirrored for right-to-left
+ * ones (the map itself is not mirrored).
+ *
+ * The map and steps are drawn from the live globals, so they are
+ * swapped for the room's normal-condition state while a placard
+ * is built and restored afterwards.
+ *
+ * Depends on: data.js, routing.js, i18n.js, render.js, qr.js
+ * State used: floor, pos, haz, profile, corridor (swapped, then restored)
+ * =============================================================
+ */
+
+'use strict';
+
+// A4 at 96 px per inch
+const PLACARD_W = 794;
+const PLACARD_H = 1123;
+
+// Step lines that fit beside the QR code
+const PLACARD_LINES = 16;
+
+// Print palette — the app's colour names, darkened for white paper
+const PLACARD_CSS = `
+  .placard { --bg: #FFFFFF; --green: #00875F; --red: #D62020; --orange: #D96A00;
+    --yellow: #B89200; --purple: #7E44C9; --blue: #0070C0;
+    font-family: Rajdhani, 'Arial Narrow', Arial, sans-serif; }
+  .r-clear { fill: #F4F7F6; stroke: #8A9A96; stroke-width: 1; }
+  .r-sel { fill: #DCEEFF; stroke: var(--blue); stroke-width: 3; }
+  .r-path { fill: #E3F5EE; stroke: var(--green); stroke-width: 1.5; }
+  .r-stair { fill: #F0F0F0; stroke: #888; stroke-width: 1; stroke-dasharray: 3 3; }
+  .r-stair-path { stroke: var(--green); stroke-width: 1.5; }
+  .r-lift { fill: #EEF6FC; stroke: #7FB2D9; stroke-width: 1; }
+  .r-lift-off { stroke: var(--red); stroke-dasharray: 2 3; }
+  .r-exit { filter: none; }
+  .r-exit[stroke^="rgba"] { fill: #F4F7F6; stroke: #55615E; }
+  .corridor { fill: none; stroke: #E2E8E6; stroke-width: 8; stroke-linejoin: round; }
+  line[stroke^="rgba(255"] { stroke: #C8CFCD; }
+  .rlbl { font-size: 10px; font-weight: 700; text-anchor: middle; dominant-baseline: middle; fill: #33403D; }
+  .ll-sel { fill: var(--blue); }
+  .ll-path, .ll-etgt { fill: var(--green); }
+  .ll-exit { fill: #55615E; }
+  .ll-hop { fill: var(--green); font-family: monospace; font-size: 8px; letter-spacing: 1px; }
+  .ll-tag { fill: var(--blue); font-family: monospace; font-size: 7px; letter-spacing: 1px; }
+  .ll-tag-off { fill: var(--red); }
+  .evac-path { fill: none; stroke: var(--green); stroke-width: 3.5; stroke-linecap: round; stroke-linejoin: round; }
+  .evac-path.alt { stroke-width: 2; stroke-dasharray: 5 5; opacity: 0.85; }
+  .evac-path.alt-1 { stroke: var(--blue); transform: translate(4px, 4px); }
+  .evac-path.alt-2 { stroke: var(--purple); transform: translate(-4px, -4px); }
+  .u-ring { fill: none; stroke: var(--blue); stroke-width: 2; }
+  .pl-band { fill: var(--green); }
+  .pl-title { fill: #FFFFFF; font-size: 34px; font-weight: 700; letter-spacing: 3px; }
+  .pl-sub { fill: #FFFFFF; font-size: 15px; font-weight: 600; letter-spacing: 1px; }
+  .pl-here { fill: var(--blue); font-size: 26px; font-weight: 700; }
+  .pl-frame { fill: none; stroke: #B8C4C1; stroke-width: 1; }
+  .pl-head { fill: #33403D; font-size: 13px; font-weight: 700; letter-spacing: 2px; }
+  .pl-text { fill: #1E2826; font-size: 14px; }
+  .pl-small { fill: #55615E; font-size: 11px; }
+  .pl-fail { fill: var(--red); font-size: 16px; font-weight: 700; }
+  .pl-url { fill: #55615E; font-family: monospace; font-size: 8px; }
+  .pl-note { fill: #1E2826; font-size: 14px; font-weight: 600; }
+`;
+
+// ── State ─────────────────────────────────────────────────────
+const placards = {
+  base: '',  // link base for the QR codes; '' = this page's address
+};
+
+/** Deep link that opens the app with the room selected. */
+function placardLink(id) {
+  const base = placards.base.trim() || location.href.split('#')[0];
+  return `${base.split('#')[0]}#f=${encodeURIComponent(floorOf(id))}&p=${encodeURIComponent(id)}`;
+}
+
+/** Rooms that get a placard: every room except stairs and lifts. */
+function placardRooms(f) {
+  return (f ? [f] : Object.keys(BLDG).sort((a, b) => BLDG[b].level - BLDG[a].level))
+    .flatMap((k) => BLDG[k].rooms.filter((r) => !r.isStair && !r.isElevator).map((r) => r.id));
+}
+
+/**
+ * withRoomState(id, fn)
+ * Run fn with the globals set to the room's normal-condition
+ * state, then put the live state back.
+ */
+function withRoomState(id, fn) {
+  const saved = { floor, pos, haz, profile, corridor };
+  floor = floorOf(id);
+  pos = id;
+  haz = {};
+  profile = PROFILES.AMBULATORY;
+  corridor = null;
+  try {
+    return fn();
+  } finally {
+    ({ floor, pos, haz, profile, corridor } = saved);
+  }
+}
+
+// ── Drawing helpers ───────────────────────────────────────────
+/** Split text into lines of at most `width` characters. */
+function wrapText(text, width) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/** x on the page — mirrored for right-to-left languages. */
+function placardX(x) {
+  return isRtl() ? PLACARD_W - x : x;
+}
+
+// Anchors follow the text direction, so 'start' is the right
+// edge in a right-to-left placard
+function plText(svg, x, y, cls, str, anchor = 'start') {
+  const el = svgel('text', {
+    x: placardX(x), y, class: cls, 'text-anchor': anchor, direction: isRtl() ? 'rtl' : 'ltr',
+  });
+  el.textContent = str;
+  svg.appendChild(el);
+  return el;
+}
+
+/** QR code with its quiet zone, `size` px square, top-left at (x, y) before mirroring. */
+function drawPlacardQr(svg, x0, y, size, text) {
+  const qr = LifeRouteQR.encode(text);
+  const scale = size / (qr.size + 8);
+  const x = isRtl() ? PLACARD_W - x0 - size : x0;
+  svg.appendChild(svgel('rect', { x, y, width: size, height: size, fill: '#FFFFFF' }));
+  svg.appendChild(svgel('path', {
+    d: LifeRouteQR.svgPath(qr, x + 4 * scale, y + 4 * scale, scale),
+    fill: '#000000',
+    'shape-rendering': 'crispEdges',
+  }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// PLACARD — one room as an A4 SVG
+// ─────────────────────────────────────────────────────────────
+/**
+ * buildPlacard(id)
+ * The placard for a room, as an <svg> element.
+ */
+function buildPlacard(id) {
+  return withRoomState(id, () => {
+    const { route, routes } = routeResult();
+    const alts = routes.slice(1);
+    const fd = BLDG[floor];
+
+    const svg = svgel('svg', {
+      viewBox: `0 0 ${PLACARD_W} ${PLACARD_H}`, width: '210mm', height: '297mm', class: 'placard',
+    });
+    const style = svgel('style', {});
+    style.textContent = PLACARD_CSS;
+    svg.appendChild(style);
+    svg.appendChild(svgel('rect', { width: PLACARD_W, height: PLACARD_H, fill: '#FFFFFF' }));
+
+    // ── Header ──
+    svg.appendChild(svgel('rect', { width: PLACARD_W, height: 84, class: 'pl-band' }));
+    plText(svg, 40, 48, 'pl-title', t('placard.title'));
+    plText(svg, 40, 70, 'pl-sub', BLDG_META.name.toUpperCase());
+    plText(svg, PLACARD_W - 40, 56, 'pl-sub', floorLabel(floor).toUpperCase(), 'end');
+    plText(svg, 40, 124, 'pl-here', t('placard.here', { room: nodeLabel(id) }));
+
+    // ── Map ──
+    const map = svgel('svg', { x: 40, y: 142, width: PLACARD_W - 80, height: 500 });
+    drawMap(route, null, alts, map);
+    svg.appendChild(svgel('rect', { x: 40, y: 142, width: PLACARD_W - 80, height: 500, class: 'pl-frame' }));
+    svg.appendChild(map);
+
+    // ── Legend ──
+    const legend = [['evac-path', route ? t('placard.primary', { exit: nodeLabel(route.exitId) }) : t('placard.noRoute')]]
+      .concat(alts.map((r, i) => [`evac-path alt alt-${i + 1}`, t('placard.alternate', { n: i + 1, exit: nodeLabel(r.exitId) })]));
+    legend.forEach(([cls, label], i) => {
+      const x = 40 + i * 240;
+      svg.appendChild(svgel('line', {
+        x1: placardX(x), y1: 666, x2: placardX(x + 28), y2: 666, class: cls, style: 'transform:none',
+      }));
+      plText(svg, x + 36, 670, 'pl-small', label);
+    });
+
+    // ── Steps ──
+    plText(svg, 40, 708, 'pl-head', t('placard.whatToDo'));
+    let y = 732;
+    if (route) {
+      const lines = routeSteps(route).flatMap((s, n) => wrapText(s.h.replace(/<[^>]+>/g, ''), 58)
+        .map((l, k) => (k ? `    ${l}` : `${n + 1}. ${l}`)));
+      lines.slice(0, PLACARD_LINES).forEach((l, i) => {
+        plText(svg, 40, y, 'pl-text', i === PLACARD_LINES - 1 && lines.length > PLACARD_LINES ? '…' : l);
+        y += 20;
+      });
+    } else {
+      plText(svg, 40, y, 'pl-fail', t('placard.unreachable'));
+      plText(svg, 40, y + 22, 'pl-text', t('placard.report'));
+    }
+
+    // ── QR code ──
+    const link = placardLink(id);
+    plText(svg, PLACARD_W - 140, 708, 'pl-head', t('placard.live'), 'middle');
+    drawPlacardQr(svg, PLACARD_W - 230, 718, 180, link);
+    plText(svg, PLACARD_W - 140, 914, 'pl-small', t('placard.scan'), 'middle');
+    (link.match(/.{1,44}/g) || []).slice(0, 6).forEach((l, i) => {
+      plText(svg, PLACARD_W - 140, 930 + i * 11, 'pl-url', l, 'middle').setAttribute('direction', 'ltr');
+    });
+
+    // ── Floor note & footer ──
+    if (localNote(fd)) plText(svg, 40, 1062, 'pl-note', `ℹ ${localNote(fd)}`);
+    plText(svg, 40, 1096, 'pl-small', t('placard.footer'));
+
+    return svg;
+  });
+}
+
+function placardSvgText(id) {
+  return new XMLSerializer().serializeToString(buildPlacard(id));
+}
+
+// ── Output ────────────────────────────────────────────────────
+/** Offer one room's placard as an .svg download. */
+function downloadPlacard(id) {
+  const blob = new Blob([placardSvgText(id)], { type: 'image/svg+xml' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `placard-${floorOf(id)}-${id}.svg`.replace(/[^\w.-]+/g, '_');
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/**
+ * printPlacards(ids)
+ * Open the placards one per A4 page in a new window and print.
+ * @returns {boolean} false when the window was blocked
+ */
+function printPlacards(ids) {
+  const w = window.open('', '_blank');
+  if (!w) return false;
+  w.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8" />
+    <title>Evacuation placards — ${BLDG_META.name.replace(/</g, '&lt;')}</title>
+    <style>
+      @page { size: A4; margin: 0; }
+      body { margin: 0; }
+      .page { width: 210mm; height: 297mm; page-break-after: always; break-after: page; }
+      .page:last-child { page-break-after: auto; break-after: auto; }
+      .page svg { display: block; }
+    </style></head><body>
+    ${ids.map((id) => `<div class="page">${placardSvgText(id)}</div>`).join('')}
+    </body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — placards
+// ─────────────────────────────────────────────────────────────
+function buildPlacardPanel(note) {
+  document.getElementById('plcRoom').disabled = !pos;
+  const n = placardRooms(floor).length;
+  document.getElementById('plcInfo').innerHTML = note
+    ? `<span class="plbad">${note}</span>`
+    : `${n} ROOM${n === 1 ? '' : 'S'} ON ${escHtml(floor)} · ${placardRooms().length} IN BUILDING`;
+}
+
+/** Print the placards of one floor (or the building), reporting a blocked pop-up. */
+function printPlacardSet(f) {
+  const ids = placardRooms(f);
+  if (!ids.length) return;
+  buildPlacardPanel(printPlacards(ids) ? '' : 'POP-UP BLOCKED — ALLOW POP-UPS TO PRINT');
+}
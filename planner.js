@@ -0,0 +1,257 @@
+/**
+ * js/planner.js
+ * =============================================================
+ * Mass-evacuation planner — assigns every room's occupants to
+ * exits with corridor, stair and door throughput in mind, and
+ * estimates clearance time per floor and for the building.
+ *
+ * Model
+ * -----
+ * Each room's occupants are split into chunks of PLAN_CHUNK
+ * people. Chunks are planned nearest-first; for every chunk the
+ * planner tries each open exit along that exit's shortest safe
+ * path (same hazard rules as findRoute) and simulates a simple
+ * queue at every edge and at the exit door:
+ *
+ *   start  = max(arrival, resource free-at)
+ *   free   = start + people / capacity
+ *
+ * The exit with the earliest finish wins and its queues are
+ * committed, so later chunks see the congestion and spill over
+ * to other doors. Walking time per edge is its travel time at the
+ * normal walking speed (travelSeconds() in routing.js), the same
+ * time the route card's ETA adds up.
+ *
+ * Depends on: data.js, engine.js, routing.js, render.js, sim.js
+ * State used: haz (through snapshotHazards)
+ * =============================================================
+ */
+
+'use strict';
+
+// People moved as one planning unit
+const PLAN_CHUNK = 10;
+
+// Overlay shading thresholds — minutes needed to push an edge's
+// whole load through it at its capacity
+const LOAD_WARN_MIN = 1;
+const LOAD_CRIT_MIN = 3;
+
+// ── Planner UI state ──────────────────────────────────────────
+const plan = {
+  overlay: false,   // draw per-edge load shading on the map
+};
+
+// ── Helpers ───────────────────────────────────────────────────
+/** Capacity (persons / minute) of every edge, keyed by edgeKey. */
+function edgeCapacities() {
+  const caps = {};
+  buildingEdges(BLDG, STAIR_LINKS).forEach(([a, b, , attrs]) => {
+    caps[edgeKey(a, b)] = (attrs && attrs.cap) || EDGE_CAPACITY;
+  });
+  return caps;
+}
+
+/** Format seconds as "m:ss". */
+function fmtMinSec(s) {
+  const m = Math.floor(s / 60);
+  return `${m}:${String(Math.round(s % 60)).padStart(2, '0')}`;
+}
+
+// ── Planner ───────────────────────────────────────────────────
+/**
+ * walkChunk(path, n, freeAt, caps, exitCap, travel)
+ * Walk a chunk of n people along path through the edge and exit
+ * queues described by freeAt, taking each edge's travel time
+ * (edgeTravel()) at the normal walking speed. Returns the finish
+ * time and the queue updates to commit; freeAt itself is not
+ * modified.
+ */
+function walkChunk(path, n, freeAt, caps, exitCap, travel) {
+  const updates = {};
+  let t = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const k = edgeKey(path[i - 1], path[i]);
+    const start = Math.max(t, freeAt[k] || 0);
+    updates[k] = start + (n / caps[k]) * 60;
+    t = start + travelSeconds(travel[k], WALK_SPEEDS.normal);
+  }
+
+  const exitId = path[path.length - 1];
+  const start = Math.max(t, freeAt[exitId] || 0);
+  updates[exitId] = start + (n / exitCap) * 60;
+
+  return { finish: updates[exitId], updates };
+}
+
+/**
+ * planEvacuation()
+ * Assign every occupied room to exits and estimate clearance.
+ *
+ * @returns {{
+ *   assignments: { roomId, exitId, n, path, finish }[],
+ *   exits:    { [exitId]: { load, cap, clear } },
+ *   edges:    { [edgeKey]: { load, cap } },
+ *   floors:   { [floor]: { people, stranded, clear } },
+ *   total:    number,   // building clearance (s)
+ *   people:   number,
+ *   stranded: number,
+ * }}
+ */
+function planEvacuation() {
+  const hazSnap = snapshotHazards();
+  const adj = LifeRouteEngine.buildAdjacency(BLDG, hazSnap, engineOptions());
+  const caps = edgeCapacities();
+  const travel = edgeTravel();
+  const exits = Object.values(BLDG)
+    .flatMap((fd) => fd.exits)
+    .filter((e) => (hazSnap[e.id] || '') !== 'exit-blocked');
+
+  const result = {
+    assignments: [], exits: {}, edges: {}, floors: {},
+    total: 0, people: 0, stranded: 0,
+  };
+
+  exits.forEach((e) => {
+    result.exits[e.id] = { load: 0, cap: e.capacity || EXIT_CAPACITY, clear: 0 };
+  });
+  Object.keys(BLDG).forEach((f) => {
+    result.floors[f] = { people: 0, stranded: 0, clear: 0 };
+  });
+
+  // Candidate paths from every occupied room to every open exit
+  const chunks = [];
+  Object.entries(BLDG).forEach(([f, fd]) => {
+    fd.rooms.forEach((r) => {
+      const n = r.occupants || 0;
+      if (!n) return;
+      result.people += n;
+      result.floors[f].people += n;
+
+      const { dist, via, prev } = dijkstra(r.id, hazSnap, adj);
+      const options = exits
+        .filter((e) => isFinite(dist[e.id]))
+        .map((e) => ({ exitId: e.id, path: mkPath(prev, via[e.id]) }));
+
+      if (!options.length) {
+        result.stranded += n;
+        result.floors[f].stranded += n;
+        return;
+      }
+
+      const near = Math.min(...exits.map((e) => dist[e.id]));
+      for (let left = n; left > 0; left -= PLAN_CHUNK) {
+        chunks.push({ roomId: r.id, floor: f, n: Math.min(left, PLAN_CHUNK), near, options });
+      }
+    });
+  });
+
+  // Nearest chunks first — they reach the queues first
+  chunks.sort((a, b) => a.near - b.near);
+
+  const freeAt = {};
+  chunks.forEach((c) => {
+    let best = null;
+    c.options.forEach((o) => {
+      const trial = walkChunk(o.path, c.n, freeAt, caps, result.exits[o.exitId].cap, travel);
+      if (!best || trial.finish < best.finish) best = { ...o, ...trial };
+    });
+
+    Object.assign(freeAt, best.updates);
+    result.assignments.push({
+      roomId: c.roomId, exitId: best.exitId, n: c.n, path: best.path, finish: best.finish,
+    });
+
+    const ex = result.exits[best.exitId];
+    ex.load += c.n;
+    ex.clear = Math.max(ex.clear, best.finish);
+
+    for (let i = 1; i < best.path.length; i++) {
+      const k = edgeKey(best.path[i - 1], best.path[i]);
+      if (!result.edges[k]) result.edges[k] = { load: 0, cap: caps[k] };
+      result.edges[k].load += c.n;
+    }
+
+    const fl = result.floors[c.floor];
+    fl.clear = Math.max(fl.clear, best.finish);
+    result.total = Math.max(result.total, best.finish);
+  });
+
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP — per-edge load shading
+// ─────────────────────────────────────────────────────────────
+/**
+ * drawLoadOverlay(svg, evac, rooms, exits)
+ * Shade every loaded edge on the active floor by how long its
+ * load takes to pass at capacity, and label it with head-count.
+ */
+function drawLoadOverlay(svg, evac, rooms, exits) {
+  buildingEdges(BLDG, STAIR_LINKS).forEach(([a, b]) => {
+    const ld = evac.edges[edgeKey(a, b)];
+    if (!ld) return;
+    const na = getNodeBox(a, rooms, exits);
+    const nb = getNodeBox(b, rooms, exits);
+    if (!na || !nb) return;   // not on this floor (or a stair link)
+
+    const mins = ld.load / ld.cap;
+    const lvl  = mins >= LOAD_CRIT_MIN ? 'crit' : mins >= LOAD_WARN_MIN ? 'warn' : 'ok';
+    const pts  = linkPoints(na, nb);
+
+    svg.appendChild(svgel('polyline', {
+      points: pts.map((p) => `${p.x},${p.y}`).join(' '),
+      class: `load-edge load-${lvl}`,
+      'stroke-width': Math.min(3 + ld.load / 8, 16).toFixed(1),
+    }));
+
+    const mid = pts[Math.floor(pts.length / 2)];
+    const t = svgel('text', { x: mid.x, y: mid.y - 6, class: `load-lbl load-${lvl}` });
+    t.textContent = ld.load;
+    svg.appendChild(t);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — mass evacuation summary
+// ─────────────────────────────────────────────────────────────
+function buildPlanPanel(evac) {
+  document.getElementById('planOverlay').checked = plan.overlay;
+
+  const el = document.getElementById('planBox');
+  // The plan follows the drill's hazards, so it would give the answer away
+  if (drill.phase === 'run') {
+    el.innerHTML = '<span class="none-label">// hidden during the drill</span>';
+    return;
+  }
+  const floors = Object.keys(BLDG)
+    .sort((a, b) => BLDG[b].level - BLDG[a].level)
+    .map((f) => {
+      const fl = evac.floors[f];
+      return `<div class="plrow ${f === floor ? 'cur' : ''}">
+        <span>${escHtml(f)}</span>
+        <span>${fl.people} PPL</span>
+        <span>${fl.stranded ? `<b class="plbad">${fl.stranded} STRANDED</b>` : fmtMinSec(fl.clear)}</span>
+      </div>`;
+    })
+    .join('');
+
+  const exitRows = Object.entries(evac.exits)
+    .map(([id, ex]) => `<div class="plrow">
+        <span>${escHtml(nodeLabel(id))}</span>
+        <span>${ex.load} PPL · ${ex.cap}/MIN</span>
+        <span>${fmtMinSec(ex.clear)}</span>
+      </div>`)
+    .join('');
+
+  el.innerHTML = `
+    <div class="plsum">
+      <div>CLEARANCE <span>${fmtMinSec(evac.total)}</span></div>
+      <div>PEOPLE <span>${evac.people}</span></div>
+      ${evac.stranded ? `<div>STRANDED <span class="plbad">${evac.stranded}</span></div>` : ''}
+    </div>
+    <div class="plhead">PER FLOOR</div>${floors}
+    <div class="plhead">PER EXIT</div>${exitRows || '<span class="none-label">// no open exits</span>'}`;
+}
@@ -0,0 +1,369 @@
+/**
+ * js/qr.js
+ * =============================================================
+ * QR code encoder — just enough of ISO/IEC 18004 to put a link
+ * on a printed placard: byte mode, error-correction level M,
+ * versions 1–40, automatic mask choice. No page state and no
+ * dependencies; like engine.js it loads as a classic script
+ * (global `LifeRouteQR`) or with require().
+ *
+ *   const qr = LifeRouteQR.encode('https://example.org/#p=r301');
+ *   qr.size          // modules per side (21 for version 1)
+ *   qr.modules[y][x] // true = dark
+ *
+ * Steps: data bits → codewords → Reed-Solomon blocks (GF(256),
+ * polynomial 0x11D) interleaved → zig-zag placement around the
+ * function patterns → the mask with the lowest penalty score.
+ * =============================================================
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.LifeRouteQR = api;
+}(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  'use strict';
+
+  // Level M, indexed by version (index 0 unused)
+  const ECC_PER_BLOCK = [-1,
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const ECC_BLOCKS = [-1,
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+  // Format-information bits for level M
+  const ECL_BITS = 0;
+
+  const MAX_VERSION = 40;
+
+  // Penalty weights (N1–N4 of the standard)
+  const PENALTY = [3, 3, 40, 10];
+
+  // ── Capacity ───────────────────────────────────────────────
+  /** Modules left for data and ECC once the function patterns are drawn. */
+  function rawDataModules(ver) {
+    let n = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const align = Math.floor(ver / 7) + 2;
+      n -= (25 * align - 10) * align - 55;
+      if (ver >= 7) n -= 36;
+    }
+    return n;
+  }
+
+  function dataCodewords(ver) {
+    return Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[ver] * ECC_BLOCKS[ver];
+  }
+
+  // ── Reed-Solomon over GF(256) ──────────────────────────────
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /** Generator polynomial of the given degree, highest term dropped. */
+  function rsDivisor(degree) {
+    const res = new Array(degree).fill(0);
+    res[degree - 1] = 1;
+    let rootVal = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        res[j] = gfMultiply(res[j], rootVal);
+        if (j + 1 < degree) res[j] ^= res[j + 1];
+      }
+      rootVal = gfMultiply(rootVal, 0x02);
+    }
+    return res;
+  }
+
+  /**
+   * reedSolomon(data, degree)
+   * The `degree` error-correction codewords for a data block.
+   * @param {number[]} data - Data codewords (bytes)
+   * @returns {number[]}
+   */
+  function reedSolomon(data, degree) {
+    const div = rsDivisor(degree);
+    const res = new Array(degree).fill(0);
+    data.forEach((b) => {
+      const factor = b ^ res.shift();
+      res.push(0);
+      div.forEach((coef, i) => { res[i] ^= gfMultiply(coef, factor); });
+    });
+    return res;
+  }
+
+  // ── Codewords ──────────────────────────────────────────────
+  /** Byte-mode bit stream for the bytes, padded to the version's capacity. */
+  function dataBits(bytes, ver) {
+    const bits = [];
+    const put = (val, len) => {
+      for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1);
+    };
+    put(0x4, 4);
+    put(bytes.length, ver < 10 ? 8 : 16);
+    bytes.forEach((b) => put(b, 8));
+
+    const cap = dataCodewords(ver) * 8;
+    put(0, Math.min(4, cap - bits.length));
+    put(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < cap; pad ^= 0xec ^ 0x11) put(pad, 8);
+
+    const words = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      words.push(bits.slice(i, i + 8).reduce((w, b) => (w << 1) | b, 0));
+    }
+    return words;
+  }
+
+  /** Split into blocks, add ECC to each and interleave. */
+  function interleave(data, ver) {
+    const blocks = ECC_BLOCKS[ver];
+    const eccLen = ECC_PER_BLOCK[ver];
+    const raw = Math.floor(rawDataModules(ver) / 8);
+    const shortBlocks = blocks - (raw % blocks);
+    const shortLen = Math.floor(raw / blocks);
+
+    const all = [];
+    for (let i = 0, k = 0; i < blocks; i++) {
+      const dat = data.slice(k, k + shortLen - eccLen + (i < shortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = reedSolomon(dat, eccLen);
+      if (i < shortBlocks) dat.push(null);
+      all.push([...dat, ...ecc]);
+    }
+
+    const out = [];
+    for (let i = 0; i < all[0].length; i++) {
+      all.forEach((b) => { if (b[i] !== null) out.push(b[i]); });
+    }
+    return out;
+  }
+
+  // ── Matrix ─────────────────────────────────────────────────
+  function alignmentPositions(ver, size) {
+    if (ver === 1) return [];
+    const n = Math.floor(ver / 7) + 2;
+    const step = Math.floor((ver * 8 + n * 3 + 5) / (n * 4 - 4)) * 2;
+    const res = [6];
+    for (let p = size - 7; res.length < n; p -= step) res.splice(1, 0, p);
+    return res;
+  }
+
+  function bchBits(data, poly, len) {
+    let rem = data;
+    const top = Math.floor(Math.log2(poly));
+    for (let i = 0; i < top; i++) rem = (rem << 1) ^ ((rem >>> (top - 1)) * poly);
+    return (data << len) | rem;
+  }
+
+  /** Empty matrix with every function pattern drawn (format bits left for later). */
+  function functionPatterns(ver) {
+    const size = ver * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      fixed[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const d = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns (not over the finders)
+    const al = alignmentPositions(ver, size);
+    al.forEach((ax, i) => al.forEach((ay, j) => {
+      const last = al.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    // Reserve the format areas; drawFormat() fills them per mask
+    drawFormat({ modules, size, set }, 0);
+
+    // Version information (version 7 and up)
+    if (ver >= 7) {
+      const bits = bchBits(ver, 0x1f25, 12);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+
+    return { size, modules, fixed, set };
+  }
+
+  /** Both copies of the 15 format bits for a mask, plus the dark module. */
+  function drawFormat({ size, set }, mask) {
+    const bits = bchBits((ECL_BITS << 3) | mask, 0x537, 10) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  /** Zig-zag the codeword bits into every non-function module. */
+  function placeData(m, words) {
+    const { size, modules, fixed } = m;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (!fixed[y][x] && i < words.length * 8) {
+            modules[y][x] = ((words[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  /** XOR a mask over the data modules (applying it twice undoes it). */
+  function applyMask({ size, modules, fixed }, mask) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!fixed[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  /** Penalty score of a finished matrix — lower reads more reliably. */
+  function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    lines.forEach((line) => {
+      // N1 — runs of five or more
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += PENALTY[0] + run - 5;
+          run = 1;
+        }
+      }
+      // N3 — finder-like 1:1:3:1:1 with four light modules beside it
+      const s = line.map((d) => (d ? '1' : '0')).join('');
+      const pad = `0000${s}0000`;
+      for (let i = 0; i + 11 <= pad.length; i++) {
+        const w = pad.slice(i, i + 11);
+        if (w === '10111010000' || w === '00001011101') score += PENALTY[2];
+      }
+    });
+
+    // N2 — 2×2 blocks of one colour
+    for (let y = 0; y + 1 < size; y++) {
+      for (let x = 0; x + 1 < size; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += PENALTY[1];
+      }
+    }
+
+    // N4 — dark / light balance
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY[3];
+    return score;
+  }
+
+  // ── Public ─────────────────────────────────────────────────
+  /**
+   * encode(text)
+   * Smallest level-M QR code holding the text (UTF-8, byte mode).
+   * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }}
+   * @throws {RangeError} when the text does not fit version 40
+   */
+  function encode(text) {
+    const bytes = [...new TextEncoder().encode(String(text))];
+    let ver = 1;
+    while (ver <= MAX_VERSION && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(ver) * 8) ver++;
+    if (ver > MAX_VERSION) throw new RangeError(`QR: ${bytes.length} bytes is too long to encode`);
+
+    const m = functionPatterns(ver);
+    placeData(m, interleave(dataBits(bytes, ver), ver));
+
+    let best = null;
+    MASKS.forEach((_, mask) => {
+      applyMask(m, mask);
+      drawFormat(m, mask);
+      const score = penalty(m);
+      if (!best || score < best.score) best = { mask, score };
+      applyMask(m, mask);
+    });
+    applyMask(m, best.mask);
+    drawFormat(m, best.mask);
+
+    return { version: ver, size: m.size, mask: best.mask, modules: m.modules };
+  }
+
+  /**
+   * svgPath(qr, [x, y, scale])
+   * One SVG path `d` covering every dark module, for a
+   * `<path fill="…">`; place it with x / y and size it with scale.
+   */
+  function svgPath(qr, x = 0, y = 0, scale = 1) {
+    const parts = [];
+    qr.modules.forEach((row, r) => row.forEach((dark, c) => {
+      if (dark) parts.push(`M${x + c * scale},${y + r * scale}h${scale}v${scale}h${-scale}z`);
+    }));
+    return parts.join('');
+  }
+
+  return {
+    MAX_VERSION,
+    reedSolomon,
+    encode,
+    svgPath,
+  };
+}));
@@ -4,9 +4,14 @@
  * Rendering layer — SVG map drawing and DOM panel builders.
  *
  * All functions are pure side-effects against the DOM.
- * They read global state (floor, pos, haz) but never modify it.
+ * They read global state (floor, pos, haz, corridor) but never
+ * modify it.
  *
- * Depends on: data.js, routing.js
+ * Occupant-facing text comes from t() (i18n.js); labels of
+ * rooms, exits and floors from localLabel().
+ *
+ * Depends on: data.js, routing.js, i18n.js; directions.js, planner.js, a11y.js,
+ *             offline.js, undo.js, bulk.js, drill.js at run time
  * =============================================================
  */
 
@@ -23,13 +28,93 @@ function svgline(svg, x1, y1, x2, y2, stroke, width = 1) {
   svg.appendChild(svgel('line', { x1, y1, x2, y2, stroke, 'stroke-width': width }));
 }
 
-// ── Node centre lookup ────────────────────────────────────────
-function getNodeCenter(id, rooms, exits) {
-  const r = rooms.find((r) => r.id === id);
-  if (r) return { x: r.cx, y: r.cy };
-  const e = exits.find((e) => e.id === id);
-  if (e) return { x: e.cx, y: e.cy };
-  return null;
+// ── Text into markup ──────────────────────────────────────────
+// Labels, names and messages can come from a loaded building or
+// from the user, so they are escaped before going into innerHTML
+const HTML_ESC = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => HTML_ESC[c]);
+}
+
+// ── Node lookup ───────────────────────────────────────────────
+function getNodeBox(id, rooms, exits) {
+  return rooms.find((r) => r.id === id) || exits.find((e) => e.id === id) || null;
+}
+
+// ── Building-wide label lookup ────────────────────────────────
+// Edge keys read as "Main Hall ↔ Kitchen"
+function nodeLabel(id) {
+  const ends = edgeEnds(id);
+  if (ends) return ends.map(nodeLabel).join(' ↔ ');
+  const n = findNode(id);
+  return n ? localLabel(n) : id;
+}
+
+// Hazard icons, shared by the map, panels and chips
+const HAZ_ICONS = {
+  fire: '🔥', smoke: '💨', blocked: '🚧', closed: '🔒', 'exit-blocked': '🚫', locked: '🔐',
+};
+
+// Hazards a room can carry, in menu order
+const ROOM_HAZARDS = ['fire', 'smoke', 'blocked', 'closed'];
+
+// Hazards a corridor can carry, in menu order
+const CORRIDOR_HAZARDS = ['blocked', 'smoke', 'locked'];
+
+/** Point halfway along a polyline. */
+function polylineMid(pts) {
+  const segs = pts.slice(1).map((p, i) => Math.hypot(p.x - pts[i].x, p.y - pts[i].y));
+  let left = segs.reduce((a, b) => a + b, 0) / 2;
+  for (let i = 0; i < segs.length; i++) {
+    if (left <= segs[i] && segs[i] > 0) {
+      const t = left / segs[i];
+      return { x: pts[i].x + (pts[i + 1].x - pts[i].x) * t, y: pts[i].y + (pts[i + 1].y - pts[i].y) * t };
+    }
+    left -= segs[i];
+  }
+  return pts[0];
+}
+
+function floorLabel(f) {
+  return (BLDG[f] && localLabel(BLDG[f])) || f;
+}
+
+// ── Route floor helpers ───────────────────────────────────────
+/**
+ * routeFloorRuns(path)
+ * Split a building-wide path into consecutive same-floor runs:
+ *   [{ floor: 'F3', ids: [...] }, { floor: 'F2', ids: [...] }, …]
+ */
+function routeFloorRuns(path) {
+  const runs = [];
+  path.forEach((id) => {
+    const f = floorOf(id);
+    const last = runs[runs.length - 1];
+    if (last && last.floor === f) last.ids.push(id);
+    else runs.push({ floor: f, ids: [id] });
+  });
+  return runs;
+}
+
+/**
+ * stairHop(route, id)
+ * Short map marker (e.g. "▼ F2") if the route changes floor at
+ * this stair room, otherwise ''.
+ */
+function stairHop(route, id) {
+  if (!route) return '';
+  const i = route.path.indexOf(id);
+  if (i < 0) return '';
+  const next = route.path[i + 1];
+  const prev = route.path[i - 1];
+  const f = floorOf(id);
+  if (next && floorOf(next) !== f) {
+    const down = BLDG[floorOf(next)].level < BLDG[f].level;
+    return `${down ? '▼' : '▲'} ${floorOf(next)}`;
+  }
+  if (prev && floorOf(prev) !== f) return t('map.from', { floor: floorOf(prev) });
+  return '';
 }
 
 // ── Orthogonal path segments ──────────────────────────────────
@@ -55,28 +140,115 @@ function orthoPoints(ax, ay, bx, by) {
   return [{ x: ax, y: ay }, { x: ax, y: by }, { x: bx, y: by }];
 }
 
+/**
+ * linkPoints(a, b)
+ * Corridor waypoints between two laid-out nodes ({ x, y, w, h,
+ * cx, cy }). Rooms of different sizes rarely share a centre
+ * line, so when the two boxes overlap horizontally (or
+ * vertically) the corridor runs straight through the middle of
+ * that overlap, stepping in and out of each box's centre.
+ * Otherwise it falls back to orthoPoints().
+ */
+function linkPoints(a, b) {
+  const ox1 = Math.max(a.x, b.x);
+  const ox2 = Math.min(a.x + a.w, b.x + b.w);
+  const oy1 = Math.max(a.y, b.y);
+  const oy2 = Math.min(a.y + a.h, b.y + b.h);
+
+  if (Math.abs(a.cx - b.cx) >= 2 && ox2 - ox1 > 8) {
+    const x = (ox1 + ox2) / 2;
+    return [{ x: a.cx, y: a.cy }, { x, y: a.cy }, { x, y: b.cy }, { x: b.cx, y: b.cy }];
+  }
+  if (Math.abs(a.cy - b.cy) >= 2 && oy2 - oy1 > 8) {
+    const y = (oy1 + oy2) / 2;
+    return [{ x: a.cx, y: a.cy }, { x: a.cx, y }, { x: b.cx, y }, { x: b.cx, y: b.cy }];
+  }
+  return orthoPoints(a.cx, a.cy, b.cx, b.cy);
+}
+
 // ─────────────────────────────────────────────────────────────
 // MAP
 // ─────────────────────────────────────────────────────────────
-function drawMap(route) {
-  const svg = document.getElementById('mapSvg');
+/**
+ * drawRoutePath(svg, route, cls, rooms, exits)
+ * Draw a route as one polyline per run of consecutive nodes on
+ * the active floor (a building-wide route may leave and come
+ * back through the stairs).
+ */
+function drawRoutePath(svg, route, cls, rooms, exits) {
+  if (route.path.length < 2) return;
+  routeFloorRuns(route.path)
+    .filter((run) => run.floor === floor && run.ids.length > 1)
+    .forEach((run) => {
+      const allPts = [];
+
+      for (let i = 0; i < run.ids.length; i++) {
+        const n = getNodeBox(run.ids[i], rooms, exits);
+        if (!n) continue;
+
+        if (i === 0) {
+          allPts.push({ x: n.cx, y: n.cy });
+          continue;
+        }
+
+        const pn = getNodeBox(run.ids[i - 1], rooms, exits);
+        if (!pn) continue;
+
+        const pts = linkPoints(pn, n);
+        pts.slice(1).forEach((p) => allPts.push({ x: p.x, y: p.y }));
+      }
+
+      if (allPts.length > 1) {
+        // Deduplicate consecutive identical points
+        const deduped = [allPts[0]];
+        for (let i = 1; i < allPts.length; i++) {
+          const last = deduped[deduped.length - 1];
+          if (Math.abs(allPts[i].x - last.x) > 1 || Math.abs(allPts[i].y - last.y) > 1) {
+            deduped.push(allPts[i]);
+          }
+        }
+        const pStr = deduped.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+        svg.appendChild(svgel('polyline', { points: pStr, class: cls }));
+      }
+    });
+}
+
+/**
+ * drawMap(route, evac, alts, [target])
+ * Draw the active floor with its routes into #mapSvg, or into
+ * the target <svg> for a placard: a target gets the map alone —
+ * no click handlers, keyboard focus, corridor selection or
+ * overlays. On #mapSvg, rooms and exits are focusable and
+ * labelled for screen readers (see a11y.js).
+ */
+function drawMap(route, evac, alts, target) {
+  const svg = target || document.getElementById('mapSvg');
+  const live = !target;
+
+  // Keep keyboard focus on the same node across the redraw
+  const focusId = live && svg.contains(document.activeElement)
+    ? document.activeElement.getAttribute('data-node') : null;
   svg.innerHTML = '';
 
   const fd = BLDG[floor];
-  const { rooms, exits } = computeCoords(fd);
+  const { rooms, exits, width: W, height: H } = computeCoords(fd);
   const pathSet = new Set(route?.path || []);
 
+  // The viewBox follows the floor's own size
+  svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+  if (live) svg.setAttribute('aria-label', t('a11y.map', { floor: floorLabel(floor) }));
+
   // ── Background grid ──
-  for (let x = 0; x < 720; x += 60) {
-    svgline(svg, x, 0, x, 510, 'rgba(0,200,140,0.025)');
+  for (let x = 0; x < W; x += 60) {
+    svgline(svg, x, 0, x, H, 'rgba(0,200,140,0.025)');
   }
-  for (let y = 0; y < 510; y += 60) {
-    svgline(svg, 0, y, 720, y, 'rgba(0,200,140,0.025)');
+  for (let y = 0; y < H; y += 60) {
+    svgline(svg, 0, y, W, y, 'rgba(0,200,140,0.025)');
   }
 
   // Building boundary
   svg.appendChild(svgel('rect', {
-    x: 15, y: 15, width: 690, height: 480, rx: 4,
+    x: 15, y: 15, width: W - 30, height: H - 30, rx: 4,
     fill: 'rgba(0,200,140,0.012)',
     stroke: 'rgba(0,200,140,0.07)',
     'stroke-width': 1,
@@ -84,100 +256,87 @@ function drawMap(route) {
 
   // Floor watermark
   const wm = svgel('text', {
-    x: 360, y: 255,
+    x: W / 2, y: H / 2,
     'text-anchor': 'middle',
     'dominant-baseline': 'middle',
     'font-family': 'Rajdhani,sans-serif',
-    'font-size': '90',
+    'font-size': Math.round(Math.min(W, H) / 5.5),
     'font-weight': '700',
     fill: 'rgba(0,200,140,0.025)',
     'pointer-events': 'none',
+    'aria-hidden': 'true',
   });
   wm.textContent = floor;
   svg.appendChild(wm);
 
-  // ── Corridor lines ──
-  const corridorPairs = [];
-
-  // Horizontal — same row, adjacent columns
-  [0, 1, 2].forEach((row) => {
-    [0, 1].forEach((col) => {
-      corridorPairs.push([
-        GCOL[col] + RW / 2, GROW[row],
-        GCOL[col + 1] - RW / 2, GROW[row],
-      ]);
-    });
+  // ── Corridor lines — one per floor edge, with a wide invisible
+  // hit line so the corridor can be picked between the rooms ──
+  const corridorMarks = [];
+  fd.edges.forEach(([a, b]) => {
+    const na = getNodeBox(a, rooms, exits);
+    const nb = getNodeBox(b, rooms, exits);
+    if (!na || !nb) return;
+    const key = edgeKey(a, b);
+    const h = getHaz(key);
+    const pts = linkPoints(na, nb);
+    const points = pts.map((p) => `${p.x},${p.y}`).join(' ');
+    svg.appendChild(svgel('polyline', {
+      points,
+      class: `corridor${h ? ` c-${h}` : ''}${live && key === corridor ? ' c-sel' : ''}`,
+    }));
+    if (live) {
+      const hit = svgel('polyline', { points, class: 'corridor-hit', 'data-edge': key });
+      hit.addEventListener('click', () => { if (!editor.on && !drill.phase) selectCorridor(key); });
+      svg.appendChild(hit);
+    }
+    if (h) corridorMarks.push({ ...polylineMid(pts), h });
   });
 
-  // Vertical — same column, adjacent rows
-  [0, 1, 2].forEach((col) => {
-    [0, 1].forEach((row) => {
-      corridorPairs.push([
-        GCOL[col], GROW[row] + RH / 2,
-        GCOL[col], GROW[row + 1] - RH / 2,
-      ]);
-    });
-  });
+  // ── Mass-evacuation load shading (not during a drill, where
+  // it would trace the routes the trainee has to find) ──
+  if (live && plan.overlay && evac && drill.phase !== 'run') {
+    drawLoadOverlay(svg, evac, rooms, exits);
+  }
 
-  corridorPairs.forEach(([x1, y1, x2, y2]) => {
-    svgline(svg, x1, y1, x2, y2, 'rgba(0,200,140,0.07)', 8);
+  // ── Evacuation paths — alternates first, primary on top ──
+  (alts || []).forEach((alt, i) => {
+    drawRoutePath(svg, alt, `evac-path alt alt-${i + 1}`, rooms, exits);
   });
-
-  // ── Evacuation path ──
-  if (route && route.path.length > 1) {
-    const allPts = [];
-
-    for (let i = 0; i < route.path.length; i++) {
-      const c = getNodeCenter(route.path[i], rooms, exits);
-      if (!c) continue;
-
-      if (i === 0) {
-        allPts.push({ x: c.x, y: c.y });
-        continue;
-      }
-
-      const pc = getNodeCenter(route.path[i - 1], rooms, exits);
-      if (!pc) continue;
-
-      const pts = orthoPoints(pc.x, pc.y, c.x, c.y);
-      pts.slice(1).forEach((p) => allPts.push({ x: p.x, y: p.y }));
-    }
-
-    if (allPts.length > 1) {
-      // Deduplicate consecutive identical points
-      const deduped = [allPts[0]];
-      for (let i = 1; i < allPts.length; i++) {
-        const last = deduped[deduped.length - 1];
-        if (Math.abs(allPts[i].x - last.x) > 1 || Math.abs(allPts[i].y - last.y) > 1) {
-          deduped.push(allPts[i]);
-        }
-      }
-      const pStr = deduped.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
-      svg.appendChild(svgel('polyline', { points: pStr, class: 'evac-path' }));
-    }
+  if (route) {
+    drawRoutePath(svg, route, route.status === 'degraded' ? 'evac-path degraded' : 'evac-path', rooms, exits);
   }
 
   // ── Rooms ──
+  const liftsOn = liftsInService();
   rooms.forEach((room) => {
     const h      = getHaz(room.id);
     const isSel  = room.id === pos;
     const onPath = pathSet.has(room.id) && !isSel;
 
     let cls = 'room ';
-    if      (room.isStair)   cls += 'r-stair';
-    else if (isSel)          cls += 'r-sel';
+    if      (isSel)          cls += 'r-sel';
     else if (h === 'fire')   cls += 'r-fire';
     else if (h === 'smoke')  cls += 'r-smoke';
     else if (h === 'blocked')cls += 'r-blocked';
     else if (h === 'closed') cls += 'r-closed';
+    else if (room.isStair)   cls += onPath ? 'r-stair r-stair-path' : 'r-stair';
+    else if (room.isElevator) cls += (onPath ? 'r-lift r-stair-path' : 'r-lift') + (liftsOn.has(room.id) ? '' : ' r-lift-off');
     else if (onPath)         cls += 'r-path';
     else                     cls += 'r-clear';
 
     const rect = svgel('rect', {
       x: room.x, y: room.y, width: room.w, height: room.h, rx: 4, class: cls,
+      'data-node': room.id,
     });
-    if (!room.isStair) {
-      rect.addEventListener('click', () => setPos(room.id));
+    if (live) {
+      const canStand = !room.isStair && !room.isElevator;
+      rect.setAttribute('tabindex', '0');
+      rect.setAttribute('role', canStand ? 'button' : 'img');
+      if (canStand) rect.setAttribute('aria-pressed', String(isSel));
+      rect.setAttribute('aria-label', mapNodeLabel(room, {
+        hazard: h, here: isSel, onRoute: onPath, liftOn: liftsOn.has(room.id),
+      }));
+      if (canStand) rect.addEventListener('click', () => { if (!editor.on && !drill.phase) setPos(room.id); });
     }
     svg.appendChild(rect);
 
@@ -201,23 +360,47 @@ function drawMap(route) {
     else if (h === 'closed') lcls += ' ll-cls';
     else if (onPath)         lcls += ' ll-path';
 
-    const lbl = svgel('text', { x: room.cx, y: room.cy, class: lcls });
-    lbl.textContent = room.label;
+    const lbl = svgel('text', { x: room.cx, y: room.cy, class: lcls, 'aria-hidden': 'true' });
+    lbl.textContent = localLabel(room);
     svg.appendChild(lbl);
 
+    // Lift / refuge tag
+    const tag = room.isElevator ? t(liftsOn.has(room.id) ? 'map.lift' : 'map.liftOff')
+      : room.isRefuge ? t('map.refuge') : '';
+    if (tag) {
+      const t = svgel('text', {
+        x: room.cx, y: room.y + 12,
+        class: `rlbl ll-tag${room.isElevator && !liftsOn.has(room.id) ? ' ll-tag-off' : ''}`,
+        'aria-hidden': 'true',
+      });
+      t.textContent = tag;
+      svg.appendChild(t);
+    }
+
     // Hazard icon
-    if (h && !room.isStair) {
-      const ico = { fire: '🔥', smoke: '💨', blocked: '🚧', closed: '🔒' }[h];
+    if (h) {
+      const ico = HAZ_ICONS[h];
       if (ico) {
         const it = svgel('text', {
           x: room.cx, y: room.cy + 16,
           'text-anchor': 'middle', 'font-size': '11', 'pointer-events': 'none',
+          'aria-hidden': 'true',
         });
         it.textContent = ico;
         svg.appendChild(it);
       }
     }
 
+    // Floor-change marker where the route leaves or enters via stairs
+    const hop = stairHop(route, room.id);
+    if (hop) {
+      const st = svgel('text', {
+        x: room.cx, y: room.y + room.h - 10, class: 'rlbl ll-hop', 'aria-hidden': 'true',
+      });
+      st.textContent = hop;
+      svg.appendChild(st);
+    }
+
     // User position marker
     if (isSel) {
       const { cx, cy } = room;
@@ -229,6 +412,17 @@ function drawMap(route) {
     }
   });
 
+  // ── Corridor hazard markers (over the rooms, as rooms may touch) ──
+  corridorMarks.forEach(({ x, y, h }) => {
+    svg.appendChild(svgel('circle', { cx: x, cy: y, r: 8, class: `cmark c-${h}` }));
+    const it = svgel('text', {
+      x, y: y + 1, 'text-anchor': 'middle', 'dominant-baseline': 'middle',
+      'font-size': '9', 'pointer-events': 'none', 'aria-hidden': 'true',
+    });
+    it.textContent = HAZ_ICONS[h];
+    svg.appendChild(it);
+  });
+
   // ── Exits ──
   exits.forEach((exit) => {
     const isBlocked = getHaz(exit.id) === 'exit-blocked';
@@ -236,23 +430,56 @@ function drawMap(route) {
 
     const rx = svgel('rect', {
       x: exit.x, y: exit.y, width: exit.w, height: exit.h, rx: 2, class: 'r-exit',
+      'data-node': exit.id,
       fill:   isBlocked ? 'rgba(255,53,53,0.18)' : isTarget ? 'rgba(0,200,140,0.2)' : 'rgba(255,255,255,0.04)',
       stroke: isBlocked ? 'var(--red)'            : isTarget ? 'var(--green)'        : 'rgba(255,255,255,0.12)',
       'stroke-width': (isTarget || isBlocked) ? '2' : '1',
     });
     if (isTarget) rx.setAttribute('filter', 'drop-shadow(0 0 7px var(--green))');
+    if (live) {
+      rx.setAttribute('tabindex', '0');
+      rx.setAttribute('role', 'img');
+      rx.setAttribute('aria-label', mapNodeLabel(exit, {
+        exit: true, hazard: isBlocked ? 'exit-blocked' : '', target: isTarget,
+      }));
+    }
     svg.appendChild(rx);
 
     const tl = svgel('text', {
       x: exit.cx, y: exit.cy,
       'text-anchor': 'middle', 'dominant-baseline': 'middle',
       'font-family': 'Rajdhani,sans-serif', 'font-size': '9', 'font-weight': '700',
-      'pointer-events': 'none',
+      'pointer-events': 'none', 'aria-hidden': 'true',
       class: 'rlbl ' + (isBlocked ? 'll-eblk' : isTarget ? 'll-etgt' : 'll-exit'),
     });
-    tl.textContent = (isBlocked ? '✗ ' : isTarget ? '✓ ' : '') + exit.label;
+    tl.textContent = (isBlocked ? '✗ ' : isTarget ? '✓ ' : '') + localLabel(exit);
     svg.appendChild(tl);
   });
+
+  // ── Single-point-of-failure markers (not during a drill) ──
+  if (live && resil.overlay && drill.phase !== 'run') {
+    drawResilOverlay(svg, rooms, exits);
+  }
+
+  // ── Editor overlay ──
+  if (live && editor.on) {
+    drawEditorOverlay(svg, rooms, exits);
+  }
+
+  // ── Drill: the trainee's path ──
+  if (live && drill.phase) {
+    drawDrillOverlay(svg, rooms, exits);
+  }
+
+  // ── Region being marked ──
+  if (live && bulk.drag) {
+    drawRegionBox(svg);
+  }
+
+  if (focusId) {
+    const el = svg.querySelector(`[data-node="${CSS.escape(focusId)}"]`);
+    if (el) el.focus();
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -262,24 +489,19 @@ function buildRoomList() {
   const fd = BLDG[floor];
   const { rooms } = computeCoords(fd);
   const el = document.getElementById('roomList');
-  const ICO = { fire: '🔥', smoke: '💨', blocked: '🚧', closed: '🔒', '': '🟢' };
 
   el.innerHTML = rooms
-    .filter((r) => !r.isStair)
     .map((r) => {
       const h = getHaz(r.id);
-      return `<div class="rrow ${h ? 'h-' + h : ''}" id="rr-${r.id}">
-        <div class="rico">${ICO[h] || '🟢'}</div>
+      return `<div class="rrow ${h ? 'h-' + h : ''}" id="rr-${escHtml(r.id)}">
+        <div class="rico">${HAZ_ICONS[h] || '🟢'}</div>
         <div class="rinfo">
-          <div class="rname">${r.label}</div>
-          <div class="rsub">${h ? h.toUpperCase() : 'CLEAR'}</div>
+          <div class="rname">${escHtml(localLabel(r))}</div>
+          <div class="rsub">${hazName(h).toUpperCase()}${r.occupants ? ` · ${t('panel.people', { n: r.occupants })}` : ''}</div>
         </div>
-        <select class="hdd" data-room="${r.id}">
-          <option value=""        ${!h           ? 'selected' : ''}>CLEAR</option>
-          <option value="fire"    ${h === 'fire'    ? 'selected' : ''}>🔥 Fire</option>
-          <option value="smoke"   ${h === 'smoke'   ? 'selected' : ''}>💨 Smoke</option>
-          <option value="blocked" ${h === 'blocked' ? 'selected' : ''}>🚧 Blocked</option>
-          <option value="closed"  ${h === 'closed'  ? 'selected' : ''}>🔒 Closed</option>
+        <select class="hdd" data-room="${escHtml(r.id)}">
+          <option value="" ${!h ? 'selected' : ''}>${hazName('').toUpperCase()}</option>
+          ${ROOM_HAZARDS.map((v) => `<option value="${v}" ${h === v ? 'selected' : ''}>${HAZ_ICONS[v]} ${hazName(v)}</option>`).join('')}
         </select>
       </div>`;
     })
@@ -294,32 +516,82 @@ function buildRoomList() {
   });
 }
 
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — corridor hazard controls
+// ─────────────────────────────────────────────────────────────
+/**
+ * buildCorridorList()
+ * The corridor selected on the map, plus every corridor on this
+ * floor that has a hazard, each with its own hazard menu.
+ */
+function buildCorridorList() {
+  const el = document.getElementById('corrList');
+  const keys = BLDG[floor].edges
+    .map(([a, b]) => edgeKey(a, b))
+    .filter((k) => k === corridor || getHaz(k));
+
+  if (!keys.length) {
+    el.innerHTML = `<span class="none-label">${t('panel.noCorridor')}</span>`;
+    return;
+  }
+
+  el.innerHTML = keys
+    .map((k) => {
+      const h = getHaz(k);
+      return `<div class="rrow ${h ? 'h-' + h : ''}${k === corridor ? ' csel' : ''}">
+        <div class="rico">${HAZ_ICONS[h] || '↔'}</div>
+        <div class="rinfo">
+          <div class="rname">${escHtml(nodeLabel(k))}</div>
+          <div class="rsub">${hazName(h).toUpperCase()}</div>
+        </div>
+        <select class="hdd" data-edge="${escHtml(k)}">
+          <option value="" ${!h ? 'selected' : ''}>${hazName('').toUpperCase()}</option>
+          ${CORRIDOR_HAZARDS.map((v) => `<option value="${v}" ${h === v ? 'selected' : ''}>${HAZ_ICONS[v]} ${hazName(v)}</option>`).join('')}
+        </select>
+      </div>`;
+    })
+    .join('');
+
+  el.querySelectorAll('.hdd').forEach((sel) => {
+    sel.addEventListener('change', () => {
+      setHaz(sel.dataset.edge, sel.value);
+      render();
+    });
+  });
+}
+
 // ─────────────────────────────────────────────────────────────
 // LEFT PANEL — exit status controls
 // ─────────────────────────────────────────────────────────────
 function buildExitList(route) {
   const fd = BLDG[floor];
   const { exits } = computeCoords(fd);
-  document.getElementById('floorExitNote').textContent = fd.note;
+  document.getElementById('floorExitNote').textContent = localNote(fd);
 
   const el = document.getElementById('exitList');
 
+  if (!exits.length) {
+    el.innerHTML = `<span class="none-label">${t('panel.noExits')}</span>`;
+    return;
+  }
+
   el.innerHTML = exits
     .map((e) => {
       const isBlocked = getHaz(e.id) === 'exit-blocked';
       const isTarget  = route?.exitId === e.id;
+      const state = t(isBlocked ? 'exit.blocked' : isTarget ? 'exit.target' : 'exit.open');
       return `<div class="xrow ${isBlocked ? 'xblk' : isTarget ? 'xtgt' : ''}">
         <div class="rico">${isBlocked ? '🚫' : isTarget ? '✅' : '🚪'}</div>
         <div class="rinfo">
-          <div class="rname">${e.label}</div>
-          <div class="rsub">${isBlocked ? 'BLOCKED' : isTarget ? 'TARGET' : 'OPEN'}</div>
+          <div class="rname">${escHtml(localLabel(e))}</div>
+          <div class="rsub">${state}</div>
         </div>
         <span class="xbadge ${isBlocked ? 'xb-b' : isTarget ? 'xb-t' : 'xb-o'}">
-          ${isBlocked ? 'BLOCKED' : isTarget ? 'TARGET' : 'OPEN'}
+          ${state}
         </span>
-        <select class="hdd" style="margin-left:4px;" data-exit="${e.id}">
-          <option value=""             ${!isBlocked ? 'selected' : ''}>OPEN</option>
-          <option value="exit-blocked" ${isBlocked  ? 'selected' : ''}>🚫 Block</option>
+        <select class="hdd" style="margin-left:4px;" data-exit="${escHtml(e.id)}">
+          <option value=""             ${!isBlocked ? 'selected' : ''}>${t('exit.open')}</option>
+          <option value="exit-blocked" ${isBlocked  ? 'selected' : ''}>${t('exit.block')}</option>
         </select>
       </div>`;
     })
@@ -336,107 +608,250 @@ function buildExitList(route) {
 // ─────────────────────────────────────────────────────────────
 // RIGHT PANEL — route result card + step list
 // ─────────────────────────────────────────────────────────────
-function buildRoutePanel(route) {
+// Why the engine found no route — text keys for t()
+const NO_ROUTE_TEXT = {
+  [REASONS.START_IMPASSABLE]: 'noRoute.startImpassable',
+  [REASONS.START_EXPOSURE]:   'noRoute.startExposure',
+  [REASONS.NO_OPEN_EXITS]:    'noRoute.noOpenExits',
+  [REASONS.NO_STEP_FREE]:     'noRoute.noStepFree',
+  [REASONS.EXPOSURE_LIMIT]:   'noRoute.exposureLimit',
+  [REASONS.NO_SAFE_PATH]:     'noRoute.noSafePath',
+  [REASONS.UNSAFE_PATH]:      'noRoute.unsafePath',
+};
+
+/**
+ * altRoutesHtml(route, alts)
+ * Ranked list of the primary and backup routes for the route
+ * card: exit, distance and time at the normal walking speed, and
+ * how much a backup shares with the primary.
+ */
+function altRoutesHtml(route, alts) {
+  const travel = edgeTravel();
+  const row = (r, name, cls) => {
+    const { metres, eta } = routeTravel(r, travel);
+    const overlap = !r.shared ? ''
+      : r.shared.length
+        ? `<div class="ralt-via">${t('route.shares', { list: r.shared.map((id) => escHtml(nodeLabel(id))).join(', ') })}</div>`
+        : `<div class="ralt-via">${t('route.independent')}</div>`;
+    return `<div class="ralt ${cls}">
+      <span class="ralt-key"></span>
+      <div class="ralt-body">
+        <div><strong>${name}</strong> · ${escHtml(nodeLabel(r.exitId))}${r.refuge ? ` ${t('route.refuge')}` : ''} · ${t('dir.metres', { n: Math.round(metres) })} · ${fmtMinSec(eta.normal)}${
+          r.status === 'degraded' ? ` · <span style="color:var(--orange)">${t('route.degraded')}</span>` : ''}</div>
+        ${overlap}
+      </div>
+    </div>`;
+  };
+
+  return `<div class="ralts">
+    ${row(route, t('route.primary'), 'primary')}
+    ${alts.map((r, i) => row(r, t('route.alternate', { n: i + 1 }), `alt-${i + 1}`)).join('')
+      || `<div class="ralt-none">${t('route.noBackup')}</div>`}
+  </div>`;
+}
+
+// Step icon for each relative turn (see turnOf())
+const TURN_ICONS = {
+  straight:  '↑',
+  bearLeft:  '↖',
+  bearRight: '↗',
+  left:      '↰',
+  right:     '↱',
+  back:      '↶',
+};
+
+/**
+ * routeSteps(route)
+ * Turn-by-turn directions for a route: one step per straight leg
+ * (turn, distance, rooms passed), one per floor change, then the
+ * refuge instructions. Legs come from runLegs() (directions.js).
+ * A step warns about smoke on its leg and about the fire and
+ * smoke the leg passes next to.
+ * @returns {{ i: string, h: string }[]} icon and HTML text per step
+ */
+function routeSteps(route) {
+  const room = (id) => `<strong>${escHtml(nodeLabel(id))}</strong>`;
+  const last = route.path[route.path.length - 1];
+  const steps = [{ i: '📍', h: t('step.start', { room: room(route.path[0]), floor: escHtml(floorLabel(floorOf(route.path[0]))) }) }];
+
+  // Hazard warnings for arriving at a node along the path: the
+  // smoke it is in or came through, then the fire and smoke the
+  // route passes next to there (route.near)
+  const warn = (key, vars) => `<span class="swarn">${t(key, vars)}</span>`;
+  const warnAt = (id) => {
+    const prev = route.path[route.path.indexOf(id) - 1];
+    const beside = (type) => route.near
+      .filter((n) => n.at === id && getHaz(n.id) === type)
+      .map((n) => escHtml(nodeLabel(n.id)))
+      .join(t('dir.sep'));
+    const fire = beside('fire');
+    const smoke = beside('smoke');
+    return (getHaz(id) === 'smoke' ? warn('step.warnSmoke')
+      : prev && getHaz(edgeKey(prev, id)) === 'smoke' ? warn('step.warnCorridor')
+      : '')
+      + (fire ? warn('step.warnFire', { rooms: fire }) : '')
+      + (smoke ? warn('step.warnSmokeNear', { rooms: smoke }) : '');
+  };
+
+  const runs = routeFloorRuns(route.path);
+  for (let r = 0; r < runs.length; r++) {
+    // Floor change — one step per flight through the stairwell,
+    // one per lift ride however many floors it passes
+    if (r > 0) {
+      const fFrom = runs[r - 1].floor;
+      const arrive = runs[r].ids[0];
+      const lift = !!(findNode(arrive) || {}).isElevator;
+      while (lift && runs[r].ids.length === 1 && r + 1 < runs.length) r++;
+      const fTo  = runs[r].floor;
+      const down = BLDG[fTo].level < BLDG[fFrom].level;
+      steps.push({
+        i: lift ? '🛗' : '🪜',
+        h: t(`step.${lift ? 'lift' : 'stairs'}${down ? 'Down' : 'Up'}`, { floor: `<strong>${escHtml(floorLabel(fTo))}</strong>` }) + warnAt(arrive),
+      });
+    }
+
+    // Walking legs on this floor
+    runLegs(runs[r].ids).forEach((leg) => {
+      const isLast = leg.to === last;
+      const turn = leg.turn === null ? t('dir.leave', { room: room(leg.from) })
+        : leg.within ? t('dir.at', { room: room(leg.within), turn: t(`dir.${leg.turn}`) })
+        : t(`dir.${leg.turn}`);
+      const via = (leg.to ? leg.nodes.slice(0, -1) : leg.nodes).map(room).join(t('dir.sep'));
+      let dest = leg.to ? room(leg.to) : '';
+      if (isLast && route.refuge) dest += ` — <strong style="color:var(--blue)">${t('step.refugeArea')}</strong>`;
+      else if (isLast) dest += ` — <strong style="color:var(--green)">${t('step.exitHere')}</strong>`;
+
+      const text = t(`dir.${leg.to ? 'go' : 'goOn'}${via ? 'Via' : ''}`, {
+        turn, via, room: dest, dist: t('dir.metres', { n: approxMetres(leg.metres) }),
+      });
+      steps.push({
+        i: isLast ? (route.refuge ? '♿' : '🚪') : leg.turn === null ? '🚶' : TURN_ICONS[leg.turn],
+        h: text.charAt(0).toUpperCase() + text.slice(1) + leg.nodes.map(warnAt).join(''),
+      });
+    });
+  }
+
+  // Waiting in a refuge area
+  if (route.refuge) {
+    const where = `<strong>${escHtml(floorLabel(floorOf(route.exitId)))}, ${escHtml(nodeLabel(route.exitId))}</strong>`;
+    if (route.path.length === 1) {
+      steps.push({ i: '♿', h: t('step.inRefuge', { refuge: `<strong style="color:var(--blue)">${t('step.refugeArea')}</strong>` }) });
+    }
+    steps.push(
+      { i: '📞', h: t('step.intercom', { where }) },
+      { i: '🚪', h: t('step.doors') },
+      { i: '⏳', h: t('step.wait') },
+    );
+  }
+
+  return steps;
+}
+
+function buildRoutePanel(route, why, alts = []) {
   const rb = document.getElementById('routeBox');
   const sl = document.getElementById('stepList');
-  const fd = BLDG[floor];
-  const { rooms, exits } = computeCoords(fd);
-
-  const lbl = (id) => {
-    const r = rooms.find((r) => r.id === id);
-    if (r) return r.label;
-    const e = exits.find((e) => e.id === id);
-    if (e) return e.label;
-    return id;
-  };
 
   // No position selected
   if (!pos) {
     rb.className = 'rbox';
     rb.innerHTML = `
-      <div class="rbtag">// AWAITING POSITION INPUT</div>
-      <p class="rbox-hint">Select your room to compute safest evacuation route.</p>`;
+      <div class="rbtag">${t('route.awaiting')}</div>
+      <p class="rbox-hint">${t('route.hint')}</p>`;
     sl.innerHTML = '';
     return;
   }
 
   // No safe route exists
   if (!route) {
-    const reason = isNodeBlocked(pos)
-      ? 'Your current room is a hazard zone. No safe direction to move.'
-      : 'All reachable paths pass through hazard zones or all exits are blocked.';
+    const reason = t(NO_ROUTE_TEXT[why] || 'noRoute.default');
 
     rb.className = 'rbox fail';
     rb.innerHTML = `
-      <div class="rbtag">// EVACUATION FAILED</div>
-      <div class="rbfail">⚠ NO SAFE ROUTE</div>
+      <div class="rbtag">${t('route.failed')}</div>
+      <div class="rbfail">${t('route.noSafe')}</div>
       <p style="font-family:var(--mono);font-size:8px;color:var(--muted);line-height:1.9;margin-top:6px;">
-        ${reason}<br><br>Hazard-free evacuation is not possible from this position.
+        ${reason}<br><br>${t('route.impossible')}
       </p>`;
 
     sl.innerHTML = `
       <li class="step">
         <div class="si">🚨</div>
         <div class="st">
-          <strong style="color:var(--red)">Evacuation not possible.</strong><br>
+          <strong style="color:var(--red)">${t('shelter.title')}</strong><br>
           <span style="font-size:12px;color:var(--muted)">${reason}</span>
         </div>
       </li>
       <li class="step">
         <div class="si">🛑</div>
-        <div class="st">Do <strong>NOT</strong> attempt to travel through fire, smoke, or blocked zones.</div>
+        <div class="st">${t('shelter.dontTravel')}</div>
       </li>
       <li class="step">
         <div class="si">🚪</div>
-        <div class="st">Seal gaps under doors to slow smoke. Move to a window if possible.</div>
+        <div class="st">${t('shelter.seal')}</div>
       </li>
       <li class="step">
         <div class="si">📞</div>
-        <div class="st">Call <strong>emergency services</strong> immediately and report your floor and room.</div>
+        <div class="st">${t('shelter.call')}</div>
       </li>`;
     return;
   }
 
-  // Route found — build breadcrumb chain
+  // Route found — build breadcrumb chain, with a floor chip
+  // wherever the route changes floor
+  const runs = routeFloorRuns(route.path);
+  const travel = routeTravel(route);
+  const arrow = `<span class="ca">${t('arrow')}</span>`;
   const chainHtml = route.path
     .map((id, i) => {
       const cls = i === 0 ? 'cn cs' : i === route.path.length - 1 ? 'cn ce' : 'cn';
-      const arr = i < route.path.length - 1 ? '<span class="ca">→</span>' : '';
-      return `<span class="${cls}">${lbl(id)}</span>${arr}`;
+      const arr = i < route.path.length - 1 ? arrow : '';
+      const fchg = i > 0 && floorOf(id) !== floorOf(route.path[i - 1])
+        ? `<span class="cn cf">${escHtml(floorOf(id))}</span>${arrow}`
+        : '';
+      return `${fchg}<span class="${cls}">${escHtml(nodeLabel(id))}</span>${arr}`;
     })
     .join('');
 
-  rb.className = 'rbox found';
+  // Degraded routes explain which hazardous rooms they cross
+  const degraded = route.status === 'degraded';
+  const stepFree = profile === PROFILES.NO_STAIRS;
+  const tag = t(route.refuge ? 'route.tagRefuge'
+    : degraded ? 'route.tagDegraded'
+    : stepFree ? 'route.tagStepFree'
+    : 'route.tagSafe');
+  const crossedHtml = degraded
+    ? `<div class="rbcross">${t('route.crosses', {
+      list: route.crossed.map((id) => `<strong>${escHtml(nodeLabel(id))}</strong> (${hazName(getHaz(id)).toUpperCase()})`).join(', '),
+    })}</div>`
+    : '';
+
+  // … and which hazards it still has to pass next to
+  const nearHtml = route.near.length
+    ? `<div class="rbcross">${t('route.passesNear', {
+      list: route.near.map((n) => `<strong>${escHtml(nodeLabel(n.id))}</strong> (${hazName(getHaz(n.id)).toUpperCase()})`).join(', '),
+    })}</div>`
+    : '';
+
+  rb.className = `rbox found${degraded ? ' degraded' : ''}${route.refuge ? ' refuge' : ''}`;
   rb.innerHTML = `
-    <div class="rbtag">✓ SAFE EVACUATION ROUTE FOUND</div>
-    <div class="rbxit">${lbl(route.exitId)}</div>
+    <div class="rbtag">${tag}</div>
+    <div class="rbxit">${escHtml(nodeLabel(route.exitId))}</div>
+    ${route.refuge ? `<div class="rbref">${t('route.waitRefuge')}</div>` : ''}
     <div class="rbmeta">
-      <div>HOPS <span>${route.path.length - 1}</span></div>
-      <div>STATUS <span style="color:var(--green)">CLEAR</span></div>
+      <div>${t('route.distance')} <span>${t('dir.metres', { n: Math.round(travel.metres) })}</span></div>
+      <div>${t('route.floors')} <span>${runs.map((r) => escHtml(r.floor)).join(` ${t('arrow')} `)}</span></div>
+      <div>${t('route.status')} ${degraded
+        ? `<span style="color:var(--orange)">${t('route.degraded')}</span>`
+        : `<span style="color:var(--green)">${t('route.clear')}</span>`}</div>
     </div>
-    <div class="chain">${chainHtml}</div>`;
-
-  // Step list
-  const steps = [{ i: '📍', h: `Start at <strong>${lbl(route.path[0])}</strong>` }];
-
-  for (let i = 1; i < route.path.length; i++) {
-    const id     = route.path[i];
-    const isLast = i === route.path.length - 1;
-    const isStair = !!(rooms.find((r) => r.id === id) || {}).isStair;
-    const h = getHaz(id);
-    const warn = h === 'fire'  ? '<span class="swarn">⚠ FIRE NEARBY — MOVE FAST</span>'
-               : h === 'smoke' ? '<span class="swarn">⚠ SMOKE — STAY LOW</span>'
-               : '';
-
-    steps.push({
-      i: isLast ? '🚪' : isStair ? '🪜' : '→',
-      h: isLast
-        ? `Proceed to <strong>${lbl(id)}</strong> — <strong style="color:var(--green)">EXIT HERE</strong>${warn}`
-        : `Move to <strong>${lbl(id)}</strong>${warn}`,
-    });
-  }
-
-  sl.innerHTML = steps
+    <div class="rbeta">${t('route.eta')} ${Object.keys(WALK_SPEEDS).map((k) =>
+      `<span title="${t('route.etaTitle', { speed: WALK_SPEEDS[k] })}">${t(`speed.${k}`)} <b>${fmtMinSec(travel.eta[k])}</b></span>`).join('')}</div>
+    ${crossedHtml}
+    ${nearHtml}
+    <div class="chain">${chainHtml}</div>
+    ${altRoutesHtml(route, alts)}`;
+
+  sl.innerHTML = routeSteps(route)
     .map((s) => `<li class="step"><div class="si">${s.i}</div><div class="st">${s.h}</div></li>`)
     .join('');
 }
@@ -444,46 +859,37 @@ function buildRoutePanel(route) {
 // ─────────────────────────────────────────────────────────────
 // RIGHT PANEL — active hazard chip strip
 // ─────────────────────────────────────────────────────────────
+// Building-wide; hazards on other floors carry their floor key
 function buildHazTags() {
   const el = document.getElementById('hazTags');
-  const floorHaz = haz[floor] || {};
-  const active = Object.entries(floorHaz).filter(([, v]) => v);
+  const active = Object.keys(BLDG)
+    .sort((a, b) => (a === floor ? -1 : b === floor ? 1 : BLDG[a].level - BLDG[b].level))
+    .flatMap((f) => Object.entries(haz[f] || {}).filter(([, v]) => v).map(([id, h]) => [f, id, h]));
 
   if (!active.length) {
-    el.innerHTML = '<span class="none-label">// none active</span>';
+    el.innerHTML = `<span class="none-label">${t('panel.noneActive')}</span>`;
     return;
   }
 
-  const fd = BLDG[floor];
-  const { rooms, exits } = computeCoords(fd);
-
-  const lbl = (id) => {
-    const r = rooms.find((r) => r.id === id);
-    if (r) return r.label;
-    const e = exits.find((e) => e.id === id);
-    if (e) return e.label;
-    return id;
-  };
-
-  const ICO = { fire: '🔥', smoke: '💨', blocked: '🚧', closed: '🔒', 'exit-blocked': '🚫' };
-
   el.innerHTML = active
-    .map(([id, h]) => `<div class="aht at-${h}">${ICO[h]} ${lbl(id)}</div>`)
+    .map(([f, id, h]) => `<div class="aht at-${h}${edgeEnds(id) ? ' at-edge' : ''}">${HAZ_ICONS[h]} ${escHtml(nodeLabel(id))}${
+      f === floor ? '' : ` <span class="atf">${escHtml(f)}</span>`}</div>`)
     .join('');
 }
 
 // ─────────────────────────────────────────────────────────────
 // HEADER — status bar
 // ─────────────────────────────────────────────────────────────
+// Counts hazards and exits across every floor, so a fire upstairs
+// raises the alarm whichever floor is on screen
 function updateStatus() {
-  const floorHaz = haz[floor] || {};
-  const activeCount = Object.values(floorHaz).filter(Boolean).length;
+  const activeCount = Object.keys(BLDG)
+    .reduce((n, f) => n + Object.values(haz[f] || {}).filter(Boolean).length, 0);
 
-  const fd = BLDG[floor];
-  const { exits } = computeCoords(fd);
+  const exits = Object.values(BLDG).flatMap((fd) => fd.exits);
   const openCount = exits.filter((e) => getHaz(e.id) !== 'exit-blocked').length;
 
-  document.getElementById('ecount').textContent = `${openCount}/${exits.length} OPEN`;
+  document.getElementById('ecount').textContent = t('status.open', { open: openCount, total: exits.length });
 
   const dot   = document.getElementById('sdot');
   const txt   = document.getElementById('stext');
@@ -491,19 +897,31 @@ function updateStatus() {
 
   if (!activeCount) {
     dot.className = 'sdot ok';
-    txt.textContent = 'NORMAL';
+    txt.textContent = t('status.normal');
     strip.classList.remove('on');
   } else if (activeCount < 3) {
     dot.className = 'sdot warn';
-    txt.textContent = 'CAUTION';
+    txt.textContent = t('status.caution');
     strip.classList.add('on');
   } else {
     dot.className = 'sdot crit';
-    txt.textContent = 'EMERGENCY';
+    txt.textContent = t('status.emergency');
     strip.classList.add('on');
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// HEADER — floor tabs (rebuilt when a building is loaded)
+// ─────────────────────────────────────────────────────────────
+function buildFloorTabs() {
+  const short = (f) => floorLabel(f).toUpperCase().replace('GROUND FLOOR', 'GND FL').replace('BASEMENT', 'BSMT');
+  document.getElementById('ftabs').innerHTML = Object.keys(BLDG)
+    .sort((a, b) => BLDG[a].level - BLDG[b].level)
+    .map((f) => `<button class="ftab ${f === floor ? 'active' : ''}" data-floor="${escHtml(f)}">${escHtml(short(f))}</button>`)
+    .join('');
+  document.getElementById('bldgName').textContent = BLDG_META.name;
+}
+
 // ─────────────────────────────────────────────────────────────
 // POSITION DROPDOWN
 // ─────────────────────────────────────────────────────────────
@@ -512,23 +930,50 @@ function populateSel() {
   const { rooms } = computeCoords(fd);
   const sel = document.getElementById('posSelect');
 
+  // Keep a position on another floor selectable while viewing this one
+  const away = pos && floorOf(pos) !== floor
+    ? `<option value="${escHtml(pos)}" selected>${escHtml(nodeLabel(pos))} (${escHtml(floorOf(pos))})</option>`
+    : '';
+
   sel.innerHTML =
-    '<option value="">— Select your room —</option>' +
+    `<option value="">${t('panel.selectRoom')}</option>` +
+    away +
     rooms
-      .filter((r) => !r.isStair)
-      .map((r) => `<option value="${r.id}" ${r.id === pos ? 'selected' : ''}>${r.label}</option>`)
+      .filter((r) => !r.isStair && !r.isElevator)
+      .map((r) => `<option value="${escHtml(r.id)}" ${r.id === pos ? 'selected' : ''}>${escHtml(localLabel(r))}</option>`)
       .join('');
+
+  document.getElementById('profSelect').value = profile;
+  document.getElementById('marginSelect').value = margin;
 }
 
 // ─────────────────────────────────────────────────────────────
 // RENDER ORCHESTRATOR
 // ─────────────────────────────────────────────────────────────
 function render() {
-  const route = findRoute();
-  drawMap(route);
+  trackUndo();
+  const { route, routes, reason } = routeResult();
+  const alts  = routes.slice(1);
+  const evac  = planEvacuation();
+  drawMap(route, evac, alts);
+  if (overview.on) drawOverview();
   buildRoomList();
+  buildCorridorList();
   buildExitList(route);
-  buildRoutePanel(route);
+  buildRoutePanel(route, reason, alts);
+  announceRoute(route, reason);
+  buildSpeechToggle();
+  buildSimPanel(route);
+  buildPlanPanel(evac);
+  buildResilPanel();
+  buildPlacardPanel();
   buildHazTags();
+  buildHazardTools();
+  buildEditorPanel();
+  buildDrillPanel();
+  buildScenarioPanel();
+  buildTimelineBar();
   updateStatus();
+  buildNetStatus();
+  writeHash();
 }
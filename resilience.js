@@ -0,0 +1,187 @@
+/**
+ * js/resilience.js
+ * =============================================================
+ * Resilience report — single points of failure per floor.
+ *
+ * ANALYSE runs resilience() from engine.js over the current
+ * hazards and profile: every usable room (stairs and lifts
+ * included), exit and corridor is failed on its own, and the
+ * rooms that would lose every route are recorded. Elements that
+ * strand any room are the building's single points of failure;
+ * a floor's score is the share of its rooms that keep a route
+ * whichever one element fails.
+ *
+ * The analysis takes a few hundred milliseconds on the demo
+ * building, so it runs on demand rather than on every render.
+ * The report is marked stale once the hazards, profile or
+ * building change, and can be exported as CSV or JSON.
+ *
+ * Depends on: data.js, engine.js, routing.js, render.js, timeline.js
+ * State used: floor, haz (through snapshotHazards), profile
+ * =============================================================
+ */
+
+'use strict';
+
+// Critical elements listed in the panel (the export has them all)
+const RESIL_LIST = 8;
+
+// Score at or above which a floor counts as resilient / fragile
+const RESIL_OK = 100;
+const RESIL_WARN = 50;
+
+// ── Report state ──────────────────────────────────────────────
+const resil = {
+  report:  null,   // resilience() result + { t, profile, hazards, key }
+  overlay: false,  // mark critical elements on the map
+};
+
+/** What the report depends on, to tell when it is out of date. */
+function resilKey() {
+  return JSON.stringify([BLDG, snapshotHazards(), profile]);
+}
+
+function resilStale() {
+  return !!resil.report && resil.report.key !== resilKey();
+}
+
+/** Run the analysis for the current hazards and profile. */
+function runResilience() {
+  const hazards = snapshotHazards();
+  resil.report = {
+    ...LifeRouteEngine.resilience(BLDG, hazards, { ...engineOptions(), profile }),
+    t: Date.now(),
+    profile,
+    hazards,
+    key: resilKey(),
+  };
+  render();
+}
+
+function resilLevel(score) {
+  return score === null ? 'na' : score >= RESIL_OK ? 'ok' : score >= RESIL_WARN ? 'warn' : 'crit';
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP — critical element markers (current floor)
+// ─────────────────────────────────────────────────────────────
+function drawResilOverlay(svg, rooms, exits) {
+  if (!resil.report) return;
+  resil.report.elements.filter((e) => e.floor === floor).forEach((e) => {
+    const n = e.stranded.length;
+    let at;
+    if (e.kind === 'edge') {
+      const [a, b] = edgeEnds(e.id);
+      const na = getNodeBox(a, rooms, exits);
+      const nb = getNodeBox(b, rooms, exits);
+      if (!na || !nb) return;
+      const pts = linkPoints(na, nb);
+      svg.appendChild(svgel('polyline', {
+        points: pts.map((p) => `${p.x},${p.y}`).join(' '),
+        class: 'spof-edge',
+      }));
+      at = polylineMid(pts);
+    } else {
+      const box = getNodeBox(e.id, rooms, exits);
+      if (!box) return;
+      svg.appendChild(svgel('rect', {
+        x: box.x - 3, y: box.y - 3, width: box.w + 6, height: box.h + 6, rx: 6, class: 'spof-node',
+      }));
+      at = { x: box.x + box.w - 4, y: box.y + 4 };
+    }
+    svg.appendChild(svgel('circle', { cx: at.x, cy: at.y, r: 9, class: 'spof-badge' }));
+    const t = svgel('text', { x: at.x, y: at.y + 1, class: 'spof-lbl' });
+    t.textContent = n;
+    svg.appendChild(t);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — resilience report
+// ─────────────────────────────────────────────────────────────
+function buildResilPanel() {
+  document.getElementById('resilOverlay').checked = resil.overlay;
+  const r = resil.report;
+  document.getElementById('resilCsv').disabled = !r;
+  document.getElementById('resilJson').disabled = !r;
+
+  const el = document.getElementById('resilBox');
+  // A report run on the drill's hazards would give the answer away
+  document.getElementById('resilRun').disabled = drill.phase === 'run';
+  if (drill.phase === 'run') {
+    el.innerHTML = '<span class="none-label">// hidden during the drill</span>';
+    return;
+  }
+  if (!r) {
+    el.innerHTML = '<span class="none-label">// not run — ANALYSE fails each room, exit and corridor in turn</span>';
+    return;
+  }
+
+  const floors = Object.keys(BLDG)
+    .filter((f) => r.floors[f])
+    .sort((a, b) => BLDG[b].level - BLDG[a].level)
+    .map((f) => {
+      const fl = r.floors[f];
+      return `<div class="plrow ${f === floor ? 'cur' : ''}">
+        <span>${escHtml(f)}</span>
+        <span>${fl.resilient}/${fl.rooms} ROOMS · ${fl.critical.length} SPOF</span>
+        <span class="rsc rsc-${resilLevel(fl.score)}">${fl.score === null ? '—' : `${fl.score}%`}</span>
+      </div>`;
+    })
+    .join('');
+
+  const kind = { room: '▭', exit: '⇥', edge: '╱' };
+  const critical = r.elements.slice(0, RESIL_LIST)
+    .map((e) => `<div class="plrow">
+        <span>${kind[e.kind]} ${escHtml(nodeLabel(e.id))}</span>
+        <span>${escHtml(e.floor)}</span>
+        <span class="plbad">✗ ${e.stranded.length}</span>
+      </div>`)
+    .join('');
+  const more = r.elements.length > RESIL_LIST ? `<div class="rsmore">+ ${r.elements.length - RESIL_LIST} more in the export</div>` : '';
+
+  el.innerHTML = `
+    ${resilStale() ? '<div class="rsstale">⚠ HAZARDS CHANGED — ANALYSE AGAIN</div>' : ''}
+    <div class="plsum">
+      <div>AT <span>${new Date(r.t).toLocaleTimeString()}</span></div>
+      <div>PROFILE <span>${r.profile.toUpperCase()}</span></div>
+      ${r.unroutable.length ? `<div>NO ROUTE NOW <span class="plbad">${r.unroutable.length}</span></div>` : ''}
+    </div>
+    <div class="plhead">SCORE PER FLOOR</div>${floors}
+    <div class="plhead">SINGLE POINTS OF FAILURE · ROOMS CUT OFF</div>
+    ${critical || '<span class="none-label">// none — every room survives any single failure</span>'}${more}`;
+}
+
+// ── Export ────────────────────────────────────────────────────
+function resilCsv() {
+  const r = resil.report;
+  const head = ['type', 'id', 'label', 'floor', 'score', 'rooms', 'resilient', 'critical',
+    'stranded_count', 'stranded'];
+  const floorRows = Object.entries(r.floors).map(([f, fl]) => [
+    'floor', f, floorLabel(f), f, fl.score ?? '', fl.rooms, fl.resilient, fl.critical.join('; '), '', '',
+  ]);
+  const elementRows = r.elements.map((e) => [
+    e.kind, e.id, nodeLabel(e.id), e.floor, '', '', '', '', e.stranded.length, e.stranded.join('; '),
+  ]);
+  return [head, ...floorRows, ...elementRows].map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+function resilJson() {
+  const { key, t, ...report } = resil.report;
+  return JSON.stringify({
+    building: BLDG_META.name,
+    analysed: new Date(t).toISOString(),
+    ...report,
+  }, null, 2);
+}
+
+/** Offer the report as a .csv or .json download. */
+function downloadResilience(format) {
+  const csv = format === 'csv';
+  const blob = new Blob([csv ? resilCsv() : resilJson()], { type: csv ? 'text/csv' : 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `resilience-${BLDG_META.name.replace(/[^\w-]+/g, '_') || 'building'}.${format}`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
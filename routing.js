@@ -1,207 +1,266 @@
 /**
  * js/routing.js
  * =============================================================
- * Pathfinding engine — Dijkstra shortest-path with absolute
- * hazard exclusion.
+ * Page adapter for the routing engine — binds the stateless API
+ * in engine.js to the app's global state.
  *
- * Hazard contract (iron-clad, three layers)
- * ------------------------------------------
- * 1. GRAPH BUILD  — hazardous nodes are never added to the
- *    adjacency list. No edge can lead into or out of them.
- * 2. RELAXATION   — an explicit guard blocks relaxation into
- *    any hazardous node, even if somehow reached.
- * 3. PATH VERIFY  — after reconstruction, every intermediate
- *    node is checked. A contaminated path is discarded → null.
+ * The engine takes an explicit building, start node and hazard
+ * map; this file supplies BLDG, the global `pos` and a snapshot
+ * of `haz`, and owns the hazard accessors the UI uses. Corridor
+ * hazards share `haz` with room hazards, keyed by edgeKey(a, b)
+ * under the floor of the edge. See
+ * engine.js for the hazard contract and the search itself.
  *
- * null return from findRoute() → UI shows "EVACUATION NOT
- * POSSIBLE". A hazardous path is NEVER shown to the user.
+ * Routes are timed, not counted in hops: every corridor, stair
+ * flight and lift ride is weighed by how long it takes at the
+ * normal walking speed (edgeTravel(), passed as the engine's
+ * `weights`), so a long walk across a big room costs more than
+ * a step through a doorway.
  *
- * Depends on: data.js  (BLDG, computeCoords)
- * State used: floor, haz  (set by main.js)
+ * The safety margin (engine.js, "Safety margin") is a setting of
+ * the position panel: `margin` scales the engine's HAZARD_MARGIN
+ * by MARGIN_SCALES, and engineOptions() passes the result on.
+ *
+ * Depends on: data.js  (BLDG, STAIR_LINKS, ELEVATOR_LINKS), engine.js
+ * State used: floor, pos, haz, profile, margin  (set by main.js)
  * =============================================================
  */
 
 'use strict';
 
-// Hazard types that make a node completely impassable
-const ROOM_HAZARD_TYPES = new Set(['fire', 'smoke', 'blocked', 'closed']);
+// Engine constants and graph helpers shared with the other modules
+const {
+  REASONS,
+  PROFILES,
+  edgeKey,
+  edgeEnds,
+  buildingNodeIds,
+  buildingEdges,
+  mkPath,
+} = LifeRouteEngine;
 
-// ── State accessors (state owned by main.js) ─────────────────
-function getHaz(id) {
-  return (haz[floor] || {})[id] || '';
-}
+// Routes shown: the primary plus backups
+const ROUTE_COUNT = 3;
 
-function setHaz(id, val) {
-  if (!haz[floor]) haz[floor] = {};
-  if (val) {
-    haz[floor][id] = val;
-  } else {
-    delete haz[floor][id];
-  }
+// Walking speeds (m/s) the route card gives an ETA for; routes
+// themselves are timed at `normal`
+const WALK_SPEEDS = {
+  brisk:    1.5,
+  normal:   1.2,
+  slow:     0.8,
+  assisted: 0.5,
+};
+
+// Speed on stairs, as a share of the walking speed
+const STAIR_PACE = 0.5;
+
+// Seconds of a typical room-to-room hop. The engine's hazard and
+// overlap penalties are counted in hops, so travel times are
+// handed to it in this unit.
+const HOP_SECONDS = 10;
+
+// Safety-margin settings, as multiples of the engine's
+// HAZARD_MARGIN. 'off' keeps the costs at 0, so the hazards a
+// route passes next to are still listed.
+const MARGIN_SCALES = {
+  off:    0,
+  normal: 1,
+  wide:   2,
+};
+
+// localStorage key of the safety-margin setting
+const MARGIN_STORE = 'liferoute.margin';
+
+/** The engine's `margin` option for a MARGIN_SCALES setting. */
+function marginCosts(setting) {
+  const k = MARGIN_SCALES[setting] ?? MARGIN_SCALES.normal;
+  return Object.fromEntries(Object.entries(LifeRouteEngine.HAZARD_MARGIN).map(([h, c]) => [h, c * k]));
 }
 
-// Used by render.js for visual highlighting (reads global state)
-function isNodeBlocked(id) {
-  return ROOM_HAZARD_TYPES.has(getHaz(id));
+// Engine options for the live building (ambulatory unless a
+// profile is added, as the person's own route does)
+function engineOptions() {
+  const weights = {};
+  Object.entries(edgeTravel()).forEach(([k, tr]) => {
+    weights[k] = travelSeconds(tr, WALK_SPEEDS.normal) / HOP_SECONDS;
+  });
+  return { stairLinks: STAIR_LINKS, elevatorLinks: ELEVATOR_LINKS, weights, margin: marginCosts(margin) };
 }
 
-// ── Hazard snapshot ──────────────────────────────────────────
+// ── Travel time ──────────────────────────────────────────────
 /**
- * Capture current floor hazards as a plain object.
- * Called once at the top of findRoute() so the entire
- * pathfinding run operates on a consistent, frozen snapshot —
- * no function inside the call chain reads global state.
+ * edgeTravel()
+ * What crossing each corridor, stair link and lift link takes,
+ * keyed by edgeKey: metres on the level, metres on stairs and
+ * seconds in a lift.
+ * @returns {Object<string, { walk: number, stairs: number, lift: number }>}
  */
-function snapshotHazards() {
-  return Object.assign({}, haz[floor] || {});
+function edgeTravel() {
+  const travel = {};
+  Object.values(BLDG).forEach((fd) => {
+    const coords = computeCoords(fd);
+    fd.edges.forEach((e) => {
+      travel[edgeKey(e[0], e[1])] = { walk: edgeMetres(fd, e, coords), stairs: 0, lift: 0 };
+    });
+  });
+  STAIR_LINKS.forEach(([a, b, , attrs]) => {
+    travel[edgeKey(a, b)] = { walk: 0, stairs: (attrs && attrs.len) || STAIR_FLIGHT_M, lift: 0 };
+  });
+  ELEVATOR_LINKS.forEach(([a, b]) => {
+    travel[edgeKey(a, b)] = { walk: 0, stairs: 0, lift: LIFT_RIDE_S };
+  });
+  return travel;
 }
 
-/** Is a node hazardous given an explicit snapshot? */
-function nodeIsHazardous(id, hazSnap) {
-  return ROOM_HAZARD_TYPES.has(hazSnap[id] || '');
+/** Seconds to cover a travel record at walking speed v (m/s). */
+function travelSeconds(tr, v) {
+  return tr.walk / v + tr.stairs / (v * STAIR_PACE) + tr.lift;
 }
 
-// ── Graph construction ───────────────────────────────────────
 /**
- * buildAdjacency(fd, hazSnap)
- * Build the traversable adjacency list for a floor.
- * Any node that appears in hazSnap as a blocking hazard is
- * silently dropped — no edge to or from it is ever added.
- *
- * @param {object} fd       - Floor definition (from BLDG)
- * @param {object} hazSnap  - Frozen hazard state for this run
- * @returns {object}        - { nodeId: [{ to, w }, …], … }
+ * routeTravel(route, [travel])
+ * Distance walked along a route (level and stairs) and the time
+ * it takes at each of WALK_SPEEDS.
+ * @returns {{ metres: number, eta: Object<string, number> }} eta in seconds
  */
-function buildAdjacency(fd, hazSnap) {
-  const { rooms, exits } = computeCoords(fd);
-  const adj = {};
-
-  [...rooms, ...exits].forEach((n) => {
-    adj[n.id] = [];
+function routeTravel(route, travel = edgeTravel()) {
+  const total = { walk: 0, stairs: 0, lift: 0 };
+  route.path.forEach((id, i) => {
+    const tr = i ? travel[edgeKey(route.path[i - 1], id)] : null;
+    if (!tr) return;
+    total.walk += tr.walk;
+    total.stairs += tr.stairs;
+    total.lift += tr.lift;
   });
-
-  fd.edges.forEach(([a, b, w]) => {
-    // Drop the edge if either endpoint is hazardous
-    if (nodeIsHazardous(a, hazSnap) || nodeIsHazardous(b, hazSnap)) return;
-    adj[a].push({ to: b, w });
-    adj[b].push({ to: a, w });
+  const eta = {};
+  Object.entries(WALK_SPEEDS).forEach(([k, v]) => {
+    eta[k] = travelSeconds(total, v);
   });
+  return { metres: total.walk + total.stairs, eta };
+}
 
-  return adj;
+// ── Building lookups ─────────────────────────────────────────
+/**
+ * floorOf(id)
+ * Floor key that owns a room or exit id (or an edge key), or
+ * null if unknown.
+ */
+function floorOf(id) {
+  const ends = edgeEnds(id);
+  if (ends) return floorOf(ends[0]);
+  for (const [f, fd] of Object.entries(BLDG)) {
+    if (fd.rooms.some((r) => r.id === id) || fd.exits.some((e) => e.id === id)) return f;
+  }
+  return null;
 }
 
-// ── Dijkstra ─────────────────────────────────────────────────
 /**
- * dijkstra(fd, startId, hazSnap)
- * Standard single-source shortest-path using a linear-scan
- * priority queue (adequate for the small graphs used here).
- *
- * All hazard checks use the explicit hazSnap — no globals.
- *
- * @param {object} fd       - Floor definition
- * @param {string} startId  - Source node id
- * @param {object} hazSnap  - Frozen hazard state
- * @returns {{ dist: object, prev: object }}
+ * isKnownId(id)
+ * Is id a room or exit of the building, or the key of one of its
+ * floor edges? floorOf() places any key whose first end is known,
+ * so ids from outside (a URL, a sensor feed) are checked here.
  */
-function dijkstra(fd, startId, hazSnap) {
-  const { rooms, exits } = computeCoords(fd);
-  const allIds = [...rooms.map((r) => r.id), ...exits.map((e) => e.id)];
-
-  const dist = {};
-  const prev = {};
-  allIds.forEach((id) => {
-    dist[id] = Infinity;
-    prev[id] = null;
-  });
+function isKnownId(id) {
+  const f = typeof id === 'string' && floorOf(id);
+  if (!f) return false;
+  return !edgeEnds(id) || BLDG[f].edges.some(([a, b]) => edgeKey(a, b) === id);
+}
 
-  // If the user's own room is hazardous, no traversal is possible
-  if (nodeIsHazardous(startId, hazSnap)) {
-    return { dist, prev };
-  }
+/** Is id a room a person can stand in (not a stairwell or lift)? */
+function isStandable(id) {
+  return Object.values(BLDG).some((fd) => fd.rooms.some((r) => r.id === id && !r.isStair && !r.isElevator));
+}
 
-  const adj = buildAdjacency(fd, hazSnap);
-  dist[startId] = 0;
-
-  const pq = [{ id: startId, d: 0 }];
-
-  while (pq.length) {
-    // Linear-scan extract-min (fine for ≤ ~20 nodes per floor)
-    let minIdx = 0;
-    for (let i = 1; i < pq.length; i++) {
-      if (pq[i].d < pq[minIdx].d) minIdx = i;
-    }
-    const { id: u, d: du } = pq.splice(minIdx, 1)[0];
-
-    if (du > dist[u]) continue;                    // stale entry
-    if (nodeIsHazardous(u, hazSnap)) continue;     // safety guard
-
-    for (const { to, w } of (adj[u] || [])) {
-      if (nodeIsHazardous(to, hazSnap)) continue;  // never relax into hazard
-      const nd = du + w;
-      if (nd < dist[to]) {
-        dist[to] = nd;
-        prev[to] = u;
-        pq.push({ id: to, d: nd });
-      }
-    }
+/** Room or exit definition for an id anywhere in the building. */
+function findNode(id) {
+  for (const fd of Object.values(BLDG)) {
+    const n = fd.rooms.find((r) => r.id === id) || fd.exits.find((e) => e.id === id);
+    if (n) return n;
   }
+  return null;
+}
 
-  return { dist, prev };
+// ── State accessors (state owned by main.js) ─────────────────
+// Hazards live under the floor that owns the node; ids not yet in
+// BLDG fall back to the active floor.
+function getHaz(id) {
+  const f = floorOf(id) || floor;
+  return (haz[f] || {})[id] || '';
 }
 
-// ── Path reconstruction ──────────────────────────────────────
-function mkPath(prev, endId) {
-  const path = [];
-  let cur = endId;
-  while (cur !== null) {
-    path.unshift(cur);
-    cur = prev[cur];
+function setHaz(id, val) {
+  const f = floorOf(id) || floor;
+  if (!haz[f]) haz[f] = {};
+  if ((haz[f][id] || '') === (val || '')) return;
+  if (val) {
+    haz[f][id] = val;
+  } else {
+    delete haz[f][id];
   }
-  return path;
+  recordEvent('hazard', id, val);
+}
+
+// ── Hazard snapshot ──────────────────────────────────────────
+/**
+ * Capture hazards from every floor as one plain object.
+ * Taken once per search so the entire run operates on a
+ * consistent, frozen snapshot.
+ */
+function snapshotHazards() {
+  return Object.assign({}, ...Object.keys(BLDG).map((f) => haz[f] || {}));
+}
+
+// ── Engine calls ─────────────────────────────────────────────
+/**
+ * routeResult()
+ * Run the engine from the current position over the current
+ * hazards, for the selected profile: the primary route,
+ * ROUTE_COUNT - 1 backups, and the reason when there is no route.
+ * @returns {{ route: object|null, routes: object[], reason: string|null,
+ *             excluded: string[], blockedExits: string[] }}
+ */
+function routeResult() {
+  return LifeRouteEngine.findRoutes(BLDG, pos, snapshotHazards(), { ...engineOptions(), profile, k: ROUTE_COUNT });
 }
 
-// ── Public API ───────────────────────────────────────────────
 /**
  * findRoute()
- * Compute the safest, shortest evacuation route from the
- * currently selected position (global `pos`) to the nearest
- * open exit on the current floor.
- *
- * Returns null if:
- *   - No position is selected
- *   - No hazard-free path exists to any open exit
- *
- * @returns {{ exitId, d, path }|null}
+ * The primary route from the current position, or null if there
+ * is no position or no safe route (routeResult() says why).
+ * @returns {{ exitId, d, path, exposure, crossed, near, status, refuge }|null}
  */
 function findRoute() {
-  if (!pos) return null;
+  return pos ? LifeRouteEngine.findRoute(BLDG, pos, snapshotHazards(), { ...engineOptions(), profile }).route : null;
+}
 
-  // Snapshot hazards once — used for the entire search
+/**
+ * roomReach()
+ * Whether a safe route exists right now from every room in the
+ * building (stairs and lifts excluded), for the selected profile.
+ * @returns {Object<string, 'safe'|'degraded'|'refuge'|'hazard'|'stranded'>}
+ */
+function roomReach() {
   const hazSnap = snapshotHazards();
-
-  const fd = BLDG[floor];
-  const { exits } = computeCoords(fd);
-  const { dist, prev } = dijkstra(fd, pos, hazSnap);
-
-  // Find nearest open exit
-  let best = null;
-  exits.forEach((e) => {
-    if ((hazSnap[e.id] || '') === 'exit-blocked') return;
-    const d = dist[e.id];
-    if (isFinite(d) && (best === null || d < best.d)) {
-      best = { exitId: e.id, d, path: mkPath(prev, e.id) };
-    }
+  const opts = { ...engineOptions(), profile };
+  const reach = {};
+  Object.values(BLDG).forEach((fd) => {
+    fd.rooms.filter((r) => !r.isStair && !r.isElevator).forEach((r) => {
+      const { route, reason } = LifeRouteEngine.findRoute(BLDG, r.id, hazSnap, opts);
+      reach[r.id] = route ? (route.refuge ? 'refuge' : route.status === 'degraded' ? 'degraded' : 'safe')
+        : reason === REASONS.START_IMPASSABLE || reason === REASONS.START_EXPOSURE ? 'hazard'
+        : 'stranded';
+    });
   });
+  return reach;
+}
 
-  if (!best) return null;
-
-  // Layer 3 — verify every intermediate node is hazard-free
-  // (belt-and-suspenders; should never trigger with correct graph build)
-  for (let i = 1; i < best.path.length - 1; i++) {
-    if (nodeIsHazardous(best.path[i], hazSnap)) {
-      return null; // discard — never show a dangerous path
-    }
-  }
+/** Elevator room ids whose shaft is currently in service. */
+function liftsInService() {
+  return new Set(LifeRouteEngine.elevatorsInService(BLDG, snapshotHazards(), engineOptions())
+    .flatMap(([a, b]) => [a, b]));
+}
 
-  return best;
+/** Shortest-path tables from startId over a given hazard snapshot. */
+function dijkstra(startId, hazSnap, adj) {
+  return LifeRouteEngine.dijkstra(BLDG, startId, hazSnap, { ...engineOptions(), adj });
 }
@@ -0,0 +1,246 @@
+/**
+ * js/scenario.js
+ * =============================================================
+ * Scenario persistence — the global state (floor, pos, haz,
+ * profile) as a compact URL hash, plus a named-scenario library
+ * kept in localStorage.
+ *
+ * Hash format
+ * -----------
+ *   #f=F1&p=r301&m=no-stairs&h=kitchen.f,lobby1.s,exitB.x
+ *
+ *   f  active floor
+ *   p  selected position (omitted when none)
+ *   m  routing profile (omitted when ambulatory)
+ *   h  hazards as id.code pairs; ids are unique building-wide,
+ *      so the floor of each hazard is looked up on restore
+ *      (corridor hazards use their edge key, e.g. kitchen|main_hall.b)
+ *
+ * The hash is rewritten after every render (replaceState, so it
+ * does not flood the browser history) and read back on load and
+ * on hashchange. What the current building does not hold is
+ * dropped: a position that is none of its rooms (or is a
+ * stairwell or lift), hazard ids it does not know, edge keys
+ * that name none of its corridors, and hazards an id cannot
+ * carry. A hash that changes during a training drill (the back
+ * button, a pasted link) is held and applied when the drill
+ * ends, so it cannot overwrite the drill's scenario mid-run.
+ *
+ * Depends on: data.js, routing.js, render.js, sim.js; bulk.js, drill.js at run time
+ * State used: floor, pos, haz, profile
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of the scenario library
+const SCN_STORE = 'liferoute.scenarios';
+
+// Hash that arrived during a drill, applied when it ends
+let heldHash = null;
+
+// One-letter hazard codes used in the hash
+const HAZ_CODES = {
+  fire: 'f', smoke: 's', blocked: 'b', closed: 'c', 'exit-blocked': 'x', locked: 'l',
+};
+const HAZ_BY_CODE = Object.fromEntries(Object.entries(HAZ_CODES).map(([k, v]) => [v, k]));
+
+// ── Encode / decode ───────────────────────────────────────────
+/** Current state as a hash string (without the leading '#'). */
+function encodeState() {
+  const hz = Object.entries(snapshotHazards())
+    .filter(([, h]) => HAZ_CODES[h])
+    .map(([id, h]) => `${encodeURIComponent(id)}.${HAZ_CODES[h]}`)
+    .join(',');
+
+  const parts = [`f=${encodeURIComponent(floor)}`];
+  if (pos) parts.push(`p=${encodeURIComponent(pos)}`);
+  if (profile !== PROFILES.AMBULATORY) parts.push(`m=${profile}`);
+  if (hz) parts.push(`h=${hz}`);
+  return parts.join('&');
+}
+
+/**
+ * decodeState(str)
+ * Parse a hash string against the current building.
+ * @param {string} str - Hash, with or without the leading '#'
+ * @returns {{ floor: string, pos: string|null, profile: string, haz: object }|null}
+ *   null when the string holds no usable state
+ */
+function decodeState(str) {
+  const q = new URLSearchParams(String(str).replace(/^#/, ''));
+  if (!q.has('f') && !q.has('p') && !q.has('h')) return null;
+
+  const st = { floor, pos: null, profile: PROFILES.AMBULATORY, haz: {} };
+  if (BLDG[q.get('f')]) st.floor = q.get('f');
+  if (isStandable(q.get('p'))) st.pos = q.get('p');
+  if (Object.values(PROFILES).includes(q.get('m'))) st.profile = q.get('m');
+
+  (q.get('h') || '').split(',').filter(Boolean).forEach((pair) => {
+    const i = pair.lastIndexOf('.');
+    const id = pair.slice(0, i);
+    const h = HAZ_BY_CODE[pair.slice(i + 1)];
+    if (!h || !hazardFits(id, h)) return;
+    const f = floorOf(id);
+    (st.haz[f] = st.haz[f] || {})[id] = h;
+  });
+
+  return st;
+}
+
+/**
+ * applyState(st, kind)
+ * Make a decoded state the live state.
+ * @param {object} st     - decodeState() result
+ * @param {string} [kind] - Timeline entry to record ('undo' / 'redo' from undo.js)
+ */
+function applyState(st, kind = 'scenario') {
+  simReset();
+  haz = st.haz;
+  pos = st.pos;
+  profile = st.profile;
+  floor = st.floor;
+  recordEvent(kind);
+  setFloor(st.floor);
+}
+
+// ── URL hash ──────────────────────────────────────────────────
+/** Mirror the current state into the URL (called by render()). */
+function writeHash() {
+  // A drill's scenario is not the live state and must not be shared
+  if (drill.phase) return;
+  const h = `#${encodeState()}`;
+  if (location.hash === h) return;
+  try {
+    history.replaceState(null, '', h);
+  } catch {
+    // Some browsers refuse history updates on file:// pages; the
+    // address bar then simply is not kept current
+  }
+}
+
+/**
+ * readHash()
+ * Restore state from the URL hash, if it holds any.
+ * @returns {boolean} true if a state was restored (and rendered)
+ */
+function readHash() {
+  if (drill.phase) {
+    heldHash = location.hash;
+    return false;
+  }
+  const st = decodeState(location.hash);
+  if (st) applyState(st);
+  return !!st;
+}
+
+/** Apply a hash held back during a drill (called when it ends). */
+function flushHeldHash() {
+  if (heldHash === null) return;
+  const st = decodeState(heldHash);
+  heldHash = null;
+  if (st) applyState(st);
+}
+
+/** Copy a link to the current scenario to the clipboard. */
+function copyScenarioLink() {
+  writeHash();
+  navigator.clipboard.writeText(location.href).then(
+    () => flashScenarioNote('LINK COPIED'),
+    () => flashScenarioNote('COPY FAILED — USE THE ADDRESS BAR'),
+  );
+}
+
+// ── Scenario library ──────────────────────────────────────────
+/**
+ * listScenarios()
+ * @returns {{ name: string, building: string, saved: string, state: string }[]}
+ *   saved is an ISO timestamp, state an encodeState() string
+ */
+function listScenarios() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SCN_STORE) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeScenarios(list) {
+  try {
+    localStorage.setItem(SCN_STORE, JSON.stringify(list));
+  } catch {
+    flashScenarioNote('STORAGE UNAVAILABLE');
+  }
+  buildScenarioPanel();
+}
+
+/** Save the current state under name, replacing a same-named entry. */
+function saveScenario(name) {
+  const label = String(name || '').trim() || `Scenario ${listScenarios().length + 1}`;
+  const entry = {
+    name: label, building: BLDG_META.name, saved: new Date().toISOString(), state: encodeState(),
+  };
+  const list = listScenarios().filter((s) => s.name !== label);
+  list.unshift(entry);
+  storeScenarios(list);
+}
+
+function loadScenario(i) {
+  const s = listScenarios()[i];
+  const st = s && decodeState(s.state);
+  if (st) applyState(st);
+}
+
+function renameScenario(i, name) {
+  const list = listScenarios();
+  const label = String(name || '').trim();
+  if (!list[i] || !label) return;
+  list[i].name = label;
+  storeScenarios(list);
+}
+
+function deleteScenario(i) {
+  const list = listScenarios();
+  list.splice(i, 1);
+  storeScenarios(list);
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — scenario library
+// ─────────────────────────────────────────────────────────────
+let scnNoteTimer = null;
+
+/** Show a short confirmation next to the panel title. */
+function flashScenarioNote(msg) {
+  const el = document.getElementById('scnNote');
+  el.textContent = msg;
+  clearTimeout(scnNoteTimer);
+  scnNoteTimer = setTimeout(() => { el.textContent = ''; }, 2000);
+}
+
+function buildScenarioPanel() {
+  const el = document.getElementById('scnList');
+  const list = listScenarios();
+
+  if (!list.length) {
+    el.innerHTML = '<span class="none-label">// no saved scenarios</span>';
+    return;
+  }
+
+  el.innerHTML = list
+    .map((s, i) => {
+      const other = s.building !== BLDG_META.name;
+      const when = new Date(s.saved).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      return `<div class="scnrow${other ? ' other' : ''}" data-i="${i}">
+        <div class="scnname" title="${escHtml(s.building)}">${escHtml(s.name)}</div>
+        <div class="scnmeta">${when}${other ? ` · ${escHtml(s.building)}` : ''}</div>
+        <div class="scnbtns">
+          <button class="sbtn" data-act="load">LOAD</button>
+          <button class="sbtn" data-act="rename" title="Rename">✎</button>
+          <button class="sbtn" data-act="delete" title="Delete">✗</button>
+        </div>
+      </div>`;
+    })
+    .join('');
+}
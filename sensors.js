@@ -0,0 +1,385 @@
+/**
+ * js/sensors.js
+ * =============================================================
+ * Live sensor feed — subscribes to a WebSocket (ws:// wss://)
+ * or Server-Sent-Events (http:// https://) endpoint and turns
+ * detector events into hazards.
+ *
+ * Messages
+ * --------
+ * Each message is JSON, one event or an array of them:
+ *
+ *   { "sensor": "SD-GF-01", "event": "smoke-detected", "ts": "…" }
+ *
+ * The sensor id is looked up in the mapping file, which names
+ * the room, exit or corridor (edge key "a|b") it watches:
+ *
+ *   { "name": "…", "sensors": { "SD-GF-01": "kitchen", … },
+ *     "events": { "door-forced": { "exit": "exit-blocked" } } }
+ *
+ * `events` is optional and overrides SENSOR_EVENTS per event and
+ * target kind, with hazards that kind can carry. A sensor id
+ * missing from the mapping but equal to a room or exit id, or
+ * to the edge key of a corridor, is used as is.
+ *
+ * Events are applied through setHaz(), so they are recorded on
+ * the timeline and picked up by the spread simulation like any
+ * other change. A detector never downgrades a hazard (a smoke
+ * alarm in a burning room leaves it burning); only `cleared`
+ * removes one. The hazard each sensor reports is kept per
+ * target, so a `cleared` only lifts what no other sensor there
+ * still reports: a smoke detector clearing leaves the fire a
+ * heat alarm raised in the same room, and the heat alarm
+ * clearing lowers its fire to the strongest hazard still
+ * reported. Nor does a sensor lift a hazard other than the one
+ * it reported (a fire set on the map, say); a sensor with no
+ * report on record clears as before. Events that arrive while
+ * the timeline is being replayed, or during a training drill,
+ * are held until the app returns to live.
+ *
+ * The endpoint and mapping are kept in localStorage, and a feed
+ * left connected reconnects on the next visit. A dropped
+ * connection is retried with a growing delay.
+ *
+ * Depends on: data.js, routing.js, render.js, sim.js, timeline.js; drill.js at run time
+ * State used: haz (through getHaz / setHaz)
+ * =============================================================
+ */
+
+'use strict';
+
+// localStorage key of the endpoint and mapping
+const SENSOR_STORE = 'liferoute.sensors';
+
+// Hazard each event sets, by the kind of node the sensor watches.
+// null = the event means nothing there; '' clears the hazard.
+const SENSOR_EVENTS = {
+  'smoke-detected': { room: 'smoke',   exit: null,           edge: 'smoke' },
+  'heat-alarm':     { room: 'fire',    exit: 'exit-blocked', edge: 'blocked' },
+  'door-forced':    { room: 'blocked', exit: 'exit-blocked', edge: 'locked' },
+  cleared:          { room: '',        exit: '',             edge: '' },
+};
+
+// Hazards an event may set, by the kind of node (as hazardFits()
+// in bulk.js)
+const SENSOR_HAZARDS = {
+  room: ROOM_HAZARDS,
+  exit: ['exit-blocked'],
+  edge: CORRIDOR_HAZARDS,
+};
+
+// Severity — a detector may raise a hazard but never lower it
+const SENSOR_RANK = {
+  '': 0, smoke: 1, blocked: 2, closed: 2, locked: 2, 'exit-blocked': 2, fire: 3,
+};
+
+// Reconnect delay: doubles from the first value up to the second (ms)
+const SENSOR_RETRY = [2000, 30000];
+
+const SENSOR_STATUS = {
+  off:        'OFF',
+  connecting: 'CONNECTING',
+  live:       'LIVE',
+  retrying:   'RETRYING',
+};
+
+// ── Sensor state ──────────────────────────────────────────────
+const sensors = {
+  url:      '',
+  map:      { name: '', sensors: {}, events: SENSOR_EVENTS },
+  conn:     null,    // WebSocket or EventSource
+  status:   'off',   // key of SENSOR_STATUS
+  delay:    SENSOR_RETRY[0],
+  timer:    null,    // pending reconnect
+  held:     [],      // events received during replay or a drill
+  claims:   {},      // target id → { sensor id: hazard it reports }
+  received: 0,
+  ignored:  0,       // unmapped sensors, unknown events
+  last:     null,    // { sensor, event, target, t } of the last applied event
+};
+
+// ── Mapping ───────────────────────────────────────────────────
+/**
+ * parseSensorMap(def)
+ * Check a mapping-file object against the current building.
+ * @returns {{ map: object|null, errors: string[] }}
+ */
+function parseSensorMap(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object' || typeof def.sensors !== 'object' || !def.sensors) {
+    return { map: null, errors: ['mapping must be an object with a "sensors" object'] };
+  }
+
+  Object.entries(def.sensors).forEach(([sensor, id]) => {
+    if (!isKnownId(id)) errors.push(`sensor "${sensor}": unknown room, exit or corridor "${id}"`);
+  });
+
+  // Overrides may only set hazards the kind of node can carry;
+  // any other value means nothing there
+  const events = JSON.parse(JSON.stringify(SENSOR_EVENTS));
+  Object.entries(def.events || {}).forEach(([ev, rule]) => {
+    const next = { room: null, exit: null, edge: null, ...events[ev] };
+    Object.keys(SENSOR_HAZARDS).forEach((kind) => {
+      const h = rule && rule[kind];
+      if (h === undefined) return;
+      if (h === null || h === '' || SENSOR_HAZARDS[kind].includes(h)) {
+        next[kind] = h;
+      } else {
+        next[kind] = null;
+        errors.push(`event "${ev}": ${kind} hazard must be one of ${SENSOR_HAZARDS[kind].join(', ')}, not "${h}"`);
+      }
+    });
+    events[ev] = next;
+  });
+
+  return { map: { name: String(def.name || ''), sensors: { ...def.sensors }, events }, errors };
+}
+
+/** Room, exit or corridor edge key a sensor watches, or null. */
+function sensorTarget(sensor) {
+  const id = Object.prototype.hasOwnProperty.call(sensors.map.sensors, sensor) ? sensors.map.sensors[sensor] : sensor;
+  return isKnownId(id) ? id : null;
+}
+
+// ── Applying events ───────────────────────────────────────────
+/**
+ * applySensorEvent(msg)
+ * Turn one { sensor, event } message into a setHaz() call.
+ * @returns {boolean} true if the hazard map changed
+ */
+function applySensorEvent(msg) {
+  const id = msg && sensorTarget(msg.sensor);
+  const rule = msg && sensors.map.events[msg.event];
+  if (!id || !rule) {
+    sensors.ignored++;
+    return false;
+  }
+
+  const kind = edgeEnds(id) ? 'edge' : isExitId(id) ? 'exit' : 'room';
+  const h = rule[kind];
+  if (h === null || h === undefined) return false;
+
+  const claims = sensors.claims[id] || (sensors.claims[id] = {});
+  const own = claims[msg.sensor];
+  if (h) claims[msg.sensor] = h;
+  else delete claims[msg.sensor];
+
+  const cur = getHaz(id);
+  const rank = (v) => SENSOR_RANK[v] ?? 0;
+  let next = h;
+  if (!h) {
+    // Lift only what no other sensor here still reports
+    const rest = Object.values(claims);
+    if (rest.includes(cur) || (own !== undefined && own !== cur)) return false;
+    next = rest.reduce((a, b) => (rank(b) > rank(a) ? b : a), '');
+    if (rank(next) >= rank(cur)) return false;
+  } else if (rank(h) < rank(cur)) {
+    return false;
+  }
+  if (cur === next) return false;
+
+  setHaz(id, next);
+  sensors.last = { sensor: msg.sensor, event: msg.event, target: id, t: Date.now() };
+  return true;
+}
+
+/** Forget what each sensor reported (a new building was loaded). */
+function clearSensorClaims() {
+  sensors.claims = {};
+}
+
+/** Parse a raw message (one event or an array) and apply it. */
+function handleSensorMessage(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    sensors.ignored++;
+    buildSensorPanel();
+    return;
+  }
+  const list = Array.isArray(data) ? data : [data];
+  sensors.received += list.length;
+
+  if (timeline.view !== null || drill.phase) {
+    sensors.held.push(...list);
+    buildSensorPanel();
+    return;
+  }
+
+  if (list.map(applySensorEvent).some(Boolean)) render();
+  buildSensorPanel();
+}
+
+/** Apply events held back during replay or a drill (called on return to live). */
+function flushSensorEvents() {
+  if (!sensors.held.length) return;
+  const list = sensors.held;
+  sensors.held = [];
+  if (list.map(applySensorEvent).some(Boolean)) render();
+  buildSensorPanel();
+}
+
+// ── Connection ────────────────────────────────────────────────
+function setSensorStatus(status) {
+  sensors.status = status;
+  updateSensorStatus();
+  buildSensorPanel();
+}
+
+/**
+ * connectSensors(url)
+ * Subscribe to a WebSocket (ws:, wss:) or SSE (http:, https:)
+ * endpoint, replacing any current connection.
+ */
+function connectSensors(url) {
+  disconnectSensors();
+  sensors.url = String(url || '').trim();
+  openSensors();
+}
+
+/** Open sensors.url; also the reconnect step, so keeps the backoff. */
+function openSensors() {
+  sensors.timer = null;
+  if (!sensors.url) {
+    storeSensorConfig();
+    return;
+  }
+
+  const ws = /^wss?:/i.test(sensors.url);
+  let conn;
+  try {
+    conn = ws ? new WebSocket(sensors.url) : new EventSource(sensors.url);
+  } catch {
+    setSensorStatus('retrying');
+    retrySensors();
+    storeSensorConfig();
+    return;
+  }
+  sensors.conn = conn;
+  setSensorStatus('connecting');
+  storeSensorConfig();
+
+  conn.onopen = () => {
+    sensors.delay = SENSOR_RETRY[0];
+    setSensorStatus('live');
+  };
+  conn.onmessage = (ev) => handleSensorMessage(ev.data);
+  conn.onerror = () => {
+    // EventSource retries by itself while it stays CONNECTING
+    if (!ws && conn === sensors.conn && conn.readyState === EventSource.CONNECTING) {
+      setSensorStatus('retrying');
+      return;
+    }
+    dropSensors(conn);
+  };
+  conn.onclose = () => dropSensors(conn);
+}
+
+/** A connection failed or closed: schedule a new one. */
+function dropSensors(conn) {
+  if (conn !== sensors.conn) return;
+  conn.close();
+  sensors.conn = null;
+  setSensorStatus('retrying');
+  retrySensors();
+}
+
+function retrySensors() {
+  clearTimeout(sensors.timer);
+  sensors.timer = setTimeout(openSensors, sensors.delay);
+  sensors.delay = Math.min(sensors.delay * 2, SENSOR_RETRY[1]);
+}
+
+/** Close the feed and stop reconnecting. */
+function disconnectSensors() {
+  clearTimeout(sensors.timer);
+  sensors.timer = null;
+  const conn = sensors.conn;
+  sensors.conn = null;
+  if (conn) conn.close();
+  sensors.delay = SENSOR_RETRY[0];
+  setSensorStatus('off');
+  storeSensorConfig();
+}
+
+// ── Persistence ───────────────────────────────────────────────
+/** Save the endpoint, whether the feed is on, and the mapping. */
+function storeSensorConfig() {
+  const cfg = { url: sensors.url, on: sensors.status !== 'off', map: sensors.map };
+  try {
+    localStorage.setItem(SENSOR_STORE, JSON.stringify(cfg));
+  } catch {
+    // Storage full or disabled — the feed still works this session
+  }
+}
+
+/** Restore the saved mapping, and reconnect if the feed was on. */
+function restoreSensorConfig() {
+  let cfg = null;
+  try {
+    cfg = JSON.parse(localStorage.getItem(SENSOR_STORE) || 'null');
+  } catch {
+    cfg = null;
+  }
+  if (cfg && cfg.map) {
+    const { map } = parseSensorMap(cfg.map);
+    if (map) sensors.map = map;
+  }
+  sensors.url = (cfg && cfg.url) || '';
+  document.getElementById('snsUrl').value = sensors.url;
+  if (cfg && cfg.on && cfg.url) connectSensors(cfg.url);
+  else buildSensorPanel();
+}
+
+/** Read a mapping file picked by the user. */
+function loadSensorMapFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let def = null;
+    try {
+      def = JSON.parse(reader.result);
+    } catch {
+      def = null;
+    }
+    const { map, errors } = parseSensorMap(def);
+    if (map) {
+      sensors.map = map;
+      storeSensorConfig();
+    }
+    sensors.mapErrors = map ? errors : ['not a JSON mapping file'];
+    buildSensorPanel();
+  };
+  reader.readAsText(file);
+}
+
+// ─────────────────────────────────────────────────────────────
+// HEADER — feed status
+// ─────────────────────────────────────────────────────────────
+function updateSensorStatus() {
+  const el = document.getElementById('snsStat');
+  el.className = `snsstat s-${sensors.status}`;
+  el.querySelector('span').textContent = SENSOR_STATUS[sensors.status];
+}
+
+// ─────────────────────────────────────────────────────────────
+// LEFT PANEL — sensor feed
+// ─────────────────────────────────────────────────────────────
+function buildSensorPanel() {
+  const on = sensors.status !== 'off';
+  document.getElementById('snsConnect').textContent = on ? 'DISCONNECT' : 'CONNECT';
+
+  const n = Object.keys(sensors.map.sensors).length;
+  const last = sensors.last
+    ? escHtml(`${new Date(sensors.last.t).toLocaleTimeString()} · ${sensors.last.sensor} ${sensors.last.event} → ${nodeLabel(sensors.last.target)}`)
+    : 'none yet';
+  const errs = (sensors.mapErrors || []).slice(0, 3)
+    .map((e) => `<div class="snserr">✗ ${escHtml(e)}</div>`).join('');
+
+  document.getElementById('snsInfo').innerHTML = `
+    <div>MAP <span>${n ? `${escHtml(sensors.map.name || 'loaded')} · ${n} SENSORS` : 'none — ids used as given'}</span></div>
+    <div>EVENTS <span>${sensors.received}</span>${sensors.ignored ? ` · IGNORED <span>${sensors.ignored}</span>` : ''}${
+      sensors.held.length ? ` · HELD <span>${sensors.held.length}</span>` : ''}</div>
+    <div>LAST <span>${last}</span></div>
+    ${errs}`;
+}
@@ -0,0 +1,281 @@
+/**
+ * js/sim.js
+ * =============================================================
+ * Fire and smoke spread simulation — a time-stepped model that
+ * grows the current hazards along corridor edges.
+ *
+ * Spread model
+ * ------------
+ * Every room that is on fire or in smoke is a source, stamped
+ * with the simulated time it became one (`since`). Smoke moves
+ * one edge every `smokeHop` seconds, fire every `fireHop`
+ * seconds; a burning room also produces smoke. Predicted
+ * arrival times for every room come from a multi-source
+ * Dijkstra over the building graph (floor edges + STAIR_LINKS),
+ * so smoke climbs stairwells too. Exits never catch hazards.
+ *
+ * Each tick advances the clock by `tick` seconds and applies
+ * every arrival that has come due through setHaz(). Severity
+ * order is fire > blocked / closed > smoke, so smoke never
+ * overwrites a blocked or closed room, but fire does.
+ *
+ * Hazards set by hand while the simulation runs become new
+ * sources from the current clock.
+ *
+ * Route forecast
+ * --------------
+ * The person leaves now and walks each edge in its travel time
+ * at the normal walking speed (travelSeconds() in routing.js),
+ * so their arrival matches the route card's ETA. Comparing
+ * their arrival at each path node with the predicted hazard
+ * arrival tells whether the route stays safe for as long as it
+ * takes to walk it.
+ *
+ * Depends on: data.js, routing.js, render.js
+ * State used: haz (through getHaz / setHaz)
+ * =============================================================
+ */
+
+'use strict';
+
+// ── Configuration ─────────────────────────────────────────────
+// All values are seconds; editable from the simulation panel.
+const SIM_DEFAULTS = {
+  tick:     30,   // simulated time per step
+  smokeHop: 60,   // time for smoke to cross one edge
+  fireHop:  180,  // time for fire to cross one edge
+};
+
+// Real-time interval between ticks while playing (ms)
+const SIM_PLAY_MS = 1000;
+
+// ── Simulation state ──────────────────────────────────────────
+const sim = {
+  cfg:     { ...SIM_DEFAULTS },
+  t:       0,      // simulated seconds since start
+  timer:   null,   // setInterval handle while playing
+  started: false,  // true once the first tick has run
+  since:   {},     // since[id] = { smoke?: t, fire?: t }
+  seed:    null,   // hazard state captured at start, for reset
+};
+
+// ── Helpers ───────────────────────────────────────────────────
+function isExitId(id) {
+  return Object.values(BLDG).some((fd) => fd.exits.some((e) => e.id === id));
+}
+
+/** Format simulated seconds as "T+mm:ss". */
+function fmtClock(s) {
+  const m = Math.floor(s / 60);
+  const r = Math.round(s % 60);
+  return `T+${String(m).padStart(2, '0')}:${String(r).padStart(2, '0')}`;
+}
+
+/**
+ * syncSources()
+ * Bring `since` in line with the live hazard map: new fire or
+ * smoke (set by hand or by the last tick) is stamped with the
+ * current clock; stamps for cleared hazards are dropped.
+ */
+function syncSources() {
+  buildingNodeIds(BLDG).forEach((id) => {
+    const h = getHaz(id);
+    const s = sim.since[id] || {};
+    const next = {};
+    if (h === 'fire') {
+      next.fire  = s.fire  ?? sim.t;
+      next.smoke = s.smoke ?? next.fire;
+    } else if (h === 'smoke') {
+      next.smoke = s.smoke ?? sim.t;
+    }
+    if (Object.keys(next).length) sim.since[id] = next;
+    else delete sim.since[id];
+  });
+}
+
+// ── Spread model ──────────────────────────────────────────────
+/**
+ * spreadArrivals(kind, hop)
+ * Predicted arrival time of `kind` ('smoke' | 'fire') at every
+ * room, by multi-source Dijkstra from the stamped sources.
+ * @param {string} kind - Hazard kind to propagate
+ * @param {number} hop  - Seconds per edge
+ * @returns {object}    - { nodeId: seconds }, Infinity if never
+ */
+function spreadArrivals(kind, hop) {
+  const at = {};
+  buildingNodeIds(BLDG).forEach((id) => { at[id] = Infinity; });
+
+  const adj = {};
+  buildingEdges(BLDG, STAIR_LINKS).forEach(([a, b]) => {
+    if (isExitId(a) || isExitId(b)) return;
+    (adj[a] = adj[a] || []).push(b);
+    (adj[b] = adj[b] || []).push(a);
+  });
+
+  const pq = [];
+  Object.entries(sim.since).forEach(([id, s]) => {
+    if (s[kind] === undefined) return;
+    at[id] = s[kind];
+    pq.push({ id, d: s[kind] });
+  });
+
+  while (pq.length) {
+    let minIdx = 0;
+    for (let i = 1; i < pq.length; i++) {
+      if (pq[i].d < pq[minIdx].d) minIdx = i;
+    }
+    const { id: u, d: du } = pq.splice(minIdx, 1)[0];
+    if (du > at[u]) continue;
+
+    for (const v of (adj[u] || [])) {
+      const nd = du + hop;
+      if (nd < at[v]) {
+        at[v] = nd;
+        pq.push({ id: v, d: nd });
+      }
+    }
+  }
+
+  return at;
+}
+
+/** Smoke and fire arrival tables for the current sources. */
+function forecastHazards() {
+  syncSources();
+  const smoke = spreadArrivals('smoke', sim.cfg.smokeHop);
+  const fire  = spreadArrivals('fire',  sim.cfg.fireHop);
+  // A burning room is smoky no later than it burns
+  Object.keys(fire).forEach((id) => {
+    smoke[id] = Math.min(smoke[id], fire[id]);
+  });
+  return { smoke, fire };
+}
+
+// ── Clock control ─────────────────────────────────────────────
+/**
+ * simStep()
+ * Advance the clock by one tick and apply every hazard that
+ * has arrived by then.
+ */
+function simStep() {
+  if (!sim.started) {
+    sim.seed = JSON.parse(JSON.stringify(haz));
+    sim.started = true;
+  }
+
+  const { smoke, fire } = forecastHazards();
+  sim.t += sim.cfg.tick;
+
+  // New sources are stamped with their predicted arrival, not the
+  // tick boundary, so spread does not slow down with a long tick
+  Object.keys(smoke).forEach((id) => {
+    if (isExitId(id)) return;
+    const h = getHaz(id);
+    if (fire[id] <= sim.t) {
+      if (h !== 'fire') {
+        setHaz(id, 'fire');
+        sim.since[id] = { smoke: smoke[id], fire: fire[id] };
+      }
+    } else if (smoke[id] <= sim.t && !h) {
+      setHaz(id, 'smoke');
+      sim.since[id] = { smoke: smoke[id] };
+    }
+  });
+
+  render();
+}
+
+function simPlay() {
+  if (sim.timer) return;
+  sim.timer = setInterval(simStep, SIM_PLAY_MS);
+  render();
+}
+
+function simPause() {
+  clearInterval(sim.timer);
+  sim.timer = null;
+  render();
+}
+
+/** Stop, rewind the clock and restore the hazards present at start. */
+function simReset() {
+  clearInterval(sim.timer);
+  sim.timer = null;
+  if (sim.seed) {
+    haz = sim.seed;
+    recordEvent('reset');
+  }
+  sim.t = 0;
+  sim.started = false;
+  sim.since = {};
+  sim.seed = null;
+  render();
+}
+
+// ── Route forecast ────────────────────────────────────────────
+/**
+ * forecastRoute(route)
+ * Compare when the person reaches each path node with when
+ * smoke and fire are predicted to get there.
+ * @returns {{ nodes: object[], safe: boolean, margin: number }|null}
+ *   nodes[i] — { id, personAt, smokeAt, fireAt, status }
+ *              status: 'ok' | 'smoke' | 'fire'
+ *   safe     — no node is on fire by the time the person arrives
+ *   margin   — smallest (fireAt − personAt) along the path
+ */
+function forecastRoute(route) {
+  if (!route) return null;
+  const { smoke, fire } = forecastHazards();
+
+  const travel = edgeTravel();
+  let personAt = sim.t;
+  const nodes = route.path.map((id, i) => {
+    if (i) personAt += travelSeconds(travel[edgeKey(route.path[i - 1], id)], WALK_SPEEDS.normal);
+    const smokeAt  = isExitId(id) ? Infinity : smoke[id];
+    const fireAt   = isExitId(id) ? Infinity : fire[id];
+    const status   = fireAt <= personAt ? 'fire' : smokeAt <= personAt ? 'smoke' : 'ok';
+    return { id, personAt, smokeAt, fireAt, status };
+  });
+
+  return {
+    nodes,
+    safe: nodes.every((n) => n.status !== 'fire'),
+    margin: Math.min(...nodes.map((n) => n.fireAt - n.personAt)),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// RIGHT PANEL — simulation controls + route forecast
+// ─────────────────────────────────────────────────────────────
+function buildSimPanel(route) {
+  document.getElementById('simClock').textContent = fmtClock(sim.t);
+  document.getElementById('simPlay').textContent = sim.timer ? '❚❚ PAUSE' : '▶ PLAY';
+  document.getElementById('simPlay').classList.toggle('on', !!sim.timer);
+
+  const el = document.getElementById('simForecast');
+  const fc = forecastRoute(route);
+
+  if (!fc) {
+    el.innerHTML = '<span class="none-label">// no route to forecast</span>';
+    return;
+  }
+
+  const fmtAt = (s) => (isFinite(s) ? fmtClock(s) : '—');
+  const late = fc.nodes.filter((n) => n.status !== 'ok');
+
+  const head = fc.safe
+    ? `<div class="sfc-ok">✓ ROUTE STAYS SAFE${isFinite(fc.margin)
+      ? ` — ${Math.round(fc.margin)}s AHEAD OF FIRE` : ''}</div>`
+    : '<div class="sfc-bad">⚠ FIRE REACHES THE ROUTE BEFORE YOU DO</div>';
+
+  const rows = late
+    .map((n) => `<div class="sfc-row sfc-${n.status}">
+        ${n.status === 'fire' ? '🔥' : '💨'} ${escHtml(nodeLabel(n.id))}
+        <span>${n.status.toUpperCase()} ${fmtAt(n.status === 'fire' ? n.fireAt : n.smokeAt)}
+        · YOU ${fmtAt(n.personAt)}</span>
+      </div>`)
+    .join('');
+
+  el.innerHTML = head + rows;
+}
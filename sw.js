@@ -0,0 +1,96 @@
+/**
+ * sw.js
+ * =============================================================
+ * Service worker — keeps a copy of everything the page needs,
+ * so LifeRoute starts and routes with no network at all.
+ *
+ * It lives next to index.html, not in js/, because a worker only
+ * controls pages at or below its own path.
+ *
+ * Install precaches PRECACHE into a cache named CACHE_VERSION.
+ * Requests for those files are answered from the cache first
+ * (a navigation to the app, with any query, gets index.html);
+ * anything else — the sensor feed, other origins — goes to the
+ * network untouched.
+ *
+ * Releasing
+ * ---------
+ * Bump CACHE_VERSION whenever a precached file changes, and add
+ * new files to PRECACHE. The browser then installs the new
+ * worker next to the old one; it waits until the page asks it
+ * to take over ('skip-waiting', sent by applyUpdate() in
+ * js/offline.js), and on activation removes the old caches.
+ * =============================================================
+ */
+
+'use strict';
+
+const CACHE_PREFIX  = 'liferoute-';
+const CACHE_VERSION = `${CACHE_PREFIX}v4`;
+
+// Everything the page loads, relative to this file
+const PRECACHE = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icon.svg',
+  'css/style.css',
+  'fonts/rajdhani-400.woff2',
+  'fonts/rajdhani-600.woff2',
+  'fonts/rajdhani-700.woff2',
+  'fonts/share-tech-mono-400.woff2',
+  'js/data.js',
+  'js/engine.js',
+  'js/routing.js',
+  'js/i18n.js',
+  'js/render.js',
+  'js/directions.js',
+  'js/sim.js',
+  'js/planner.js',
+  'js/building.js',
+  'js/editor.js',
+  'js/scenario.js',
+  'js/timeline.js',
+  'js/sensors.js',
+  'js/overview.js',
+  'js/resilience.js',
+  'js/qr.js',
+  'js/placard.js',
+  'js/a11y.js',
+  'js/offline.js',
+  'js/undo.js',
+  'js/bulk.js',
+  'js/drill.js',
+  'js/main.js',
+];
+
+// Paths of PRECACHE, for telling our requests from the rest
+const PRECACHED = new Set(PRECACHE.map((p) => new URL(p, self.location.href).pathname));
+
+self.addEventListener('install', (ev) => {
+  // Bypass the HTTP cache, so a new version never stores old files
+  ev.waitUntil(caches.open(CACHE_VERSION)
+    .then((cache) => cache.addAll(PRECACHE.map((p) => new Request(p, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (ev) => {
+  ev.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys
+      .filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_VERSION)
+      .map((k) => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (ev) => {
+  const req = ev.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin || !PRECACHED.has(url.pathname)) return;
+
+  ev.respondWith(caches.match(req, { ignoreSearch: req.mode === 'navigate' })
+    .then((hit) => hit || fetch(req)));
+});
+
+self.addEventListener('message', (ev) => {
+  if (ev.data === 'skip-waiting') self.skipWaiting();
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+/** building.js with the scripts it needs, loaded the way the page does. */
+function load() {
+  const src = ['data.js', 'routing.js', 'render.js', 'building.js'].map(read).join('\n');
+  return vm.runInNewContext(`${src}\n;({ validateBuilding, escHtml, BLDG, STAIR_LINKS, ELEVATOR_LINKS })`,
+    { LifeRouteEngine: engine });
+}
+
+const { validateBuilding, escHtml, BLDG, STAIR_LINKS, ELEVATOR_LINKS } = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+/** One floor, one room, one exit. */
+function small() {
+  return {
+    name: 'Small',
+    floors: {
+      GF: {
+        label: 'Ground',
+        level: 0,
+        rooms: [{ id: 'hall', label: 'Hall', col: 0, row: 0 }],
+        exits: [{ id: 'door', label: 'Door', side: 'left', row: 0 }],
+        edges: [['hall', 'door', 1]],
+      },
+    },
+  };
+}
+
+describe('validateBuilding', () => {
+  it('passes the demo building', () => {
+    const def = plain({ name: 'Demo', floors: BLDG, stairLinks: STAIR_LINKS, elevatorLinks: ELEVATOR_LINKS });
+    assert.deepEqual(plain(validateBuilding(def).errors), []);
+    assert.deepEqual(plain(validateBuilding(small())), { errors: [], warnings: [] });
+  });
+
+  it('reports malformed shapes instead of throwing', () => {
+    const shapes = {
+      'a null floor':             { floors: { GF: null } },
+      'rooms that are no array':  { floors: { GF: { ...small().floors.GF, rooms: 'x' } } },
+      'a null room':              { floors: { GF: { ...small().floors.GF, rooms: [null] } } },
+      'a null exit':              { floors: { GF: { ...small().floors.GF, exits: [null] } } },
+      'edges that are no array':  { floors: { GF: { ...small().floors.GF, edges: 'x' } } },
+      'a null edge':              { floors: { GF: { ...small().floors.GF, edges: [null] } } },
+      'a null room beside a stair link': {
+        floors: {
+          GF: { level: 0, rooms: [null, { id: 's0', col: 0, row: 0 }], exits: [{ id: 'x', side: 'left' }], edges: [['s0', 'x', 1]] },
+          F1: { level: 1, rooms: [{ id: 's1', col: 0, row: 0, isStair: true }], exits: [], edges: [] },
+        },
+        stairLinks: [['s0', 's1', 1]],
+      },
+    };
+    Object.entries(shapes).forEach(([what, def]) => {
+      let report;
+      assert.doesNotThrow(() => { report = validateBuilding(def); }, what);
+      assert.ok(report.errors.length, `${what} gave no error`);
+    });
+  });
+
+  it('rejects ids that clash with corridor keys or the URL hash', () => {
+    ['a|b', 'a,b'].forEach((id) => {
+      const def = small();
+      def.floors.GF.rooms[0].id = id;
+      def.floors.GF.edges = [];
+      const { errors } = validateBuilding(def);
+      assert.ok(errors.some((e) => e.at === 'floors.GF.rooms[0].id'), id);
+    });
+  });
+
+  it('rejects floor keys that are not plain identifiers', () => {
+    ['G F', '<b>', 'F"1', '1F', ''].forEach((key) => {
+      const def = { floors: { [key]: small().floors.GF } };
+      const { errors } = validateBuilding(def);
+      assert.ok(errors.some((e) => e.at === `floors.${key}`), JSON.stringify(key));
+    });
+    assert.deepEqual(plain(validateBuilding({ floors: { 'F-2_b': small().floors.GF } }).errors), []);
+  });
+});
+
+describe('escHtml', () => {
+  it('escapes markup and both quotes', () => {
+    assert.equal(escHtml(`<img src=x onerror="a('b')">&`), '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt;&amp;');
+    assert.equal(escHtml(3), '3');
+  });
+});
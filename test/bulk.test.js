@@ -0,0 +1,41 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/** bulk.js, loaded the way the page does (roomsInBox needs no other script). */
+function load() {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'bulk.js'), 'utf8');
+  return vm.runInNewContext(`${src}\n;({ roomsInBox })`);
+}
+
+const { roomsInBox } = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+// Two rows of two 100×80 rooms with a 20px corridor between them
+const ROOMS = [
+  { id: 'a', x: 0,   y: 0,   w: 100, h: 80 },
+  { id: 'b', x: 120, y: 0,   w: 100, h: 80 },
+  { id: 'c', x: 0,   y: 100, w: 100, h: 80 },
+  { id: 'd', x: 120, y: 100, w: 100, h: 80 },
+];
+
+describe('roomsInBox', () => {
+  it('picks every room the box touches, not only those inside it', () => {
+    assert.deepEqual(plain(roomsInBox(ROOMS, { x: 90, y: 10, w: 40, h: 20 })), ['a', 'b']);
+    assert.deepEqual(plain(roomsInBox(ROOMS, { x: 50, y: 50, w: 100, h: 100 })), ['a', 'b', 'c', 'd']);
+  });
+
+  it('treats a click as a zero-size box on the room under it', () => {
+    assert.deepEqual(plain(roomsInBox(ROOMS, { x: 150, y: 140, w: 0, h: 0 })), ['d']);
+  });
+
+  it('picks nothing in a corridor', () => {
+    assert.deepEqual(plain(roomsInBox(ROOMS, { x: 102, y: 0, w: 16, h: 180 })), []);
+  });
+});
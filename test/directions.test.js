@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/** directions.js, loaded the way the page does (its pure part needs no other script). */
+function load() {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'directions.js'), 'utf8');
+  return vm.runInNewContext(`${src}\n;({ turnOf, pathLegs, approxMetres, DIR_JOG_M })`);
+}
+
+const { turnOf, pathLegs, approxMetres, DIR_JOG_M } = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+// Map directions — y grows downwards
+const E = { x: 1, y: 0 };
+const S = { x: 0, y: 1 };
+const W = { x: -1, y: 0 };
+const N = { x: 0, y: -1 };
+
+describe('turnOf', () => {
+  it('turns right when heading east then south on screen', () => {
+    assert.equal(turnOf(E, S), 'right');
+    assert.equal(turnOf(E, N), 'left');
+    assert.equal(turnOf(N, E), 'right');
+    assert.equal(turnOf(S, E), 'left');
+  });
+
+  it('tells straight, bear and turn-around apart', () => {
+    assert.equal(turnOf(E, { x: 10, y: 1 }), 'straight');
+    assert.equal(turnOf(E, { x: 1, y: 1 }), 'bearRight');
+    assert.equal(turnOf(E, { x: 1, y: -1 }), 'bearLeft');
+    assert.equal(turnOf(E, W), 'back');
+  });
+});
+
+describe('pathLegs', () => {
+  it('splits an L into two legs with the turn and the metres', () => {
+    const legs = pathLegs([
+      { x: 0, y: 0, node: 'a' },
+      { x: 200, y: 0, node: 'b' },
+      { x: 200, y: 100, node: 'c' },
+    ], 0.05);
+    assert.equal(legs.length, 2);
+    assert.deepEqual(plain(legs.map((l) => l.turn)), [null, 'right']);
+    assert.deepEqual(plain(legs.map((l) => l.metres)), [10, 5]);
+    assert.deepEqual(plain(legs.map((l) => [l.from, l.to])), [['a', 'b'], ['b', 'c']]);
+  });
+
+  it('merges collinear segments and lists the rooms passed', () => {
+    const legs = pathLegs([
+      { x: 0, y: 0, node: 'a' },
+      { x: 100, y: 0, node: 'b' },
+      { x: 250, y: 0, node: 'c' },
+    ], 0.1);
+    assert.equal(legs.length, 1);
+    assert.equal(legs[0].metres, 25);
+    assert.deepEqual(plain(legs[0].nodes), ['b', 'c']);
+    assert.equal(legs[0].to, 'c');
+  });
+
+  it('walks straight through a short jog', () => {
+    const jog = (DIR_JOG_M / 2) / 0.05;
+    const legs = pathLegs([
+      { x: 0, y: 0, node: 'a' },
+      { x: 100, y: 0 },
+      { x: 100, y: jog },
+      { x: 200, y: jog, node: 'b' },
+    ], 0.05);
+    assert.equal(legs.length, 1);
+    assert.equal(legs[0].turn, null);
+    assert.equal(legs[0].to, 'b');
+  });
+
+  it('ends a leg at a corridor corner with no destination', () => {
+    const legs = pathLegs([
+      { x: 0, y: 0, node: 'a' },
+      { x: 0, y: 100 },
+      { x: 300, y: 100, node: 'b' },
+    ], 0.05);
+    assert.equal(legs[0].to, null);
+    assert.equal(legs[1].from, null);
+    assert.deepEqual(plain(legs[1].corner), { x: 0, y: 100 });
+    assert.equal(legs[1].turn, 'left');
+  });
+});
+
+describe('approxMetres', () => {
+  it('keeps short distances to the metre and rounds longer ones to 5 m', () => {
+    assert.equal(approxMetres(0.2), 1);
+    assert.equal(approxMetres(7.4), 7);
+    assert.equal(approxMetres(12.4), 10);
+    assert.equal(approxMetres(13), 15);
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+/**
+ * data.js, timeline.js (for csvCell) and drill.js in one context, with
+ * the engine as the page has it and an in-memory localStorage.
+ */
+function load() {
+  const store = {};
+  const localStorage = {
+    getItem: (k) => (k in store ? store[k] : null),
+    setItem: (k, v) => { store[k] = String(v); },
+  };
+  const ctx = vm.runInNewContext(`${read('data.js')}\n${read('timeline.js')}\n${read('drill.js')}
+    ;({ BLDG, STAIR_LINKS, ELEVATOR_LINKS, drillScenario, drillLinked, scoreDrill, drillSummary, drillsCsv,
+        DRILL_STORE, DRILL_MIN_HOPS, DRILL_SCORING, DRILL_PASS })`, { LifeRouteEngine: engine, localStorage });
+  return { ...ctx, localStorage };
+}
+
+const {
+  BLDG, STAIR_LINKS, ELEVATOR_LINKS, drillScenario, drillLinked, scoreDrill, drillSummary, drillsCsv,
+  DRILL_STORE, DRILL_MIN_HOPS, DRILL_SCORING, DRILL_PASS, localStorage,
+} = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+const opts = { stairLinks: STAIR_LINKS, elevatorLinks: ELEVATOR_LINKS };
+
+/** Small deterministic generator, so failures can be replayed. */
+function seeded(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648;
+  };
+}
+
+const bestPath = (start, hazards) => engine.findRoute(BLDG, start, hazards, opts).route.path;
+
+describe('drillScenario', () => {
+  it('always leaves the trainee a safe way out that takes a few steps', () => {
+    for (let seed = 1; seed <= 25; seed++) {
+      const sc = drillScenario(BLDG, opts, seeded(seed));
+      assert.ok(sc, `seed ${seed} found no scenario`);
+      const start = Object.values(BLDG).flatMap((fd) => fd.rooms).find((r) => r.id === sc.start);
+      assert.ok(!start.isStair && !start.isElevator, `seed ${seed} starts in ${sc.start}`);
+      assert.equal(sc.hazards[sc.start], undefined);
+      assert.ok(Object.values(sc.hazards).includes('fire'));
+      const { route } = engine.findRoute(BLDG, sc.start, plain(sc.hazards), opts);
+      assert.ok(route && route.path.length > DRILL_MIN_HOPS, `seed ${seed}`);
+    }
+  });
+
+  it('gives up on a building with nowhere to stand', () => {
+    const bldg = { GF: { rooms: [{ id: 's', isStair: true }], exits: [{ id: 'x' }], edges: [['s', 'x', 1]] } };
+    assert.equal(drillScenario(bldg, {}, seeded(1)), null);
+  });
+});
+
+describe('drillLinked', () => {
+  it('allows corridors and stairs but not lifts between floors', () => {
+    assert.equal(drillLinked(BLDG, 'lobby1', 'office1', opts), true);
+    assert.equal(drillLinked(BLDG, 'stairGF', 'stairF1', opts), true);
+    assert.equal(drillLinked(BLDG, 'liftGF', 'liftF1', opts), false);
+    assert.equal(drillLinked(BLDG, 'r101', 'r102', opts), false);
+  });
+});
+
+describe('scoreDrill', () => {
+  const hazards = { lobby1: 'fire' };
+  const best = bestPath('office1', hazards);
+
+  it('gives full marks for the optimal route in time', () => {
+    const r = scoreDrill(BLDG, { start: 'office1', hazards, path: best, seconds: 10, outcome: 'exit' }, opts);
+    assert.equal(r.score, 100);
+    assert.equal(r.passed, true);
+    assert.equal(r.exitId, best[best.length - 1]);
+    assert.deepEqual(plain(r.best), best);
+    assert.equal(r.extraHops, 0);
+  });
+
+  it('fails a walk through fire, whatever the score', () => {
+    const walk = ['office1', 'lobby1', 'stairF1', 'stairGF', 'exitA'];
+    const r = scoreDrill(BLDG, { start: 'office1', hazards, path: walk, seconds: 10, outcome: 'exit' }, opts);
+    assert.deepEqual(plain(r.violations), [{ id: 'lobby1', type: 'fire' }]);
+    assert.equal(r.score, 100 - DRILL_SCORING.violation);
+    assert.ok(r.score >= DRILL_PASS);
+    assert.equal(r.passed, false);
+  });
+
+  it('counts blocked corridors and exits as violations', () => {
+    const walk = ['office1', 'lobby1'];
+    const r = scoreDrill(BLDG, {
+      start: 'office1', hazards: { 'lobby1|office1': 'locked', lobby1: 'exit-blocked' }, path: walk, seconds: 5, outcome: 'exit',
+    }, opts);
+    assert.deepEqual(plain(r.violations).map((v) => v.type).sort(), ['exit-blocked', 'locked']);
+  });
+
+  it('takes points off for wandering and for time over par', () => {
+    const walk = [best[0], best[1], best[0], ...best.slice(1)];
+    const r0 = scoreDrill(BLDG, { start: 'office1', hazards, path: walk, seconds: 0, outcome: 'exit' }, opts);
+    assert.equal(r0.extraHops, 2);
+    const r = scoreDrill(BLDG, { start: 'office1', hazards, path: walk, seconds: r0.par + 20, outcome: 'exit' }, opts);
+    assert.equal(r.score, 100 - 2 * DRILL_SCORING.extraHop - 20 * DRILL_SCORING.lateSecond);
+  });
+
+  it('only charges for smoke the optimal route could avoid', () => {
+    const smoky = { lobby1: 'smoke' };
+    const route = bestPath('r101', smoky);
+    assert.ok(route.includes('lobby1'));
+    const r = scoreDrill(BLDG, { start: 'r101', hazards: smoky, path: route, seconds: 5, outcome: 'exit' }, opts);
+    assert.equal(r.smoke, 1);
+    assert.equal(r.extraSmoke, 0);
+    assert.equal(r.score, 100);
+  });
+
+  it('scores zero without reaching an exit', () => {
+    for (const outcome of ['timeout', 'abandoned']) {
+      const r = scoreDrill(BLDG, { start: 'office1', hazards, path: best.slice(0, 2), seconds: 120, outcome }, opts);
+      assert.equal(r.score, 0);
+      assert.equal(r.passed, false);
+      assert.equal(r.exitId, null);
+    }
+  });
+});
+
+describe('drillSummary', () => {
+  it('sums up a session', () => {
+    const s = drillSummary([
+      { score: 100, passed: true, seconds: 20 },
+      { score: 40, passed: false, seconds: 41 },
+    ]);
+    assert.deepEqual(plain(s), { attempts: 2, passed: 1, avgScore: 70, bestScore: 100, avgSeconds: 31 });
+    assert.deepEqual(plain(drillSummary([])), { attempts: 0, passed: 0, avgScore: null, bestScore: null, avgSeconds: null });
+  });
+});
+
+describe('drillsCsv', () => {
+  it('keeps a spreadsheet from running building names and ids as formulas', () => {
+    const attempt = {
+      at: '2026-01-01T12:00:00.000Z', building: '=HYPERLINK("http://x")', start: '@r101', outcome: 'exit',
+      exitId: 'exitA', score: 90, passed: true, seconds: 30, par: 22, hops: 4, bestHops: 4,
+      violations: [], extraSmoke: 0, misses: 0, path: ['-r101', 'exitA'], best: ['-r101', 'exitA'],
+    };
+    localStorage.setItem(DRILL_STORE, JSON.stringify([attempt]));
+    const row = drillsCsv().split('\n')[1];
+    assert.ok(row.includes(`"'=HYPERLINK(""http://x"")"`), row);
+    assert.ok(row.includes(",'@r101,"), row);
+    assert.ok(row.includes(",'-r101>exitA,"), row);
+    assert.ok(row.includes(',90,yes,30,'), row);
+  });
+});
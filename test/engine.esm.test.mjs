@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import engine, { findRoute, REASONS } from '../engine.mjs';
+
+describe('ES module entry', () => {
+  it('exposes the same API as the CommonJS build', () => {
+    assert.equal(typeof findRoute, 'function');
+    assert.equal(findRoute, engine.findRoute);
+  });
+
+  it('finds a route', () => {
+    const bldg = {
+      GF: {
+        rooms: [{ id: 'a' }, { id: 'b' }],
+        exits: [{ id: 'out' }],
+        edges: [['a', 'b', 1], ['b', 'out', 1]],
+      },
+    };
+    assert.deepEqual(findRoute(bldg, 'a').route.path, ['a', 'b', 'out']);
+    assert.equal(findRoute(bldg, 'a', { b: 'fire' }).reason, REASONS.NO_SAFE_PATH);
+  });
+});
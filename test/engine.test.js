@@ -0,0 +1,559 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const { REASONS } = engine;
+
+// ── Fixtures ──────────────────────────────────────────────────
+// Two floors joined by a stairwell. Geometry is irrelevant to the
+// engine, so rooms carry ids only.
+//
+//   GF:  office ─ hall ─ front(exit)         F1:  room1 ─ landing ─ stair1
+//          │       │  ╲                                               │
+//        store   kitchen stairG ──────────── stair link ──────────────┘
+//          │(3)    │
+//          └───── side(exit)
+function building() {
+  return {
+    GF: {
+      rooms: ['hall', 'office', 'kitchen', 'store', 'stairG'].map((id) => ({ id })),
+      exits: [{ id: 'front' }, { id: 'side' }],
+      edges: [
+        ['office', 'hall', 1],
+        ['hall', 'front', 1],
+        ['hall', 'kitchen', 1],
+        ['kitchen', 'side', 1],
+        ['office', 'store', 1],
+        ['store', 'side', 3],
+        ['hall', 'stairG', 1],
+      ],
+    },
+    F1: {
+      rooms: ['room1', 'landing', 'stair1'].map((id) => ({ id })),
+      exits: [],
+      edges: [
+        ['room1', 'landing', 1],
+        ['landing', 'stair1', 1],
+      ],
+    },
+  };
+}
+
+const OPTS = { stairLinks: [['stairG', 'stair1', 1]] };
+
+/** The demo building from data.js, loaded the way the page does. */
+function demoBuilding() {
+  const code = fs.readFileSync(path.join(__dirname, '..', 'data.js'), 'utf8');
+  return vm.runInNewContext(`${code}\n;({ BLDG, STAIR_LINKS, ELEVATOR_LINKS, HAZARD_PRESETS, edgeMetres })`);
+}
+
+// ── Layer 1 ───────────────────────────────────────────────────
+describe('layer 1 — graph build', () => {
+  for (const type of ['fire', 'blocked', 'closed']) {
+    it(`drops every edge to and from a ${type} node`, () => {
+      const adj = engine.buildAdjacency(building(), { hall: type }, OPTS);
+      assert.deepEqual(adj.hall, []);
+      for (const [id, list] of Object.entries(adj)) {
+        assert.ok(!list.some((e) => e.to === 'hall'), `${id} still links to hall`);
+      }
+    });
+  }
+
+  it('keeps smoke nodes, with penalty and exposure on edges into them', () => {
+    const adj = engine.buildAdjacency(building(), { kitchen: 'smoke' }, OPTS);
+    const { penalty, exposure } = engine.TRAVERSABLE_HAZARDS.smoke;
+    assert.deepEqual(adj.hall.find((e) => e.to === 'kitchen'), { to: 'kitchen', w: 1 + penalty, x: exposure });
+    assert.deepEqual(adj.kitchen.find((e) => e.to === 'hall'), { to: 'hall', w: 1 + engine.HAZARD_MARGIN.smoke, x: 0 });
+  });
+
+  it('adds the safety margin to edges into rooms next to a hazard', () => {
+    const adj = engine.buildAdjacency(building(), { stairG: 'fire' }, OPTS);
+    assert.equal(adj.office.find((e) => e.to === 'hall').w, 1 + engine.HAZARD_MARGIN.fire);
+    assert.equal(adj.office.find((e) => e.to === 'store').w, 1);
+    assert.deepEqual(engine.hazardNeighbours(building(), { stairG: 'fire' }, OPTS), { hall: ['stairG'], stair1: ['stairG'] });
+  });
+
+  it('joins floors through the stair links', () => {
+    const adj = engine.buildAdjacency(building(), {}, OPTS);
+    assert.ok(adj.stair1.some((e) => e.to === 'stairG'));
+    assert.ok(!engine.buildAdjacency(building(), {}).stair1.some((e) => e.to === 'stairG'));
+  });
+});
+
+// ── Layer 2 ───────────────────────────────────────────────────
+describe('layer 2 — relaxation guard', () => {
+  it('never relaxes into a hazardous node, even through a stale adjacency list', () => {
+    const bldg = building();
+    const adj = engine.buildAdjacency(bldg, {}, OPTS);   // built before the fire
+    const hazards = { hall: 'fire' };
+    const { dist } = engine.dijkstra(bldg, 'office', hazards, { ...OPTS, adj });
+
+    assert.equal(dist.hall, Infinity);
+    assert.equal(dist.front, Infinity);
+    assert.equal(dist.stairG, Infinity);
+    assert.equal(dist.side, 4);   // office → store → side
+  });
+
+  it('never expands a start node that is impassable', () => {
+    const { dist } = engine.dijkstra(building(), 'hall', { hall: 'fire' }, OPTS);
+    assert.ok(Object.values(dist).every((d) => d === Infinity));
+  });
+
+  it('stops expanding states once the exposure budget is spent', () => {
+    const hazards = { hall: 'smoke', landing: 'smoke', stairG: 'smoke' };
+    const { dist } = engine.dijkstra(building(), 'room1', hazards, OPTS);
+    assert.ok(isFinite(dist.stairG));      // landing + stairG = 2
+    assert.equal(dist.hall, Infinity);     // hall would make 3
+  });
+});
+
+// ── Layer 3 ───────────────────────────────────────────────────
+describe('layer 3 — path verify', () => {
+  const bldg = building();
+
+  it('accepts a hazard-free path', () => {
+    assert.equal(engine.verifyPath(bldg, ['office', 'hall', 'front'], {}), null);
+  });
+
+  it('rejects a path through an impassable node', () => {
+    assert.equal(engine.verifyPath(bldg, ['office', 'hall', 'front'], { hall: 'closed' }), 'hall');
+  });
+
+  it('rejects a path that passes through an exit', () => {
+    assert.equal(engine.verifyPath(bldg, ['hall', 'front', 'kitchen', 'side'], {}), 'front');
+  });
+
+  it('rejects a path over the exposure budget', () => {
+    const hazards = { office: 'smoke', store: 'smoke', hall: 'smoke' };
+    assert.equal(engine.verifyPath(bldg, ['hall', 'office', 'store', 'side'], hazards), 'store');
+    assert.equal(engine.verifyPath(bldg, ['hall', 'office', 'store', 'side'], hazards, { maxExposure: 3 }), null);
+  });
+});
+
+// ── findRoute ─────────────────────────────────────────────────
+describe('findRoute', () => {
+  it('returns the shortest clear route', () => {
+    const { route, reason } = engine.findRoute(building(), 'office', {}, OPTS);
+    assert.equal(reason, null);
+    assert.deepEqual(route.path, ['office', 'hall', 'front']);
+    assert.equal(route.exitId, 'front');
+    assert.equal(route.d, 2);
+    assert.equal(route.status, 'clear');
+    assert.deepEqual(route.crossed, []);
+  });
+
+  it('routes an upper floor down the stairwell', () => {
+    const { route } = engine.findRoute(building(), 'room1', {}, OPTS);
+    assert.deepEqual(route.path, ['room1', 'landing', 'stair1', 'stairG', 'hall', 'front']);
+  });
+
+  it('diverts around fire and reports what was excluded', () => {
+    const res = engine.findRoute(building(), 'office', { hall: 'fire' }, OPTS);
+    assert.deepEqual(res.route.path, ['office', 'store', 'side']);
+    assert.deepEqual(res.excluded, ['hall']);
+  });
+
+  it('skips blocked exits', () => {
+    const res = engine.findRoute(building(), 'office', { front: 'exit-blocked' }, OPTS);
+    assert.equal(res.route.exitId, 'side');
+    assert.deepEqual(res.blockedExits, ['front']);
+  });
+
+  it('never uses an exit as a corridor', () => {
+    // yard's only way on is through the (blocked) front door
+    const bldg = building();
+    bldg.GF.rooms.push({ id: 'yard' });
+    bldg.GF.edges.push(['yard', 'front', 1]);
+    const res = engine.findRoute(bldg, 'yard', { front: 'exit-blocked' }, OPTS);
+    assert.equal(res.route, null);
+    assert.equal(res.reason, REASONS.NO_SAFE_PATH);
+  });
+
+  it('crosses light smoke as a degraded route', () => {
+    const { route } = engine.findRoute(building(), 'room1', { landing: 'smoke' }, OPTS);
+    assert.equal(route.status, 'degraded');
+    assert.deepEqual(route.crossed, ['landing']);
+    assert.equal(route.exposure, 1);
+  });
+
+  it('prefers a longer clear route over a short smoky one', () => {
+    const { route } = engine.findRoute(building(), 'office', { hall: 'smoke' }, OPTS);
+    assert.deepEqual(route.path, ['office', 'store', 'side']);
+    assert.equal(route.status, 'clear');
+  });
+
+  it('fails when the start itself is impassable', () => {
+    const res = engine.findRoute(building(), 'hall', { hall: 'fire' }, OPTS);
+    assert.equal(res.route, null);
+    assert.equal(res.reason, REASONS.START_IMPASSABLE);
+  });
+
+  it('fails for a missing or unknown start', () => {
+    assert.equal(engine.findRoute(building(), null, {}, OPTS).reason, REASONS.NO_START);
+    assert.equal(engine.findRoute(building(), 'nowhere', {}, OPTS).reason, REASONS.NO_START);
+  });
+
+  it('fails when every exit is blocked', () => {
+    const res = engine.findRoute(building(), 'office', { front: 'exit-blocked', side: 'exit-blocked' }, OPTS);
+    assert.equal(res.reason, REASONS.NO_OPEN_EXITS);
+  });
+
+  it('fails when fire cuts off every exit', () => {
+    const res = engine.findRoute(building(), 'room1', { stairG: 'fire' }, OPTS);
+    assert.equal(res.reason, REASONS.NO_SAFE_PATH);
+  });
+
+  it('tells an exhausted smoke budget apart from a cut-off', () => {
+    const hazards = { landing: 'smoke', stair1: 'smoke', stairG: 'smoke' };
+    const res = engine.findRoute(building(), 'room1', hazards, OPTS);
+    assert.equal(res.reason, REASONS.EXPOSURE_LIMIT);
+    assert.ok(engine.findRoute(building(), 'room1', hazards, { ...OPTS, maxExposure: 3 }).route);
+  });
+
+  it('honours custom impassable types', () => {
+    const res = engine.findRoute(building(), 'office', { hall: 'smoke' }, { ...OPTS, impassable: ['smoke'] });
+    assert.deepEqual(res.excluded, ['hall']);
+  });
+
+  it('does not modify its inputs', () => {
+    const bldg = building();
+    const hazards = { hall: 'smoke', front: 'exit-blocked' };
+    const before = JSON.stringify({ bldg, hazards, OPTS });
+    engine.findRoute(bldg, 'room1', hazards, OPTS);
+    assert.equal(JSON.stringify({ bldg, hazards, OPTS }), before);
+  });
+
+  it('merges per-floor hazard maps', () => {
+    assert.deepEqual(
+      engine.flattenHazards({ GF: { hall: 'fire' }, F1: { landing: 'smoke' } }),
+      { hall: 'fire', landing: 'smoke' },
+    );
+  });
+});
+
+// ── findRoutes ────────────────────────────────────────────────
+describe('findRoutes', () => {
+  it('adds a node-disjoint alternate when one exists', () => {
+    const { routes } = engine.findRoutes(building(), 'office', {}, OPTS);
+    assert.deepEqual(routes.map((r) => r.path), [
+      ['office', 'hall', 'front'],
+      ['office', 'store', 'side'],
+    ]);
+    assert.deepEqual(routes[1].shared, []);
+    assert.equal(routes[1].d, 4);
+  });
+
+  it('falls back to the least overlap when every way shares a node', () => {
+    const { routes } = engine.findRoutes(building(), 'room1', {}, OPTS);
+    assert.equal(routes.length, 2);
+    assert.deepEqual(routes[1].path, ['room1', 'landing', 'stair1', 'stairG', 'hall', 'kitchen', 'side']);
+    assert.deepEqual(routes[1].shared, ['landing', 'stair1', 'stairG', 'hall']);
+  });
+
+  it('never repeats a path and respects k', () => {
+    const bldg = building();
+    bldg.GF.edges.push(['office', 'front', 2]);
+    const all = engine.findRoutes(bldg, 'office', {}, { ...OPTS, k: 5 }).routes;
+    assert.equal(new Set(all.map((r) => r.path.join('>'))).size, all.length);
+    assert.equal(engine.findRoutes(bldg, 'office', {}, { ...OPTS, k: 1 }).routes.length, 1);
+  });
+
+  it('keeps every alternate out of impassable hazards', () => {
+    const { routes } = engine.findRoutes(building(), 'office', { kitchen: 'fire' }, OPTS);
+    for (const r of routes) assert.ok(!r.path.includes('kitchen'));
+  });
+
+  it('takes options that are already resolved', () => {
+    const resolved = {
+      resolved:      true,
+      stairLinks:    OPTS.stairLinks,
+      elevatorLinks: [],
+      profile:       engine.PROFILES.AMBULATORY,
+      impassable:    engine.ROOM_HAZARD_TYPES,
+      traversable:   engine.TRAVERSABLE_HAZARDS,
+      maxExposure:   engine.MAX_EXPOSURE,
+      margin:        engine.HAZARD_MARGIN,
+      avoid:         new Set(),
+      nodePenalty:   {},
+      weights:       {},
+    };
+    const { routes } = engine.findRoutes(building(), 'office', {}, resolved);
+    assert.deepEqual(routes.map((r) => r.path), engine.findRoutes(building(), 'office', {}, OPTS).routes.map((r) => r.path));
+    assert.equal(resolved.avoid.size, 0);
+  });
+
+  it('returns no routes when there is no primary', () => {
+    const res = engine.findRoutes(building(), 'hall', { hall: 'fire' }, OPTS);
+    assert.deepEqual(res.routes, []);
+    assert.equal(res.reason, REASONS.START_IMPASSABLE);
+  });
+
+  it('routes around avoided nodes without calling them hazards', () => {
+    const res = engine.findRoute(building(), 'office', {}, { ...OPTS, avoid: ['hall'] });
+    assert.deepEqual(res.route.path, ['office', 'store', 'side']);
+    assert.deepEqual(res.excluded, []);
+  });
+
+  it('keeps its distance from fire when a detour costs less than the margin', () => {
+    const { route } = engine.findRoute(building(), 'office', { stairG: 'fire' }, OPTS);
+    assert.deepEqual(route.path, ['office', 'store', 'side']);
+    assert.deepEqual(route.near, []);
+
+    const off = engine.findRoute(building(), 'office', { stairG: 'fire' }, { ...OPTS, margin: {} }).route;
+    assert.deepEqual(off.path, ['office', 'hall', 'front']);
+  });
+
+  it('lists the hazards a route passes next to', () => {
+    const { route } = engine.findRoute(building(), 'office', { kitchen: 'smoke' }, OPTS);
+    assert.deepEqual(route.path, ['office', 'hall', 'front']);
+    assert.equal(route.status, 'clear');
+    assert.deepEqual(route.near, [{ id: 'kitchen', at: 'hall' }]);
+  });
+
+  it('weighs edges by the weights option when one is given', () => {
+    const weights = { [engine.edgeKey('hall', 'front')]: 10 };
+    const { route } = engine.findRoute(building(), 'office', {}, { ...OPTS, weights });
+    assert.deepEqual(route.path, ['office', 'hall', 'kitchen', 'side']);
+    assert.equal(route.d, 3);
+  });
+});
+
+// ── Corridor hazards ──────────────────────────────────────────
+describe('corridor hazards', () => {
+  const door = engine.edgeKey('hall', 'front');
+
+  it('keys an edge the same way from either end', () => {
+    assert.equal(engine.edgeKey('hall', 'front'), engine.edgeKey('front', 'hall'));
+    assert.deepEqual(engine.edgeEnds(door), ['front', 'hall']);
+    assert.equal(engine.edgeEnds('hall'), null);
+  });
+
+  for (const type of engine.EDGE_HAZARD_TYPES) {
+    it(`drops a ${type} edge but keeps both rooms`, () => {
+      const adj = engine.buildAdjacency(building(), { [door]: type }, OPTS);
+      assert.ok(!adj.hall.some((e) => e.to === 'front'));
+      assert.ok(!adj.front.some((e) => e.to === 'hall'));
+      assert.ok(adj.hall.length > 0);
+
+      const res = engine.findRoute(building(), 'office', { [door]: type }, OPTS);
+      assert.deepEqual(res.route.path, ['office', 'hall', 'kitchen', 'side']);
+      assert.deepEqual(res.excluded, []);
+      assert.deepEqual(res.blockedEdges, [door]);
+    });
+  }
+
+  it('never relaxes along a blocked edge, even through a stale adjacency list', () => {
+    const adj = engine.buildAdjacency(building(), {}, OPTS);
+    const { dist } = engine.dijkstra(building(), 'office', { [door]: 'locked' }, { ...OPTS, adj });
+    assert.equal(dist.front, Infinity);
+  });
+
+  it('rejects a path along a blocked edge', () => {
+    assert.equal(engine.verifyPath(building(), ['office', 'hall', 'front'], { [door]: 'blocked' }), 'front');
+  });
+
+  it('costs a smoky corridor like a smoky room, in both directions', () => {
+    const { penalty, exposure } = engine.TRAVERSABLE_HAZARDS.smoke;
+    const adj = engine.buildAdjacency(building(), { [door]: 'smoke' }, OPTS);
+    assert.deepEqual(adj.hall.find((e) => e.to === 'front'), { to: 'front', w: 1 + penalty, x: exposure });
+    assert.deepEqual(adj.front.find((e) => e.to === 'hall'), { to: 'hall', w: 1 + penalty, x: exposure });
+
+    const { route } = engine.findRoute(building(), 'hall', { [door]: 'smoke', kitchen: 'smoke' }, OPTS);
+    assert.deepEqual(route.path, ['hall', 'front']);
+    assert.equal(route.status, 'degraded');
+    assert.deepEqual(route.crossed, [door]);
+    assert.equal(route.exposure, exposure);
+  });
+});
+
+// ── Profiles ──────────────────────────────────────────────────
+// A lift serves all three floors; the back door has steps and the
+// F1 stair landing is a refuge area.
+//
+//   F2:  room2 ─ lift2
+//                  │
+//   F1:  stair1 ─ room1 ─ lift1
+//          │(refuge)       │
+//   GF:  stairG ─ hall ─ liftG ─ back(exit, steps)
+//                  │
+//                front(exit)
+function liftBuilding() {
+  return {
+    GF: {
+      rooms: [{ id: 'hall' }, { id: 'stairG', isStair: true }, { id: 'liftG', isElevator: true }],
+      exits: [{ id: 'front' }, { id: 'back', accessible: false }],
+      edges: [['hall', 'front', 1], ['hall', 'stairG', 1], ['hall', 'liftG', 1], ['liftG', 'back', 1]],
+    },
+    F1: {
+      rooms: [{ id: 'room1' }, { id: 'stair1', isStair: true, isRefuge: true }, { id: 'lift1', isElevator: true }],
+      exits: [],
+      edges: [['room1', 'stair1', 1], ['room1', 'lift1', 1]],
+    },
+    F2: {
+      rooms: [{ id: 'room2' }, { id: 'lift2', isElevator: true }],
+      exits: [],
+      edges: [['room2', 'lift2', 1]],
+    },
+  };
+}
+
+const LIFT_OPTS = {
+  stairLinks: [['stairG', 'stair1', 1]],
+  elevatorLinks: [['liftG', 'lift1', 1], ['lift1', 'lift2', 1]],
+};
+const NO_STAIRS = { ...LIFT_OPTS, profile: engine.PROFILES.NO_STAIRS };
+
+describe('profiles', () => {
+  it('keeps ambulatory routes on the stairs', () => {
+    const { route } = engine.findRoute(liftBuilding(), 'room1', {}, LIFT_OPTS);
+    assert.deepEqual(route.path, ['room1', 'stair1', 'stairG', 'hall', 'front']);
+  });
+
+  it('takes the elevator to an accessible exit, passing a nearer refuge', () => {
+    const { route } = engine.findRoute(liftBuilding(), 'room1', {}, NO_STAIRS);
+    assert.deepEqual(route.path, ['room1', 'lift1', 'liftG', 'hall', 'front']);
+    assert.equal(route.refuge, false);
+  });
+
+  it('recalls the whole shaft when any served floor has a fire', () => {
+    const hazards = { room2: 'fire' };
+    assert.deepEqual(engine.elevatorsInService(liftBuilding(), hazards, NO_STAIRS), []);
+    assert.equal(engine.elevatorsInService(liftBuilding(), { room2: 'smoke' }, NO_STAIRS).length, 2);
+
+    const { route } = engine.findRoute(liftBuilding(), 'room1', hazards, NO_STAIRS);
+    assert.deepEqual(route.path, ['room1', 'stair1']);
+    assert.equal(route.exitId, 'stair1');
+    assert.equal(route.refuge, true);
+  });
+
+  it('never uses a refuge that has a hazard', () => {
+    const res = engine.findRoute(liftBuilding(), 'room1', { room2: 'fire', stair1: 'smoke' }, NO_STAIRS);
+    assert.equal(res.route, null);
+    assert.equal(res.reason, REASONS.NO_SAFE_PATH);
+  });
+
+  it('reports when only exits with steps are open', () => {
+    const res = engine.findRoute(liftBuilding(), 'hall', { front: 'exit-blocked', stair1: 'closed' }, NO_STAIRS);
+    assert.equal(res.reason, REASONS.NO_STEP_FREE);
+  });
+
+  it('rejects a stair link on a no-stairs path', () => {
+    const path = ['room1', 'stair1', 'stairG', 'hall', 'front'];
+    assert.equal(engine.verifyPath(liftBuilding(), path, {}, LIFT_OPTS), null);
+    assert.equal(engine.verifyPath(liftBuilding(), path, {}, NO_STAIRS), 'stairG');
+  });
+});
+
+// ── Resilience ────────────────────────────────────────────────
+describe('resilience', () => {
+  const ids = (res) => res.elements.map((e) => e.id);
+
+  it('flags every room and corridor that alone cuts rooms off', () => {
+    const res = engine.resilience(building(), {}, OPTS);
+    const hall = res.elements.find((e) => e.id === 'hall');
+    assert.equal(hall.kind, 'room');
+    assert.equal(hall.floor, 'GF');
+    assert.deepEqual([...hall.stranded].sort(), ['landing', 'room1', 'stair1', 'stairG']);
+    assert.ok(ids(res).includes('hall|stairG'));
+    assert.deepEqual(res.elements.find((e) => e.id === 'landing').stranded, ['room1']);
+    // Two ways out of GF: no single exit or GF corridor strands a GF room
+    assert.ok(!ids(res).some((id) => ['front', 'side', 'office', 'hall|front'].includes(id)));
+  });
+
+  it('scores each floor by the rooms that survive any single failure', () => {
+    const { floors } = engine.resilience(building(), {}, OPTS);
+    assert.deepEqual(floors.GF, { rooms: 5, resilient: 4, score: 80, critical: ['hall', 'hall|stairG'] });
+    assert.equal(floors.F1.score, 0);
+    assert.ok(floors.F1.critical.includes('landing'));
+  });
+
+  it('flags the last open exit', () => {
+    const res = engine.resilience(building(), { side: 'exit-blocked' }, OPTS);
+    const front = res.elements.find((e) => e.id === 'front');
+    assert.equal(front.kind, 'exit');
+    assert.equal(front.stranded.length, 8);
+    assert.equal(res.elements[0], front);
+  });
+
+  it('skips what has already failed and lists rooms with no route', () => {
+    const res = engine.resilience(building(), { stairG: 'fire' }, OPTS);
+    assert.deepEqual(res.unroutable, ['stairG', 'room1', 'landing', 'stair1']);
+    assert.ok(!ids(res).includes('stairG'));
+    assert.equal(res.floors.F1.score, null);
+    assert.equal(res.floors.GF.score, 100);
+  });
+});
+
+// ── Demo building ─────────────────────────────────────────────
+describe('demo building', () => {
+  const { BLDG, STAIR_LINKS, ELEVATOR_LINKS, HAZARD_PRESETS, edgeMetres } = demoBuilding();
+  const opts = { stairLinks: STAIR_LINKS };
+
+  it('routes F3 to a real ground-floor exit', () => {
+    const { route } = engine.findRoute(BLDG, 'r301', {}, opts);
+    assert.equal(route.exitId, 'exitA');
+    assert.ok(route.path.includes('stairGF'));
+  });
+
+  it('does not send people down into a burning stairwell', () => {
+    const res = engine.findRoute(BLDG, 'r301', { stairF1: 'fire' }, opts);
+    assert.equal(res.route, null);
+    assert.equal(res.reason, REASONS.NO_SAFE_PATH);
+  });
+
+  it('gives every room a route when nothing is wrong', () => {
+    for (const fd of Object.values(BLDG)) {
+      for (const r of fd.rooms) {
+        assert.ok(engine.findRoute(BLDG, r.id, {}, opts).route, `${r.id} has no route`);
+      }
+    }
+  });
+
+  it('measures corridors from the layout unless they give a length', () => {
+    const edge = BLDG.GF.edges.find(([a, b]) => a === 'entrance' && b === 'reception');
+    assert.equal(edgeMetres(BLDG.GF, edge), 12.5);
+    assert.equal(edgeMetres(BLDG.GF, ['entrance', 'reception', 1, { len: 3 }]), 3);
+    assert.equal(edgeMetres(BLDG.GF, ['entrance', 'nowhere', 1]), 0);
+  });
+
+  it('finds the single points of failure', () => {
+    const { elements, floors } = engine.resilience(BLDG, {}, opts);
+    assert.ok(floors.F1.critical.includes('lobby1'));
+    assert.equal(elements.find((e) => e.id === 'stairGF').stranded.length, 18);
+    assert.equal(floors.GF.score, 100);
+    assert.equal(floors.B.score, 100);
+  });
+
+  it('takes F3 wheelchair users down in the lift, or to the stair refuge during a fire', () => {
+    const noStairs = { ...opts, elevatorLinks: ELEVATOR_LINKS, profile: 'no-stairs' };
+    const { route } = engine.findRoute(BLDG, 'r301', {}, noStairs);
+    assert.equal(route.exitId, 'exitA');
+    assert.ok(route.path.includes('liftGF') && !route.path.includes('stairGF'));
+
+    const fire = engine.findRoute(BLDG, 'r301', { kitchen2: 'fire' }, noStairs);
+    assert.equal(fire.route.exitId, 'stairF3');
+    assert.equal(fire.route.refuge, true);
+  });
+
+  it('only presets hazards its rooms, exits and corridors can carry', () => {
+    const floors = Object.values(BLDG);
+    const rooms = new Set(floors.flatMap((fd) => fd.rooms.map((r) => r.id)));
+    const exits = new Set(floors.flatMap((fd) => fd.exits.map((e) => e.id)));
+    const edges = new Set(floors.flatMap((fd) => fd.edges.map(([a, b]) => engine.edgeKey(a, b))));
+    assert.ok(HAZARD_PRESETS.length > 0);
+    for (const p of HAZARD_PRESETS) {
+      for (const [id, type] of Object.entries(p.hazards)) {
+        const ok = rooms.has(id) ? ['fire', 'smoke', 'blocked', 'closed'].includes(type)
+          : exits.has(id) ? type === 'exit-blocked'
+            : edges.has(id) && ['blocked', 'smoke', 'locked'].includes(type);
+        assert.ok(ok, `${p.name}: ${id} → ${type}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/** i18n.js and data.js, loaded the way the page does. */
+function load() {
+  const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+  return vm.runInNewContext(`${read('data.js')}\n${read('i18n.js')}\n;({ LOCALES, i18n, t, localLabel, localNote, BLDG })`);
+}
+
+const placeholders = (str) => (str.match(/\{\w+\}/g) || []).sort();
+
+describe('locale bundles', () => {
+  const { LOCALES } = load();
+  const en = LOCALES.en.strings;
+
+  for (const [code, locale] of Object.entries(LOCALES)) {
+    it(`${code} has a name, a direction and every English key`, () => {
+      assert.ok(locale.name);
+      assert.ok(['ltr', 'rtl'].includes(locale.dir));
+      assert.deepEqual(Object.keys(locale.strings).filter((k) => !(k in en)), []);
+      assert.deepEqual(Object.keys(en).filter((k) => !(k in locale.strings)), []);
+    });
+
+    it(`${code} keeps the placeholders of each English string`, () => {
+      Object.entries(locale.strings).forEach(([k, v]) => {
+        assert.deepEqual(placeholders(v), placeholders(en[k]), k);
+      });
+    });
+  }
+});
+
+describe('t', () => {
+  it('fills placeholders and leaves unknown ones', () => {
+    const { t } = load();
+    assert.equal(t('dir.leave', { room: 'Kitchen' }), 'leave Kitchen');
+    assert.equal(t('dir.leave'), 'leave {room}');
+  });
+
+  it('falls back to English, then to the key', () => {
+    const { LOCALES, i18n, t } = load();
+    i18n.lang = 'es';
+    delete LOCALES.es.strings['dir.leave'];
+    assert.equal(t('dir.leave', { room: 'Cocina' }), 'leave Cocina');
+    assert.equal(t('no.such.key'), 'no.such.key');
+  });
+});
+
+describe('building translations', () => {
+  it('uses the label for the current language when there is one', () => {
+    const { i18n, localLabel, localNote, BLDG } = load();
+    const kitchen = BLDG.GF.rooms.find((r) => r.id === 'kitchen');
+    assert.equal(localLabel(kitchen), 'Kitchen');
+    i18n.lang = 'es';
+    assert.equal(localLabel(kitchen), 'Cocina');
+    assert.equal(localNote(BLDG.GF), 'Planta baja — 2 salidas al exterior');
+    assert.equal(localLabel({ label: 'Attic' }), 'Attic');
+    assert.equal(localNote({ label: 'Attic' }), '');
+  });
+});
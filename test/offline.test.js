@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+const ORIGIN = 'https://liferoute.example';
+
+/** sw.js in a stub worker scope; returns PRECACHE, CACHE_VERSION and the listeners. */
+function load() {
+  const listeners = {};
+  const self = {
+    location: new URL(`${ORIGIN}/app/sw.js`),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+  };
+  const caches = { match: () => Promise.resolve(null) };
+  const fetch = () => Promise.resolve(null);
+  const ctx = vm.runInNewContext(`${read('sw.js')}\n;({ PRECACHE, CACHE_VERSION, CACHE_PREFIX })`, { self, URL, caches, fetch });
+  return { ...ctx, listeners };
+}
+
+/** A fetch event for `url`; `responded` tells whether the worker answered it. */
+function fetchEvent(url, init = {}) {
+  const ev = {
+    request: { url, method: 'GET', mode: 'cors', ...init },
+    responded: false,
+    respondWith() { this.responded = true; },
+  };
+  return ev;
+}
+
+describe('service worker precache', () => {
+  const { PRECACHE } = load();
+  const html = read('index.html');
+
+  it('holds every script and stylesheet index.html loads', () => {
+    const refs = [...html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g)].map((m) => m[1]);
+    assert.ok(refs.includes('js/main.js'));
+    refs.forEach((r) => assert.ok(PRECACHE.includes(r), `${r} is not precached`));
+  });
+
+  it('holds the fonts style.css loads and the manifest icons', () => {
+    const fonts = [...read('style.css').matchAll(/url\('\.\.\/([^']+)'\)/g)].map((m) => m[1]);
+    assert.equal(fonts.length, 4);
+    const icons = JSON.parse(read('manifest.webmanifest')).icons.map((i) => i.src);
+    [...fonts, ...icons].forEach((f) => assert.ok(PRECACHE.includes(f), `${f} is not precached`));
+  });
+
+  it('names only files that exist', () => {
+    // This checkout keeps the js/ and css/ files at the top level
+    const onDisk = (p) => (p === './' ? 'index.html' : p.replace(/^(?:js|css)\//, ''));
+    PRECACHE.forEach((p) => {
+      const f = path.join(__dirname, '..', onDisk(p));
+      assert.ok(fs.existsSync(f) && fs.statSync(f).size > 0, `${p} is missing`);
+    });
+  });
+
+  it('loads nothing from another origin', () => {
+    assert.doesNotMatch(html, /(?:src|href)="(?:https?:)?\/\//);
+  });
+});
+
+describe('service worker fetch', () => {
+  const { listeners, CACHE_VERSION, CACHE_PREFIX } = load();
+
+  it('answers requests for precached files only', () => {
+    const hit = fetchEvent(`${ORIGIN}/app/js/engine.js`);
+    listeners.fetch(hit);
+    assert.equal(hit.responded, true);
+
+    for (const url of [`${ORIGIN}/app/events`, `${ORIGIN}/js/engine.js`, 'https://cdn.example/app/js/engine.js']) {
+      const ev = fetchEvent(url);
+      listeners.fetch(ev);
+      assert.equal(ev.responded, false, url);
+    }
+  });
+
+  it('answers navigations to the app and leaves other methods alone', () => {
+    const nav = fetchEvent(`${ORIGIN}/app/?lang=es`, { mode: 'navigate' });
+    listeners.fetch(nav);
+    assert.equal(nav.responded, true);
+
+    const post = fetchEvent(`${ORIGIN}/app/index.html`, { method: 'POST' });
+    listeners.fetch(post);
+    assert.equal(post.responded, false);
+  });
+
+  it('names its cache under the prefix it cleans up', () => {
+    assert.ok(CACHE_VERSION.startsWith(CACHE_PREFIX));
+  });
+});
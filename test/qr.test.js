@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const qr = require('../qr.js');
+
+// Dark modules of a finder pattern with its top-left corner at (x, y)
+function finderAt(m, x, y) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const d = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+      if (m.modules[y + dy][x + dx] !== (d !== 2)) return false;
+    }
+  }
+  return true;
+}
+
+describe('reedSolomon', () => {
+  it('matches the worked example of the standard (1-M, "01234567")', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepEqual(qr.reedSolomon(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+});
+
+describe('encode', () => {
+  it('picks the smallest version that fits', () => {
+    assert.equal(qr.encode('').version, 1);
+    assert.equal(qr.encode('x'.repeat(14)).version, 1);
+    assert.equal(qr.encode('x'.repeat(15)).version, 2);
+    assert.equal(qr.encode('x'.repeat(2331)).version, 40);
+  });
+
+  it('is square, 4 modules per version plus 17', () => {
+    [1, 7, 23].forEach((len) => {
+      const m = qr.encode('y'.repeat(len * 10));
+      assert.equal(m.size, m.version * 4 + 17);
+      assert.equal(m.modules.length, m.size);
+      m.modules.forEach((row) => assert.equal(row.length, m.size));
+    });
+  });
+
+  it('draws the finder, timing and dark modules', () => {
+    const m = qr.encode('https://example.org/#f=F3&p=r301');
+    const s = m.size;
+    assert.ok(finderAt(m, 0, 0));
+    assert.ok(finderAt(m, s - 7, 0));
+    assert.ok(finderAt(m, 0, s - 7));
+    for (let i = 8; i < s - 8; i++) {
+      assert.equal(m.modules[6][i], i % 2 === 0);
+      assert.equal(m.modules[i][6], i % 2 === 0);
+    }
+    assert.equal(m.modules[s - 8][8], true);
+  });
+
+  it('writes matching format bits for the chosen mask', () => {
+    const m = qr.encode('placard');
+    const s = m.size;
+    const a = [0, 1, 2, 3, 4, 5, 7, 8].map((y) => m.modules[y][8])
+      .concat([7, 5, 4, 3, 2, 1, 0].map((x) => m.modules[8][x]));
+    const b = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => m.modules[8][s - 1 - i])
+      .concat([8, 9, 10, 11, 12, 13, 14].map((i) => m.modules[s - 15 + i][8]));
+    assert.deepEqual(a, b);
+    // bits 14..10 are level M (00) then the mask, XORed with 10101
+    const top = a.slice(10).reverse().reduce((n, bit) => (n << 1) | bit, 0) ^ 0b10101;
+    assert.equal(top, m.mask);
+  });
+
+  it('encodes UTF-8 by bytes', () => {
+    assert.equal(qr.encode('é'.repeat(7)).version, 1);
+    assert.equal(qr.encode('é'.repeat(8)).version, 2);
+  });
+
+  it('throws a RangeError past version 40', () => {
+    assert.throws(() => qr.encode('z'.repeat(2332)), RangeError);
+  });
+});
+
+describe('svgPath', () => {
+  it('draws one square per dark module', () => {
+    const m = qr.encode('abc');
+    const dark = m.modules.flat().filter(Boolean).length;
+    const d = qr.svgPath(m, 10, 20, 2);
+    assert.equal(d.split('M').length - 1, dark);
+    assert.ok(d.startsWith('M10,20h2v2h-2z'));
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+/** routing.js with data.js and the page state main.js owns. */
+function load() {
+  const src = ['data.js', 'routing.js'].map(read).join('\n');
+  return vm.runInNewContext(`let floor = 'GF', pos = null, haz = {}, profile = 'ambulatory', margin = 'normal';
+    ${src}
+    ;({ engineOptions, findRoute, MARGIN_SCALES,
+        set(p, h, m) { pos = p; haz = h; margin = m; } })`, { LifeRouteEngine: engine });
+}
+
+const { engineOptions, findRoute, MARGIN_SCALES, set } = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+describe('engineOptions — safety margin', () => {
+  it('scales the engine margin by the setting', () => {
+    Object.entries(MARGIN_SCALES).forEach(([m, k]) => {
+      set(null, {}, m);
+      const want = Object.fromEntries(Object.entries(engine.HAZARD_MARGIN).map(([h, c]) => [h, c * k]));
+      assert.deepEqual(plain(engineOptions().margin), want, m);
+    });
+  });
+
+  it('keeps the page route further from a fire as the margin grows', () => {
+    const routeWith = (m) => {
+      set('washroom', { GF: { entrance: 'fire' } }, m);
+      return findRoute();
+    };
+    const off = routeWith('off');
+    const wide = routeWith('wide');
+    assert.deepEqual(plain(off.path), ['washroom', 'exitA']);
+    assert.equal(wide.exitId, 'exitB');
+    assert.ok(!wide.path.some((id) => id === 'main_hall' || id === 'exitA'));
+
+    // Off still names the fire the route passes next to
+    assert.deepEqual(plain(off.near).map((n) => n.id), ['entrance']);
+  });
+
+  it('ignores a setting it does not know', () => {
+    set(null, {}, 'bogus');
+    assert.deepEqual(plain(engineOptions().margin), plain(engine.HAZARD_MARGIN));
+  });
+});
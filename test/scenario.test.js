@@ -0,0 +1,49 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+/** scenario.js with the scripts decodeState() needs, and the floor main.js owns. */
+function load() {
+  const src = ['data.js', 'routing.js', 'render.js', 'bulk.js', 'scenario.js'].map(read).join('\n');
+  return vm.runInNewContext(`let floor = 'GF';
+    ${src}
+    ;({ decodeState })`, { LifeRouteEngine: engine, URLSearchParams });
+}
+
+const { decodeState } = load();
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+describe('decodeState', () => {
+  it('restores rooms, exits and corridors the building has', () => {
+    const st = decodeState('#f=GF&h=kitchen.f,exitB.x,kitchen%7Cmain_hall.b');
+    assert.deepEqual(plain(st.haz), { GF: { kitchen: 'fire', exitB: 'exit-blocked', 'kitchen|main_hall': 'blocked' } });
+  });
+
+  it('drops edge keys that name no corridor', () => {
+    const bad = encodeURIComponent('kitchen|<img src=x onerror=alert(1)>');
+    const st = decodeState(`#f=GF&h=${bad}.b,kitchen%7Cwashroom.b`);
+    assert.deepEqual(plain(st.haz), {});
+  });
+
+  it('drops hazards the id cannot carry', () => {
+    const st = decodeState('#f=GF&h=exitB.f,kitchen.l,kitchen%7Cmain_hall.f');
+    assert.deepEqual(plain(st.haz), {});
+  });
+
+  it('keeps only a position in a room a person can stand in', () => {
+    assert.equal(decodeState('#f=GF&p=kitchen').pos, 'kitchen');
+    ['exitB', 'stairGF', 'liftGF', 'kitchen%7Cmain_hall', 'kitchen%7C%3Cb%3E', 'nowhere'].forEach((p) => {
+      assert.equal(decodeState(`#f=GF&p=${p}`).pos, null, p);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const engine = require('../engine.js');
+
+const read = (f) => fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+
+/**
+ * sensors.js with data.js, routing.js, render.js and sim.js, and the page
+ * state main.js owns (the timeline is left out, so recordEvent() does nothing).
+ */
+function load() {
+  const src = ['data.js', 'routing.js', 'render.js', 'sim.js', 'sensors.js'].map(read).join('\n');
+  return vm.runInNewContext(`let floor = 'GF', haz = {};
+    function recordEvent() {}
+    ${src}
+    ;({ sensors, applySensorEvent, parseSensorMap, clearSensorClaims, getHaz, setHaz, snapshotHazards,
+        reset() { haz = {}; clearSensorClaims(); } })`, { LifeRouteEngine: engine });
+}
+
+const page = load();
+const { sensors, applySensorEvent, parseSensorMap, getHaz, setHaz, snapshotHazards } = page;
+
+// Values from the vm context, as plain objects of this realm
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+const send = (sensor, event) => applySensorEvent({ sensor, event });
+
+describe('applySensorEvent', () => {
+  beforeEach(() => {
+    page.reset();
+    sensors.map = parseSensorMap({
+      sensors: { 'SD-1': 'kitchen', 'HD-1': 'kitchen', 'SD-2': 'kitchen' },
+    }).map;
+  });
+
+  it('never lowers a hazard on a detector event', () => {
+    send('HD-1', 'heat-alarm');
+    assert.equal(send('SD-1', 'smoke-detected'), false);
+    assert.equal(getHaz('kitchen'), 'fire');
+  });
+
+  it('keeps a fire another sensor still reports when one clears', () => {
+    send('HD-1', 'heat-alarm');
+    send('SD-1', 'smoke-detected');
+    assert.equal(send('SD-1', 'cleared'), false);
+    assert.equal(getHaz('kitchen'), 'fire');
+
+    assert.equal(send('HD-1', 'cleared'), true);
+    assert.equal(getHaz('kitchen'), '');
+  });
+
+  it('lowers to the strongest hazard still reported', () => {
+    send('SD-1', 'smoke-detected');
+    send('HD-1', 'heat-alarm');
+    send('HD-1', 'cleared');
+    assert.equal(getHaz('kitchen'), 'smoke');
+
+    send('SD-2', 'smoke-detected');
+    send('SD-1', 'cleared');
+    assert.equal(getHaz('kitchen'), 'smoke');
+    send('SD-2', 'cleared');
+    assert.equal(getHaz('kitchen'), '');
+  });
+
+  it('does not lift a hazard its sensor did not report', () => {
+    send('SD-1', 'smoke-detected');
+    setHaz('kitchen', 'fire');
+    assert.equal(send('SD-1', 'cleared'), false);
+    assert.equal(getHaz('kitchen'), 'fire');
+  });
+
+  it('clears as before for a sensor with no report on record', () => {
+    setHaz('kitchen', 'fire');
+    assert.equal(send('SD-1', 'cleared'), true);
+    assert.equal(getHaz('kitchen'), '');
+  });
+});
+
+describe('sensor targets', () => {
+  beforeEach(() => {
+    page.reset();
+    sensors.map = parseSensorMap({ sensors: {} }).map;
+  });
+
+  it('uses an unmapped id only when it names a room, exit or corridor', () => {
+    assert.equal(send('kitchen', 'heat-alarm'), true);
+    assert.equal(send('kitchen|main_hall', 'smoke-detected'), true);
+    assert.equal(send('kitchen|<img src=x onerror=alert(1)>', 'smoke-detected'), false);
+    assert.equal(send('kitchen|washroom', 'smoke-detected'), false);
+    assert.deepEqual(Object.keys(plain(snapshotHazards())).sort(), ['kitchen', 'kitchen|main_hall']);
+  });
+
+  it('ignores a mapped sensor whose target is unknown', () => {
+    const { map, errors } = parseSensorMap({ sensors: { 'SD-9': 'kitchen|nowhere' } });
+    sensors.map = map;
+    assert.equal(errors.length, 1);
+    assert.equal(send('SD-9', 'smoke-detected'), false);
+    assert.deepEqual(plain(snapshotHazards()), {});
+  });
+
+  it('refuses event overrides the target kind cannot carry', () => {
+    const { map, errors } = parseSensorMap({
+      sensors: { 'DC-1': 'exitB', 'DC-2': 'kitchen|main_hall' },
+      events: { 'door-forced': { exit: 'fire', edge: 'locked' }, 'gas-leak': { room: '<b>', edge: 'smoke' } },
+    });
+    sensors.map = map;
+    assert.equal(errors.length, 2);
+    assert.equal(map.events['door-forced'].exit, null);
+    assert.equal(map.events['gas-leak'].room, null);
+    assert.equal(send('DC-1', 'door-forced'), false);
+    assert.equal(send('DC-2', 'door-forced'), true);
+    assert.equal(getHaz('kitchen|main_hall'), 'locked');
+  });
+});
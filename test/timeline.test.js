@@ -0,0 +1,36 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/** timeline.js, loaded the way the page does (csvCell needs no other script). */
+function load() {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'timeline.js'), 'utf8');
+  return vm.runInNewContext(`${src}\n;({ csvCell })`);
+}
+
+const { csvCell } = load();
+
+describe('csvCell', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    assert.equal(csvCell('plain'), 'plain');
+    assert.equal(csvCell('a,b'), '"a,b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  });
+
+  it('keeps a spreadsheet from running text as a formula', () => {
+    for (const v of ['=HYPERLINK("x")', '+1', '-1+2', '@SUM(A1)', '\t=1', '\r=1']) {
+      assert.ok(csvCell(v).replace(/^"/, '').startsWith("'"), JSON.stringify(v));
+    }
+    assert.equal(csvCell('=1,2'), `"'=1,2"`);
+  });
+
+  it('leaves numbers alone', () => {
+    assert.equal(csvCell(-2.5), '-2.5');
+    assert.equal(csvCell(0), '0');
+  });
+});
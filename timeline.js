@@ -0,0 +1,208 @@
+/**
+ * js/timeline.js
+ * =============================================================
+ * Incident timeline — every hazard, position, profile and floor
+ * change is recorded with a timestamp, a snapshot of the state
+ * and the route findRoute() gave at that moment.
+ *
+ * Replay
+ * ------
+ * Moving the scrubber under the map puts the app in replay: the
+ * live state is set aside and the snapshot of the chosen entry
+ * is shown instead. Nothing is recorded while replaying, and the
+ * hazard and position controls are disabled. LIVE (or dragging
+ * the scrubber to the end) brings the live state back.
+ *
+ * Entries can be exported as CSV or JSON for post-incident
+ * review.
+ *
+ * Depends on: data.js, routing.js, render.js, sim.js, sensors.js; drill.js at run time
+ * State used: floor, pos, haz, profile
+ * =============================================================
+ */
+
+'use strict';
+
+// ── Timeline state ────────────────────────────────────────────
+const timeline = {
+  entries: [],   // see recordEvent()
+  view:    null, // index being replayed, null = live
+  live:    null, // live { floor, pos, haz, profile } set aside during replay
+};
+
+const TL_KINDS = {
+  start:    'SESSION START',
+  hazard:   'HAZARD',
+  position: 'POSITION',
+  profile:  'PROFILE',
+  floor:    'FLOOR',
+  scenario: 'SCENARIO LOADED',
+  reset:    'SIMULATION RESET',
+  clear:    'HAZARDS CLEARED',
+  region:   'REGION MARKED',
+  preset:   'PRESET APPLIED',
+  undo:     'UNDO',
+  redo:     'REDO',
+};
+
+// Kinds whose target is a floor key or a name, not a node id
+const TL_PLAIN_TARGET = new Set(['floor', 'clear', 'region', 'preset']);
+
+// ── Recording ─────────────────────────────────────────────────
+/**
+ * recordEvent(kind, target, value)
+ * Append a timeline entry for a change that has just been made.
+ * Ignored while replaying and during a training drill.
+ * @param {string} kind   - Key of TL_KINDS
+ * @param {string} [target] - Node id or floor key the change applies to
+ * @param {string} [value]  - New value ('' when cleared)
+ */
+function recordEvent(kind, target = '', value = '') {
+  if (timeline.view !== null || drill.phase) return;
+
+  const route = findRoute();
+  timeline.entries.push({
+    t:      Date.now(),
+    simT:   sim.started ? sim.t : null,
+    kind,
+    target,
+    value:  value || '',
+    floor,
+    pos,
+    profile,
+    haz:    JSON.parse(JSON.stringify(haz)),
+    route:  route && { exitId: route.exitId, path: route.path, status: route.status, refuge: route.refuge },
+  });
+}
+
+/** Drop all entries (a new building makes old ids meaningless). */
+function clearTimeline() {
+  timeline.entries = [];
+  timeline.view = null;
+  timeline.live = null;
+  document.body.classList.remove('replaying');
+}
+
+// ── Replay ────────────────────────────────────────────────────
+/**
+ * replayTo(i)
+ * Show entry i on the map. The last entry, or null, returns to
+ * the live state.
+ */
+function replayTo(i) {
+  const last = timeline.entries.length - 1;
+  if (i === null || i >= last) {
+    if (timeline.live) ({ floor, pos, haz, profile } = timeline.live);
+    timeline.view = null;
+    timeline.live = null;
+  } else {
+    if (!timeline.live) {
+      simPause();
+      timeline.live = { floor, pos, haz, profile };
+    }
+    const e = timeline.entries[Math.max(0, i)];
+    timeline.view = Math.max(0, i);
+    floor = e.floor;
+    pos = e.pos;
+    profile = e.profile;
+    haz = JSON.parse(JSON.stringify(e.haz));
+  }
+
+  document.body.classList.toggle('replaying', timeline.view !== null);
+  document.querySelectorAll('.ftab').forEach((t) => {
+    t.classList.toggle('active', t.dataset.floor === floor);
+  });
+  populateSel();
+  render();
+  // Sensor events that arrived during replay apply once back to live
+  if (timeline.view === null) flushSensorEvents();
+}
+
+// ── Export ────────────────────────────────────────────────────
+/** One line of text describing an entry, e.g. "HAZARD Kitchen → fire". */
+function describeEntry(e) {
+  const name = TL_PLAIN_TARGET.has(e.kind) ? e.target : e.target ? nodeLabel(e.target) : '';
+  const val = e.kind === 'hazard' || e.kind === 'profile' || e.kind === 'region' ? ` → ${e.value || 'clear'}`
+    : e.kind === 'position' && !e.value ? ' → deselected' : '';
+  return `${TL_KINDS[e.kind]}${name ? ` ${name}` : ''}${val}`;
+}
+
+/**
+ * csvCell(v)
+ * One CSV cell, quoted when needed. Text starting with = + - @
+ * (or a tab / carriage return) gets a leading ' so a spreadsheet
+ * shows it instead of running it as a formula — targets, preset
+ * and region names are user text. Numbers are left as they are.
+ */
+function csvCell(v) {
+  let s = String(v);
+  if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function timelineCsv() {
+  const t0 = timeline.entries.length ? timeline.entries[0].t : 0;
+  const head = ['time', 'elapsed_s', 'sim_clock', 'event', 'target', 'value', 'floor', 'position',
+    'profile', 'route_exit', 'route_status', 'route_path', 'hazards'];
+
+  const rows = timeline.entries.map((e) => [
+    new Date(e.t).toISOString(),
+    ((e.t - t0) / 1000).toFixed(1),
+    e.simT === null ? '' : fmtClock(e.simT),
+    e.kind,
+    e.target,
+    e.value,
+    e.floor,
+    e.pos || '',
+    e.profile,
+    e.route ? e.route.exitId : '',
+    e.route ? e.route.status : (e.pos ? 'none' : ''),
+    e.route ? e.route.path.join(' > ') : '',
+    Object.values(e.haz).flatMap((m) => Object.entries(m).map(([id, h]) => `${id}=${h}`)).join('; '),
+  ]);
+
+  return [head, ...rows].map((r) => r.map(csvCell).join(',')).join('\n');
+}
+
+function timelineJson() {
+  return JSON.stringify({
+    building: BLDG_META.name,
+    exported: new Date().toISOString(),
+    entries:  timeline.entries,
+  }, null, 2);
+}
+
+/** Offer the timeline as a .csv or .json download. */
+function downloadTimeline(format) {
+  const csv = format === 'csv';
+  const blob = new Blob([csv ? timelineCsv() : timelineJson()], { type: csv ? 'text/csv' : 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `incident-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.${format}`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAP AREA — timeline scrubber
+// ─────────────────────────────────────────────────────────────
+function buildTimelineBar() {
+  const n = timeline.entries.length;
+  const i = timeline.view ?? n - 1;
+  const scrub = document.getElementById('tlScrub');
+  scrub.max = Math.max(n - 1, 0);
+  scrub.value = Math.max(i, 0);
+  scrub.disabled = n < 2;
+
+  document.getElementById('tlLive').classList.toggle('on', timeline.view === null);
+
+  const e = timeline.entries[i];
+  const el = document.getElementById('tlInfo');
+  if (!e) {
+    el.textContent = '// no events yet';
+    return;
+  }
+  const when = new Date(e.t).toLocaleTimeString();
+  const clock = e.simT === null ? '' : ` · ${fmtClock(e.simT)}`;
+  el.textContent = `${i + 1}/${n} · ${when}${clock} · ${describeEntry(e)}`;
+}
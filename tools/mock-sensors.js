@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * tools/mock-sensors.js
+ * =============================================================
+ * Local mock of a building sensor gateway, for trying the live
+ * sensor feed without hardware. No dependencies.
+ *
+ *   node tools/mock-sensors.js [--port 8787] [--interval 4]
+ *
+ * Endpoints
+ * ---------
+ *   GET  /events  Server-Sent Events stream
+ *   GET  /ws      WebSocket (text frames)
+ *   POST /emit    Send a JSON event (or array) to every client
+ *
+ * Every `interval` seconds the next step of SCRIPT is sent to all
+ * clients; the script loops after a final "cleared" for every
+ * sensor. Sensor ids match tools/demo-sensors.json.
+ * =============================================================
+ */
+
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+// ── Options ───────────────────────────────────────────────────
+function arg(name, def) {
+  const i = process.argv.indexOf(`--${name}`);
+  const v = i >= 0 ? Number(process.argv[i + 1]) : NaN;
+  return v > 0 ? v : def;
+}
+
+const PORT = arg('port', 8787);
+const INTERVAL = arg('interval', 4) * 1000;
+
+// WebSocket handshake constant (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ── Scripted incident ─────────────────────────────────────────
+// A kitchen fire that spreads smoke to the hall and upper floors.
+const SCRIPT = [
+  [['SD-GF-01', 'smoke-detected']],
+  [['HD-GF-01', 'heat-alarm']],
+  [['SD-GF-02', 'smoke-detected'], ['DC-GF-HK', 'door-forced']],
+  [['DC-GF-B', 'heat-alarm']],
+  [['SD-F1-01', 'smoke-detected']],
+  [['HD-F2-01', 'heat-alarm'], ['SD-F3-01', 'smoke-detected']],
+  [],
+  [['SD-GF-01', 'cleared'], ['HD-GF-01', 'cleared'], ['SD-GF-02', 'cleared'], ['DC-GF-HK', 'cleared'],
+   ['DC-GF-B', 'cleared'], ['SD-F1-01', 'cleared'], ['HD-F2-01', 'cleared'], ['SD-F3-01', 'cleared']],
+  [],
+];
+
+// ── Clients ───────────────────────────────────────────────────
+const sse = new Set();   // http.ServerResponse
+const ws = new Set();    // net.Socket
+
+/** Encode a short unmasked WebSocket frame (server → client). */
+function wsFrame(opcode, payload) {
+  const data = Buffer.from(payload);
+  let head;
+  if (data.length < 126) {
+    head = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(data.length, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([head, data]);
+}
+
+/** Send one message (an event or an array of them) to every client. */
+function broadcast(msg) {
+  const text = JSON.stringify(msg);
+  sse.forEach((res) => res.write(`data: ${text}\n\n`));
+  ws.forEach((sock) => sock.write(wsFrame(0x1, text)));
+  console.log(`→ ${sse.size + ws.size} client(s): ${text}`);
+}
+
+// ── HTTP: SSE and /emit ───────────────────────────────────────
+const server = http.createServer((req, res) => {
+  const cors = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type' };
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, cors);
+    res.end();
+  } else if (req.method === 'GET' && req.url === '/events') {
+    res.writeHead(200, { ...cors, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write('retry: 2000\n\n');
+    sse.add(res);
+    req.on('close', () => sse.delete(res));
+  } else if (req.method === 'POST' && req.url === '/emit') {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      try {
+        broadcast(JSON.parse(body));
+        res.writeHead(204, cors);
+      } catch {
+        res.writeHead(400, cors);
+      }
+      res.end();
+    });
+  } else {
+    res.writeHead(404, cors);
+    res.end();
+  }
+});
+
+// ── WebSocket: /ws ────────────────────────────────────────────
+server.on('upgrade', (req, sock) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.url !== '/ws' || !key) {
+    sock.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  sock.write('HTTP/1.1 101 Switching Protocols\r\n'
+    + 'Upgrade: websocket\r\nConnection: Upgrade\r\n'
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  ws.add(sock);
+
+  // Clients only send control frames here: answer close, ignore the rest
+  sock.on('data', (buf) => {
+    if ((buf[0] & 0x0f) === 0x8) sock.end(wsFrame(0x8, ''));
+  });
+  sock.on('close', () => ws.delete(sock));
+  sock.on('error', () => ws.delete(sock));
+});
+
+// ── Run ───────────────────────────────────────────────────────
+let step = 0;
+setInterval(() => {
+  const now = new Date().toISOString();
+  const events = SCRIPT[step].map(([sensor, event]) => ({ sensor, event, ts: now }));
+  step = (step + 1) % SCRIPT.length;
+  if (events.length) broadcast(events.length === 1 ? events[0] : events);
+}, INTERVAL);
+
+// Keep idle SSE connections open through proxies
+setInterval(() => sse.forEach((res) => res.write(': ping\n\n')), 15000);
+
+server.listen(PORT, () => {
+  console.log(`Mock sensors on port ${PORT}`);
+  console.log(`  SSE        http://localhost:${PORT}/events`);
+  console.log(`  WebSocket  ws://localhost:${PORT}/ws`);
+  console.log(`  Inject     curl -X POST localhost:${PORT}/emit -d '{"sensor":"SD-GF-01","event":"smoke-detected"}'`);
+});
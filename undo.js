@@ -0,0 +1,143 @@
+/**
+ * js/undo.js
+ * =============================================================
+ * Undo / redo — every change to the hazards, the position, the
+ * routing profile or, in the floor-plan editor, the building can
+ * be stepped back and forth with ↶ / ↷ or Ctrl+Z / Ctrl+Shift+Z
+ * (Ctrl+Y).
+ *
+ * States are kept as encodeState() strings (scenario.js) without
+ * the floor: switching floors only changes the view, so it is
+ * not a step of its own, and undo leaves the floor alone. Each
+ * state also holds the building as exportBuilding() JSON, so an
+ * editor edit (a room drawn, moved or deleted, a corridor, exit,
+ * stair or lift flag) is a step too, together with the hazards
+ * and position a delete took with it. Undoing past the floor on
+ * screen moves to the ground floor.
+ *
+ * trackUndo() runs on every render() and compares the state with
+ * the last one it saw, so any change — a dropdown, a bulk action,
+ * a preset, a sensor event, a loaded scenario — becomes one step
+ * without each control having to report it. A running spread
+ * simulation is one step as a whole, taken when it pauses.
+ * Nothing is tracked while replaying the timeline or during a
+ * training drill (drill.js).
+ *
+ * Loading a building clears the history (its ids are new).
+ *
+ * Depends on: scenario.js, timeline.js, sim.js, building.js, editor.js; drill.js at run time
+ * State used: floor, pos, haz, profile; BLDG and the links (through
+ *             exportBuilding / putBuilding)
+ * =============================================================
+ */
+
+'use strict';
+
+// Oldest steps are dropped beyond this
+const UNDO_LIMIT = 100;
+
+// ── State ─────────────────────────────────────────────────────
+const undo = {
+  past:      [],    // earlier states, oldest first
+  future:    [],    // undone states, most recent last
+  cur:       null,  // { key, bldg } at the last render
+  restoring: false, // an undo / redo is being applied
+};
+
+/**
+ * undoKey()
+ * The undoable part of the current state: encodeState() without
+ * the floor, hazards in a fixed order so equal states compare
+ * equal however they were reached, and the building.
+ * @returns {{ key: string, bldg: string }}
+ */
+function undoKey() {
+  const q = new URLSearchParams(encodeState());
+  q.delete('f');
+  if (q.has('h')) q.set('h', q.get('h').split(',').sort().join(','));
+  return { key: q.toString(), bldg: JSON.stringify(exportBuilding()) };
+}
+
+/** Note the current state; a change since the last call is a new step. */
+function trackUndo() {
+  if (undo.restoring || timeline.view !== null || drill.phase || sim.timer) return;
+  const cur = undoKey();
+  if (undo.cur === null) {
+    undo.cur = cur;
+  } else if (cur.key !== undo.cur.key || cur.bldg !== undo.cur.bldg) {
+    undo.past.push(undo.cur);
+    if (undo.past.length > UNDO_LIMIT) undo.past.shift();
+    undo.future = [];
+    undo.cur = cur;
+  }
+}
+
+/** Forget every step (a new building was loaded). */
+function clearUndo() {
+  undo.past = [];
+  undo.future = [];
+  undo.cur = null;
+}
+
+const undoable = () => timeline.view === null && !drill.phase;
+const canUndo = () => undo.past.length > 0 && undoable();
+const canRedo = () => undo.future.length > 0 && undoable();
+
+/** Make a stored state live again, on the current floor if it still exists. */
+function restoreUndo(state, kind) {
+  if (state.bldg !== undo.cur.bldg) {
+    putBuilding(JSON.parse(state.bldg));
+    if (!BLDG[floor]) floor = homeFloor();
+    editor.sel = null;
+    buildFloorTabs();
+  }
+  const st = decodeState(`f=${encodeURIComponent(floor)}&${state.key}`);
+  undo.cur = state;
+  undo.restoring = true;
+  try {
+    applyState(st, kind);
+  } finally {
+    undo.restoring = false;
+  }
+}
+
+function undoStep() {
+  if (!canUndo()) return;
+  undo.future.push(undo.cur);
+  restoreUndo(undo.past.pop(), 'undo');
+}
+
+function redoStep() {
+  if (!canRedo()) return;
+  undo.past.push(undo.cur);
+  restoreUndo(undo.future.pop(), 'redo');
+}
+
+/**
+ * undoKeyDown(ev)
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Text
+ * fields and dropdowns keep their own undo.
+ */
+function undoKeyDown(ev) {
+  if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+  if (ev.target.closest && ev.target.closest('input, select, textarea')) return;
+  const k = ev.key.toLowerCase();
+  if (k === 'z' && !ev.shiftKey) {
+    ev.preventDefault();
+    undoStep();
+  } else if ((k === 'z' && ev.shiftKey) || (k === 'y' && !ev.shiftKey)) {
+    ev.preventDefault();
+    redoStep();
+  }
+}
+
+// ── Left panel ────────────────────────────────────────────────
+/** Enable ↶ / ↷ when there is something to step to. */
+function buildUndoButtons() {
+  const u = document.getElementById('undoBtn');
+  const r = document.getElementById('redoBtn');
+  u.disabled = !canUndo();
+  r.disabled = !canRedo();
+  u.title = `Undo (Ctrl+Z)${undo.past.length ? ` — ${undo.past.length} step${undo.past.length > 1 ? 's' : ''}` : ''}`;
+  r.title = `Redo (Ctrl+Shift+Z)${undo.future.length ? ` — ${undo.future.length} step${undo.future.length > 1 ? 's' : ''}` : ''}`;
+}